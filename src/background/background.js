@@ -14,6 +14,82 @@
 'use strict';
 
 import { EXTENSION_CONFIG } from '../common/config.js';
+import { CAMPAIGN_STATUSES, CAMPAIGN_STEPS } from '../common/constants.js';
+import { campaignService } from '../common/campaignService.js';
+import { profileDataService } from '../common/profileDataService.js';
+import { fillSessionService } from '../common/fillSessionService.js';
+import { submissionHistoryService } from '../common/submissionHistoryService.js';
+import { listingStatusService } from '../common/listingStatusService.js';
+
+/**
+ * Write HTML into a rich text editor through the editor's own API. Runs in
+ * the page's main world, where the editor globals live, so it must not use
+ * anything outside its own body.
+ * @param {string} token - Value of the data-sfp-editor attribute on the target
+ * @param {string} kind - Editor kind from EditorDetector.KINDS
+ * @param {string} html - Content to set
+ * @returns {boolean} Whether the editor accepted the content
+ */
+function setEditorContent(token, kind, html) {
+    const find = root => {
+        const element = root.querySelector(`[data-sfp-editor="${token}"]`);
+        if (element) return element;
+
+        for (const frame of root.querySelectorAll('iframe')) {
+            try {
+                const found = frame.contentDocument && find(frame.contentDocument);
+                if (found) return found;
+            } catch {
+                // Cross-origin frames cannot hold the target
+            }
+        }
+        return null;
+    };
+
+    const element = find(document);
+    if (!element) return false;
+
+    const view = element.ownerDocument.defaultView;
+    try {
+        switch (kind) {
+            case 'tinymce': {
+                const editor = view.tinymce?.get(element.id);
+                if (!editor) return false;
+                editor.setContent(html);
+                editor.save();
+                // TinyMCE 6 renamed fire() to dispatch()
+                (editor.dispatch || editor.fire).call(editor, 'change');
+                return true;
+            }
+            case 'ckeditor4': {
+                const editor = view.CKEDITOR?.instances?.[element.id] || view.CKEDITOR?.instances?.[element.name];
+                if (!editor) return false;
+                editor.setData(html);
+                editor.updateElement();
+                return true;
+            }
+            case 'ckeditor5': {
+                const editor = element.ckeditorInstance;
+                if (!editor) return false;
+                editor.setData(html);
+                editor.updateSourceElement?.();
+                return true;
+            }
+            case 'quill': {
+                const quill = view.Quill?.find?.(element) || element.__quill;
+                if (!quill?.clipboard) return false;
+                // A 'user' change fires the text-change handlers forms listen to
+                quill.clipboard.dangerouslyPasteHTML(html, 'user');
+                return true;
+            }
+            default:
+                return false;
+        }
+    } catch (error) {
+        console.warn('[Social Filler Pro] Editor API call failed:', error);
+        return false;
+    }
+}
 
 // ============================================================================
 // UTILITY CLASSES
@@ -180,9 +256,9 @@ class TabManager {
         }
     }
 
-    async sendMessageToTab(tabId, message) {
+    async sendMessageToTab(tabId, message, options = {}) {
         try {
-            await chrome.tabs.sendMessage(tabId, message);
+            await chrome.tabs.sendMessage(tabId, message, options);
             this.logger.debug(`Message sent to tab ${tabId}:`, message.type);
             return { tabId, success: true };
         } catch (error) {
@@ -192,6 +268,170 @@ class TabManager {
     }
 }
 
+/**
+ * Campaign queue runner
+ *
+ * Opens each campaign URL in turn, asks the content script to fill it and
+ * waits for the user to mark the page done or skipped. All run state lives
+ * in storage, so a restarted service worker picks up where it left off.
+ */
+class CampaignRunner {
+    constructor(logger, tabManager) {
+        this.logger = logger;
+        this.tabManager = tabManager;
+    }
+
+    /**
+     * Start or resume a campaign
+     */
+    async start(campaignId) {
+        const running = await campaignService.getRunningCampaign();
+        if (running && running.id !== campaignId) {
+            throw new Error(`Campaign "${running.name}" is already running`);
+        }
+
+        const campaign = await campaignService.getCampaign(campaignId);
+        if (!campaign) {
+            throw new Error('Campaign not found');
+        }
+        if (!campaign.getCurrentUrl()) {
+            throw new Error('Campaign has no URLs left');
+        }
+
+        // Fill with the campaign's client, as the location it was made for
+        await profileDataService.initialize();
+        await profileDataService.setActiveProfile(campaign.profileId);
+        await profileDataService.setActiveLocation(campaign.profileId, campaign.locationId);
+
+        campaign.status = CAMPAIGN_STATUSES.RUNNING;
+        await this.openCurrentUrl(campaign);
+
+        this.logger.info(`Campaign started: ${campaign.name} at ${campaign.currentIndex + 1}/${campaign.urls.length}`);
+        return campaign;
+    }
+
+    /**
+     * Mark the current page done or skipped and open the next URL
+     */
+    async advance(outcome) {
+        const campaign = await campaignService.getRunningCampaign();
+        if (!campaign) {
+            throw new Error('No campaign is running');
+        }
+
+        const tabId = campaign.tabId;
+        const nextUrl = campaign.advance(outcome);
+
+        if (nextUrl) {
+            await this.openCurrentUrl(campaign);
+        } else {
+            await campaignService.saveCampaign(campaign);
+            await this.setBadge(tabId, '');
+            this.logger.info(`Campaign completed: ${campaign.name}`);
+        }
+
+        return campaign;
+    }
+
+    /**
+     * Pause the running campaign, keeping its position
+     */
+    async stop() {
+        const campaign = await campaignService.getRunningCampaign();
+        if (!campaign) {
+            return null;
+        }
+
+        await this.setBadge(campaign.tabId, '');
+        campaign.status = CAMPAIGN_STATUSES.IDLE;
+        campaign.tabId = null;
+        await campaignService.saveCampaign(campaign);
+
+        this.logger.info(`Campaign paused: ${campaign.name}`);
+        return campaign;
+    }
+
+    /**
+     * Open the campaign's current URL, reusing its tab when still open
+     * @private
+     */
+    async openCurrentUrl(campaign) {
+        const url = campaign.getCurrentUrl();
+        let tab = null;
+
+        if (campaign.tabId !== null) {
+            try {
+                tab = await chrome.tabs.update(campaign.tabId, { url, active: true });
+            } catch (error) {
+                this.logger.debug('Campaign tab is gone, opening a new one:', error.message);
+            }
+        }
+        if (!tab) {
+            tab = await chrome.tabs.create({ url, active: true });
+        }
+
+        campaign.tabId = tab.id;
+        campaign.step = CAMPAIGN_STEPS.LOADING;
+        await campaignService.saveCampaign(campaign);
+        await this.setBadge(tab.id, `${campaign.currentIndex + 1}`);
+    }
+
+    /**
+     * Ask the content script to fill once the campaign tab finished loading
+     */
+    async handleTabUpdated(tabId, changeInfo) {
+        if (changeInfo.status !== 'complete') return;
+
+        const campaign = await campaignService.getRunningCampaign();
+        if (!campaign || campaign.tabId !== tabId || campaign.step !== CAMPAIGN_STEPS.LOADING) return;
+
+        campaign.step = CAMPAIGN_STEPS.FILLING;
+        await campaignService.saveCampaign(campaign);
+
+        const result = await this.tabManager.sendMessageToTab(tabId, {
+            type: EXTENSION_CONFIG.MESSAGE_TYPES.FILL_PAGE
+        });
+        if (!result.success) {
+            this.logger.warn('Campaign page has no content script, waiting for user:', result.error);
+            await this.handleFillComplete(tabId);
+        }
+    }
+
+    /**
+     * The content script finished filling the campaign tab
+     */
+    async handleFillComplete(tabId) {
+        const campaign = await campaignService.getRunningCampaign();
+        if (!campaign || campaign.tabId !== tabId) return;
+
+        campaign.step = CAMPAIGN_STEPS.READY;
+        await campaignService.saveCampaign(campaign);
+        await this.setBadge(tabId, '✓');
+    }
+
+    /**
+     * Pause the campaign if the user closes its tab
+     */
+    async handleTabRemoved(tabId) {
+        const campaign = await campaignService.getRunningCampaign();
+        if (campaign && campaign.tabId === tabId) {
+            await this.stop();
+        }
+    }
+
+    /**
+     * @private
+     */
+    async setBadge(tabId, text) {
+        if (tabId === null) return;
+        try {
+            await chrome.action.setBadgeText({ tabId, text });
+        } catch (error) {
+            this.logger.debug('Failed to set badge:', error.message);
+        }
+    }
+}
+
 // ============================================================================
 // MAIN BACKGROUND SERVICE WORKER
 // ============================================================================
@@ -201,6 +441,7 @@ class BackgroundServiceWorker {
         this.logger = new Logger('BackgroundServiceWorker');
         this.storage = new StorageManager(this.logger);
         this.tabManager = new TabManager(this.logger);
+        this.campaignRunner = new CampaignRunner(this.logger, this.tabManager);
         this.isInitialized = false;
         
         this.initialize();
@@ -240,9 +481,43 @@ class BackgroundServiceWorker {
         // Storage change notifications
         chrome.storage.onChanged.addListener(this.handleStorageChange.bind(this));
         
+        // Campaign tab tracking
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+            this.campaignRunner.handleTabUpdated(tabId, changeInfo)
+                .catch(error => this.logger.error('Error handling campaign tab update:', error));
+        });
+        chrome.tabs.onRemoved.addListener(tabId => {
+            this.campaignRunner.handleTabRemoved(tabId)
+                .catch(error => this.logger.error('Error handling campaign tab removal:', error));
+            fillSessionService.endSession(tabId)
+                .catch(error => this.logger.error('Error ending fill session:', error));
+        });
+        
+        // Keyboard shortcuts
+        chrome.commands.onCommand.addListener(command => {
+            this.handleCommand(command)
+                .catch(error => this.logger.error('Error handling command:', error));
+        });
+        
         this.logger.debug('Event listeners setup complete');
     }
 
+    /**
+     * Handle keyboard shortcut commands
+     * @param {string} command - Command name from the manifest
+     */
+    async handleCommand(command) {
+        if (command !== 'undo-fill') return;
+
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab?.id) return;
+
+        const response = await chrome.tabs.sendMessage(tab.id, {
+            type: EXTENSION_CONFIG.MESSAGE_TYPES.UNDO_FILL
+        });
+        this.logger.info(`Undo fill restored ${response?.data?.restored || 0} field(s)`);
+    }
+
     /**
      * Handle extension installation
      */
@@ -354,6 +629,10 @@ class BackgroundServiceWorker {
                     debugMode: false,
                     // Delay in milliseconds before filling a form.
                     fillDelay: 500,
+                    // 'direct' writes values right away; 'preview' lets the user confirm each field first.
+                    fillMode: 'direct',
+                    // Dropdowns with at least this many options get a search box.
+                    selectSearchMinOptions: 30,
                     // Automatically normalize URLs to a consistent format.
                     autoNormalizeUrls: true,
                     // Validate URLs before attempting to fill them.
@@ -469,6 +748,31 @@ class BackgroundServiceWorker {
                 case EXTENSION_CONFIG.MESSAGE_TYPES.RESET_SERVICES:
                     return await this.handleResetServices();
                 
+                case EXTENSION_CONFIG.MESSAGE_TYPES.CAMPAIGN_START:
+                    return { success: true, campaign: await this.campaignRunner.start(message.campaignId) };
+                
+                case EXTENSION_CONFIG.MESSAGE_TYPES.CAMPAIGN_ADVANCE:
+                    return { success: true, campaign: await this.campaignRunner.advance(message.outcome) };
+                
+                case EXTENSION_CONFIG.MESSAGE_TYPES.CAMPAIGN_STOP:
+                    return { success: true, campaign: await this.campaignRunner.stop() };
+                
+                case EXTENSION_CONFIG.MESSAGE_TYPES.FILL_COMPLETE:
+                    await this.campaignRunner.handleFillComplete(sender.tab?.id);
+                    return { success: true };
+                
+                case EXTENSION_CONFIG.MESSAGE_TYPES.FILL_SESSION_UPDATE:
+                    return { success: true, data: await fillSessionService.recordStep(sender.tab?.id, message.data) };
+                
+                case EXTENSION_CONFIG.MESSAGE_TYPES.FRAME_LOADED:
+                    return await this.handleFrameLoaded(sender);
+                
+                case EXTENSION_CONFIG.MESSAGE_TYPES.EDITOR_FILL:
+                    return await this.handleEditorFill(message.data, sender);
+                
+                case EXTENSION_CONFIG.MESSAGE_TYPES.FORM_SUBMITTED:
+                    return { success: true, data: await this.handleFormSubmitted(message.data) };
+                
                 default:
                     this.logger.warn('Unknown message type:', message.type);
                     return { success: false, error: 'Unknown message type' };
@@ -479,6 +783,63 @@ class BackgroundServiceWorker {
         }
     }
 
+    /**
+     * Tell the top frame that one of its same-origin frames loaded, so it
+     * walks into the frame and fills its fields
+     */
+    async handleFrameLoaded(sender) {
+        if (!sender.tab?.id || !sender.frameId) {
+            return { success: false, error: 'Not sent from a frame' };
+        }
+
+        return await this.tabManager.sendMessageToTab(sender.tab.id, {
+            type: EXTENSION_CONFIG.MESSAGE_TYPES.FRAME_LOADED,
+            data: { url: sender.url }
+        }, { frameId: 0 });
+    }
+
+    /**
+     * Fill a rich text editor through its API in the page's main world,
+     * which content scripts cannot reach
+     */
+    async handleEditorFill({ token, kind, html }, sender) {
+        if (!sender.tab?.id) {
+            throw new Error('Editor fill requires a tab');
+        }
+
+        const [injection] = await chrome.scripting.executeScript({
+            target: { tabId: sender.tab.id, frameIds: [sender.frameId || 0] },
+            world: 'MAIN',
+            func: setEditorContent,
+            args: [token, kind, html]
+        });
+        return { success: true, data: injection?.result === true };
+    }
+
+    /**
+     * Record a form submission for the active profile and start tracking its
+     * listing. The content script hands the write over in one message because
+     * a navigating submit unloads the page before its own writes would finish.
+     * @param {Object} snapshot - Page URL, title, form ID and filled field count
+     * @returns {Promise<Submission|null>} Recorded entry, or null if it was a repeat
+     */
+    async handleFormSubmitted(snapshot) {
+        await profileDataService.initialize();
+        const profile = profileDataService.getActiveLocationProfile();
+        if (!profile) return null;
+
+        const submission = await submissionHistoryService.recordSubmission({
+            ...snapshot,
+            profileId: profile.id,
+            locationId: profile.activeLocationId
+        });
+        if (submission) {
+            await listingStatusService.markSubmitted(profile.id, submission.url, submission.locationId);
+            this.logger.info('Recorded submission to', submission.domain, 'for', profile.name);
+        }
+        return submission;
+    }
+
     /**
      * Handle GET_SERVICES message
      */
@@ -559,6 +920,14 @@ class BackgroundServiceWorker {
                 });
             }
             
+            if (changes[EXTENSION_CONFIG.STORAGE_KEYS.PROFILES] ||
+                changes[EXTENSION_CONFIG.STORAGE_KEYS.ACTIVE_PROFILE]) {
+                notifications.push({
+                    type: EXTENSION_CONFIG.MESSAGE_TYPES.PROFILE_UPDATED,
+                    message: 'Active profile data updated'
+                });
+            }
+            
             if (changes[EXTENSION_CONFIG.STORAGE_KEYS.SETTINGS]) {
                 notifications.push({
                     type: EXTENSION_CONFIG.MESSAGE_TYPES.SETTINGS_UPDATED,
@@ -0,0 +1,142 @@
+/**
+ * Autocomplete Token Utilities
+ * Parses WHATWG autocomplete attribute values and maps their field names
+ * onto field keys and profile properties
+ */
+
+class AutocompleteTokens {
+    /**
+     * Autofill field names, the field key they identify and the profile
+     * property that fills them. Names without a property are recognized
+     * so they override name-based guesses, but are left unfilled.
+     * @private
+     */
+    static FIELDS = {
+        'name': { key: 'name', property: null },
+        'honorific-prefix': { key: null, property: null },
+        'given-name': { key: 'firstName', property: 'personal.firstName' },
+        'additional-name': { key: null, property: null },
+        'family-name': { key: 'lastName', property: 'personal.lastName' },
+        'honorific-suffix': { key: null, property: null },
+        'nickname': { key: null, property: null },
+        'username': { key: null, property: null },
+        'new-password': { key: 'password', property: 'password' },
+        'current-password': { key: 'password', property: 'password' },
+        'one-time-code': { key: null, property: null },
+        'organization-title': { key: null, property: null },
+        'organization': { key: 'company', property: 'business.companyName' },
+        'street-address': { key: 'address', property: 'address.line1' },
+        'address-line1': { key: 'address', property: 'address.line1' },
+        'address-line2': { key: 'address2', property: 'address.line2' },
+        'address-line3': { key: null, property: null },
+        'address-level4': { key: null, property: null },
+        'address-level3': { key: null, property: null },
+        'address-level2': { key: 'city', property: 'address.locality' },
+        'address-level1': { key: 'state', property: 'address.region' },
+        'country': { key: 'country', property: 'address.countryCode' },
+        'country-name': { key: 'country', property: 'address.countryCode' },
+        'postal-code': { key: 'zip', property: 'address.postalCode' },
+        'cc-name': { key: null, property: null },
+        'cc-given-name': { key: null, property: null },
+        'cc-additional-name': { key: null, property: null },
+        'cc-family-name': { key: null, property: null },
+        'cc-number': { key: null, property: null },
+        'cc-exp': { key: null, property: null },
+        'cc-exp-month': { key: null, property: null },
+        'cc-exp-year': { key: null, property: null },
+        'cc-csc': { key: null, property: null },
+        'cc-type': { key: null, property: null },
+        'transaction-currency': { key: null, property: null },
+        'transaction-amount': { key: null, property: null },
+        'language': { key: null, property: null },
+        'bday': { key: null, property: null },
+        'bday-day': { key: null, property: null },
+        'bday-month': { key: null, property: null },
+        'bday-year': { key: null, property: null },
+        'sex': { key: null, property: null },
+        'url': { key: 'website', property: 'personal.website' },
+        'photo': { key: null, property: null },
+        'tel': { key: 'phone', property: 'personal.phone' },
+        'tel-country-code': { key: 'phoneCountryCode', property: 'personal.phone' },
+        'tel-national': { key: 'phoneNational', property: 'personal.phone' },
+        'tel-area-code': { key: 'phoneAreaCode', property: 'personal.phone' },
+        'tel-local': { key: 'phoneLocal', property: 'personal.phone' },
+        'tel-local-prefix': { key: 'phoneLocalPrefix', property: 'personal.phone' },
+        'tel-local-suffix': { key: 'phoneLocalSuffix', property: 'personal.phone' },
+        'tel-extension': { key: 'phoneExtension', property: 'personal.phone' },
+        'email': { key: 'email', property: 'personal.email' },
+        'impp': { key: null, property: null }
+    };
+
+    /**
+     * Field names that may carry a home/work/mobile/fax/pager hint
+     * @private
+     */
+    static CONTACT_FIELDS = [
+        'tel', 'tel-country-code', 'tel-national', 'tel-area-code', 'tel-local',
+        'tel-local-prefix', 'tel-local-suffix', 'tel-extension', 'email', 'impp'
+    ];
+
+    static ADDRESS_TYPES = ['shipping', 'billing'];
+
+    static CONTACT_TYPES = ['home', 'work', 'mobile', 'fax', 'pager'];
+
+    /**
+     * Parse an autocomplete attribute value.
+     * Grammar: [section-*] [shipping|billing] [home|work|mobile|fax|pager] field-name [webauthn]
+     * @param {string} value - Attribute value
+     * @returns {Object|null} Parsed token with section, addressType, contactType,
+     *     fieldName, key and property; null for on/off, empty or invalid values
+     */
+    static parse(value) {
+        const tokens = (value || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+        if (tokens[tokens.length - 1] === 'webauthn') {
+            tokens.pop();
+        }
+
+        const fieldName = tokens.pop();
+        const field = AutocompleteTokens.FIELDS[fieldName];
+        if (!field) {
+            return null;
+        }
+
+        const result = {
+            section: null,
+            addressType: null,
+            contactType: null,
+            fieldName,
+            key: field.key,
+            property: field.property
+        };
+
+        if (AutocompleteTokens.CONTACT_TYPES.includes(tokens[tokens.length - 1])) {
+            if (!AutocompleteTokens.CONTACT_FIELDS.includes(fieldName)) {
+                return null;
+            }
+            result.contactType = tokens.pop();
+        }
+
+        if (AutocompleteTokens.ADDRESS_TYPES.includes(tokens[tokens.length - 1])) {
+            result.addressType = tokens.pop();
+        }
+
+        if (tokens[tokens.length - 1]?.startsWith('section-')) {
+            result.section = tokens.pop().slice('section-'.length);
+        }
+
+        // Anything left over makes the whole value invalid
+        return tokens.length === 0 ? result : null;
+    }
+
+    /**
+     * Parse the autocomplete attribute of a form element
+     * @param {HTMLElement} element - Form element
+     * @returns {Object|null} Parsed token, see parse()
+     */
+    static fromElement(element) {
+        return AutocompleteTokens.parse(element.getAttribute?.('autocomplete'));
+    }
+}
+
+export { AutocompleteTokens };
@@ -5,11 +5,181 @@
 
 import { FormField, FieldMapping } from './models.js';
 import { fieldMapper } from './fieldMapper.js';
+import { siteRecipeService } from './siteRecipeService.js';
+import { fieldMappingService } from './fieldMappingService.js';
+import { SelectorUtils } from './selectorUtils.js';
+import { DomWalker } from './domWalker.js';
+import { EditorDetector } from './editorDetector.js';
+import { FieldConstraints } from './fieldConstraints.js';
+import { TextFitter } from './textFitter.js';
+import { TemplateResolver } from './templateResolver.js';
+import { PostalAddress } from './postalAddress.js';
+import { PhoneNumber } from './phoneNumber.js';
+import { PhoneFields } from './phoneFields.js';
 import { FIELD_TYPES, FIELD_CATEGORIES } from './constants.js';
 
 export class AutofillService {
+    /**
+     * Profile paths holding the same description in different lengths
+     * @private
+     */
+    static DESCRIPTION_PATHS = ['business.descriptionShort', 'business.description', 'business.descriptionLong'];
+
+    /**
+     * Address field keys and the PostalAddress component each one takes
+     */
+    static ADDRESS_COMPONENTS = {
+        address: 'line1',
+        address2: 'line2',
+        streetNumber: 'streetNumber',
+        streetName: 'streetName',
+        city: 'locality',
+        state: 'region',
+        zip: 'postalCode',
+        zipSuffix: 'postalCodeSuffix',
+        country: 'country'
+    };
+
+    /**
+     * Field keys for the phone number or a piece of it
+     */
+    static PHONE_KEYS = [
+        'phone', 'phoneNational', 'phoneCountryCode', 'phoneAreaCode',
+        'phoneLocal', 'phoneLocalPrefix', 'phoneLocalSuffix', 'phoneExtension'
+    ];
+
+    /**
+     * Field keys whose profile property is not named after the key in its
+     * category's section
+     */
+    static KEY_PATHS = {
+        email: 'personal.email',
+        company: 'business.companyName',
+        website: 'personal.website',
+        password: 'password'
+    };
+
+    /**
+     * Profile paths of the universal text fields that may hold spintax and
+     * variables; everything else, such as the password or social links, is
+     * filled exactly as saved
+     * @private
+     */
+    static TEMPLATE_PATHS = [
+        'business.title', 'business.companyName', 'business.descriptionShort',
+        'business.description', 'business.descriptionLong', 'keywords'
+    ];
+
     constructor() {
         this.fieldMappings = new Map();
+        this.recipeMappings = new Map();
+    }
+
+    /**
+     * Load the site recipes that apply to a page
+     * @param {string} url - Page URL
+     * @returns {Promise<number>} Number of recipe mappings loaded
+     */
+    async loadSiteRecipes(url) {
+        this.recipeMappings.clear();
+
+        const recipes = await siteRecipeService.getRecipesForUrl(url);
+        for (const recipe of recipes) {
+            // Recipes come most specific first, so their selectors win
+            for (const [selector, mapping] of recipe.toFieldMappings()) {
+                if (!this.recipeMappings.has(selector)) {
+                    this.recipeMappings.set(selector, mapping);
+                }
+            }
+        }
+
+        return this.recipeMappings.size;
+    }
+
+    /**
+     * Load the mappings learned from manual corrections on a page's domain
+     * @param {string} url - Page URL
+     * @returns {Promise<number>} Number of mappings loaded
+     */
+    async loadLearnedMappings(url) {
+        this.clearFieldMappings();
+
+        const mappings = await fieldMappingService.getMappingsForUrl(url);
+        mappings.forEach(mapping => this.setFieldMapping(mapping.fieldId, mapping));
+
+        return mappings.length;
+    }
+
+    /**
+     * Create form fields for the elements targeted by site recipes
+     * and learned mappings
+     * @param {Document|HTMLElement} root - Where to look for elements
+     * @returns {Array<FormField>} Mapped fields
+     */
+    analyzeMappedFields(root = document) {
+        const elements = new Set();
+
+        for (const selector of this.recipeMappings.keys()) {
+            try {
+                const element = SelectorUtils.querySelector(selector, root);
+                if (element) elements.add(element);
+            } catch (error) {
+                console.warn('Invalid recipe selector:', selector, error);
+            }
+        }
+
+        for (const fieldId of this.fieldMappings.keys()) {
+            const element = this.findElementByFieldKey(fieldId, root);
+            if (element) elements.add(element);
+        }
+
+        return Array.from(elements)
+            .map(element => this.createFieldFromElement(element))
+            .filter(Boolean);
+    }
+
+    /**
+     * Create form fields for every fillable element on the page: the fields
+     * of its forms, fields outside forms, and those in open shadow roots and
+     * same-origin frames
+     * @returns {Array<FormField>} Detected fields
+     */
+    analyzePage() {
+        const elements = new Set(this.getFormElements(document));
+        Array.from(document.forms).forEach(form => {
+            Array.from(form.elements).forEach(element => elements.add(element));
+        });
+
+        return Array.from(elements)
+            .map(element => this.createFieldFromElement(element))
+            .filter(Boolean);
+    }
+
+    /**
+     * Get the key that identifies a field in learned mappings:
+     * its ID, its name, or a generated selector
+     * @param {HTMLElement} element - Form element
+     * @returns {string} Field key
+     */
+    getFieldKey(element) {
+        return element.id || element.name || SelectorUtils.getStableSelector(element);
+    }
+
+    /**
+     * Find the element a field key refers to
+     * @private
+     * @param {string} fieldKey - Key from getFieldKey
+     * @param {Document|HTMLElement} root - Where to look
+     * @returns {HTMLElement|null} Element
+     */
+    findElementByFieldKey(fieldKey, root) {
+        try {
+            return DomWalker.querySelector(`#${CSS.escape(fieldKey)}`, root) ||
+                DomWalker.querySelector(`[name="${CSS.escape(fieldKey)}"]`, root) ||
+                SelectorUtils.querySelector(fieldKey, root);
+        } catch {
+            return null;
+        }
     }
 
     /**
@@ -49,17 +219,43 @@ export class AutofillService {
         }
 
         return new FormField({
-            id: element.id || element.name,
+            id: this.getFieldKey(element),
+            selector: this.findRecipeSelector(element) || SelectorUtils.getStableSelector(element),
             name: element.name || element.id,
             type: mapping.type,
             label: mapping.labelText || '',
             placeholder: element.placeholder || '',
             required: element.required,
             category: mapping.category,
-            mapping: mapping.key
+            mapping: mapping.key,
+            confidence: mapping.confidence,
+            autocomplete: element.getAttribute('autocomplete') || '',
+            property: mapping.property
         });
     }
 
+    /**
+     * Find the recipe selector that targets an element
+     * @private
+     * @param {HTMLElement} element - Form element
+     * @returns {string|null} Selector
+     */
+    findRecipeSelector(element) {
+        for (const selector of this.recipeMappings.keys()) {
+            try {
+                const matches = selector.includes(SelectorUtils.DEEP_SEPARATOR)
+                    ? SelectorUtils.querySelector(selector) === element
+                    : element.matches(selector);
+                if (matches) {
+                    return selector;
+                }
+            } catch {
+                // Invalid selectors are reported when recipe fields are analyzed
+            }
+        }
+        return null;
+    }
+
     /**
      * Check if element is a valid form input
      * @private
@@ -67,10 +263,15 @@ export class AutofillService {
      * @returns {boolean} Whether element is valid
      */
     isValidFormElement(element) {
+        // Rich text editors hide their textarea or edit a non-input element
+        if (EditorDetector.detect(element)) {
+            return !element.closest('[data-sfp-ui]');
+        }
+
         // Skip hidden elements
         if (element.type === 'hidden' || 
             !element.offsetParent || 
-            window.getComputedStyle(element).display === 'none') {
+            element.ownerDocument.defaultView.getComputedStyle(element).display === 'none') {
             return false;
         }
 
@@ -86,11 +287,17 @@ export class AutofillService {
             return false;
         }
 
+        // Skip controls the extension itself adds to the page
+        if (element.closest('[data-sfp-ui]')) {
+            return false;
+        }
+
         return true;
     }
 
     /**
-     * Get all form elements including those outside <form>
+     * Get all form elements including those outside <form>, in open
+     * shadow roots and in same-origin frames
      * @private
      * @param {HTMLFormElement} form - Form element or document
      * @returns {Array<HTMLElement>} Form elements
@@ -98,18 +305,30 @@ export class AutofillService {
     getFormElements(form) {
         const elements = [];
 
-        // Get elements within form
-        if (form instanceof HTMLFormElement) {
+        // Get elements within form; tagName also holds for forms from a frame
+        if (form?.tagName === 'FORM') {
             elements.push(...Array.from(form.elements));
         }
 
-        // Get elements outside forms
-        const standaloneInputs = document.querySelectorAll(
-            'input:not(form input), select:not(form select), textarea:not(form textarea)'
-        );
-        elements.push(...Array.from(standaloneInputs));
+        DomWalker.getRoots(document).forEach(root => {
+            // Forms of the page itself are analyzed one by one; inside
+            // shadow roots and frames every field counts
+            const selector = root === document
+                ? 'input:not(form input), select:not(form select), textarea:not(form textarea)'
+                : 'input, select, textarea';
+            elements.push(...Array.from(root.querySelectorAll(selector)));
 
-        return elements;
+            // Editors with no textarea behind them, such as Quill or a bare
+            // contenteditable element; editor iframe bodies belong to a textarea
+            root.querySelectorAll('[contenteditable]').forEach(element => {
+                if (element.isContentEditable && element.tagName !== 'BODY' &&
+                    !element.parentElement?.isContentEditable) {
+                    elements.push(element);
+                }
+            });
+        });
+
+        return [...new Set(elements)];
     }
 
     /**
@@ -121,15 +340,83 @@ export class AutofillService {
     mapProfileToFields(profile, fields) {
         const mappedData = {};
 
+        // Spintax and variables resolve once per directory, before mappings transform them
+        const resolved = this.resolveTemplates(profile);
+
         for (const field of fields) {
-            const value = this.getValueForField(profile, field);
+            const value = this.getValueForField(resolved, field, fields);
             if (value !== null) {
                 const selector = this.getFieldSelector(field);
-                mappedData[selector] = value;
+                mappedData[selector] = this.fitToField(resolved, field, value);
             }
         }
 
-        return mappedData;
+        return { ...this.mapPhoneSiblings(resolved, fields), ...mappedData };
+    }
+
+    /**
+     * Plain copy of a profile with its template fields resolved for the
+     * current directory
+     * @private
+     * @param {Object} profile - Profile data
+     * @returns {Object} Resolved copy
+     */
+    resolveTemplates(profile) {
+        const context = { profile, domain: window.location.hostname };
+        const resolved = { ...profile };
+
+        for (const path of AutofillService.TEMPLATE_PATHS) {
+            const keys = path.split('.');
+            const last = keys.pop();
+            // Copy each section on the way, so the profile itself is left alone
+            const parent = keys.reduce((curr, key) => (curr[key] = { ...curr[key] }), resolved);
+            if (typeof parent[last] === 'string') {
+                parent[last] = TemplateResolver.resolve(parent[last], context);
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Explain why each field receives its value
+     * @param {Array<FormField>} fields - Form fields
+     * @returns {Object} Reasons mapped by selector
+     */
+    describeMatches(fields) {
+        const reasons = {};
+
+        for (const field of fields) {
+            const selector = this.getFieldSelector(field);
+            if (selector) {
+                reasons[selector] = this.getMatchReason(field);
+            }
+        }
+
+        return reasons;
+    }
+
+    /**
+     * Describe which rule getValueForField uses for a field
+     * @private
+     * @param {FormField} field - Form field
+     * @returns {string} Reason
+     */
+    getMatchReason(field) {
+        if (field.selector && this.recipeMappings.has(field.selector)) {
+            return `Site recipe → ${this.recipeMappings.get(field.selector).profileProperty}`;
+        }
+        if (this.fieldMappings.has(field.id)) {
+            return `Learned from your corrections → ${this.fieldMappings.get(field.id).profileProperty}`;
+        }
+        if (field.property) {
+            return `autocomplete="${field.autocomplete}" → ${field.property}`;
+        }
+        if (field.mapping) {
+            const confidence = field.confidence ? ` (${Math.round(field.confidence * 100)}% confident)` : '';
+            return `Detected as ${field.mapping}${confidence}`;
+        }
+        return 'No match';
     }
 
     /**
@@ -137,30 +424,46 @@ export class AutofillService {
      * @private
      * @param {Object} profile - Profile data
      * @param {FormField} field - Form field
+     * @param {Array<FormField>} [fields] - Every field of the form
      * @returns {string|null} Field value
      */
-    getValueForField(profile, field) {
-        // Try custom mapping first
+    getValueForField(profile, field, fields = []) {
+        // Site recipes override every other mapping
+        const recipeMapping = field.selector && this.recipeMappings.get(field.selector);
+        if (recipeMapping) {
+            return recipeMapping.getValue(profile) || null;
+        }
+
+        // Try custom mapping
         const mapping = this.fieldMappings.get(field.id);
         if (mapping) {
             return mapping.getValue(profile);
         }
 
+        // Address fields take the component their key names, shaped to the field
+        if (field.category === FIELD_CATEGORIES.ADDRESS && AutofillService.ADDRESS_COMPONENTS[field.mapping]) {
+            return this.getAddressValue(profile, field, fields) || null;
+        }
+
+        // Autocomplete tokens name the exact profile property
+        if (field.property) {
+            const value = field.property.split('.').reduce((curr, key) => curr?.[key], profile);
+            return value || null;
+        }
+
+        // Every phone key reads the one number; fitToField cuts out its piece
+        if (AutofillService.PHONE_KEYS.includes(field.mapping)) {
+            return profile.personal?.phone || null;
+        }
+
+        const path = AutofillService.KEY_PATHS[field.mapping];
+        if (path) {
+            return path.split('.').reduce((curr, key) => curr?.[key], profile) || null;
+        }
+
         // Try automatic mapping
         if (field.mapping) {
-            let section = '';
-            switch (field.category) {
-                case FIELD_CATEGORIES.PERSONAL:
-                    section = 'personal';
-                    break;
-                case FIELD_CATEGORIES.BUSINESS:
-                    section = 'business';
-                    break;
-                case FIELD_CATEGORIES.SOCIAL:
-                    section = 'socialMedia';
-                    break;
-            }
-
+            const section = this.getCategorySection(field.category);
             if (section && profile[section]?.[field.mapping]) {
                 return profile[section][field.mapping];
             }
@@ -169,6 +472,158 @@ export class AutofillService {
         return null;
     }
 
+    /**
+     * Values for the unlabeled inputs a mapped phone input is split with,
+     * such as the two after an "Area code" input
+     * @private
+     * @param {Object} profile - Profile data
+     * @param {Array<FormField>} fields - Form fields
+     * @returns {Object} Values mapped by selector
+     */
+    mapPhoneSiblings(profile, fields) {
+        const phone = PhoneNumber.parse(profile.personal?.phone, profile.personal?.phoneCountry);
+        if (!phone) {
+            return {};
+        }
+
+        const siblings = {};
+        for (const field of fields) {
+            if (this.getProfilePath(field) !== 'personal.phone') continue;
+
+            const element = SelectorUtils.querySelector(this.getFieldSelector(field));
+            if (!element) continue;
+
+            PhoneFields.getGroup(element)
+                .filter(member => member !== element)
+                .forEach(member => {
+                    const value = PhoneFields.getValue(phone, member, { homeCountry: profile.address?.countryCode });
+                    if (value) {
+                        siblings[SelectorUtils.getStableSelector(member)] = value;
+                    }
+                });
+        }
+        return siblings;
+    }
+
+    /**
+     * Address component for a field. A lone address field, with no city or
+     * postal code field beside it, takes the whole address formatted for
+     * its country: on several lines in a textarea, on one line otherwise.
+     * @private
+     * @param {Object} profile - Profile data
+     * @param {FormField} field - Address field
+     * @param {Array<FormField>} fields - Every field of the form
+     * @returns {string} Value
+     */
+    getAddressValue(profile, field, fields) {
+        const address = profile.address;
+        if (!PostalAddress.isSet(address)) {
+            return '';
+        }
+
+        const element = SelectorUtils.querySelector(this.getFieldSelector(field));
+        const hasParts = fields.some(other => other !== field &&
+            other.category === FIELD_CATEGORIES.ADDRESS && ['city', 'zip'].includes(other.mapping));
+        if (field.mapping === 'address' && !hasParts) {
+            return PostalAddress.format(address, { multiline: element?.tagName === 'TEXTAREA' });
+        }
+
+        return PostalAddress.getComponent(address, AutofillService.ADDRESS_COMPONENTS[field.mapping], {
+            maxLength: element?.maxLength
+        });
+    }
+
+    /**
+     * Fit a value to the limits the field shows. Descriptions use whichever
+     * stored length fits best; keyword lists are joined up to the limit.
+     * @private
+     * @param {Object} profile - Profile data
+     * @param {FormField} field - Form field
+     * @param {string} value - Value from getValueForField
+     * @returns {string} Value to fill
+     */
+    fitToField(profile, field, value) {
+        if (typeof value !== 'string' || !value) {
+            return value;
+        }
+
+        const element = SelectorUtils.querySelector(this.getFieldSelector(field));
+        if (!element) {
+            return value;
+        }
+
+        const constraints = FieldConstraints.read(element);
+        const path = this.getProfilePath(field);
+        const getValue = property => property.split('.').reduce((curr, key) => curr?.[key], profile);
+
+        if (path === 'keywords') {
+            return TextFitter.joinKeywords(value, constraints) || value;
+        }
+
+        // The stored number is written the way the field wants it
+        if (path === 'personal.phone' && value === getValue(path)) {
+            const phone = PhoneNumber.parse(value, profile.personal.phoneCountry);
+            return phone ? PhoneFields.getValue(phone, element, { homeCountry: profile.address?.countryCode }) : value;
+        }
+
+        // The mapped description wins while it fits; a transformed one is only trimmed
+        if (AutofillService.DESCRIPTION_PATHS.includes(path) && value === getValue(path) &&
+            !TextFitter.fits(value, constraints)) {
+            return TextFitter.pickVariant(AutofillService.DESCRIPTION_PATHS.map(getValue), constraints);
+        }
+
+        return TextFitter.trim(value, constraints) || value;
+    }
+
+    /**
+     * Profile property a field is filled from, following the same rules
+     * as getValueForField
+     * @private
+     * @param {FormField} field - Form field
+     * @returns {string|null} Dotted profile path
+     */
+    getProfilePath(field) {
+        const recipeMapping = field.selector && this.recipeMappings.get(field.selector);
+        if (recipeMapping) {
+            return recipeMapping.profileProperty;
+        }
+
+        const mapping = this.fieldMappings.get(field.id);
+        if (mapping) {
+            return mapping.profileProperty;
+        }
+
+        if (field.property) {
+            return field.property;
+        }
+
+        if (AutofillService.PHONE_KEYS.includes(field.mapping)) {
+            return 'personal.phone';
+        }
+
+        const section = field.mapping && this.getCategorySection(field.category);
+        return section ? `${section}.${field.mapping}` : null;
+    }
+
+    /**
+     * Profile section a field category reads from
+     * @private
+     * @param {string} category - FIELD_CATEGORIES value
+     * @returns {string} Section name, or '' for categories with no section
+     */
+    getCategorySection(category) {
+        switch (category) {
+            case FIELD_CATEGORIES.PERSONAL:
+                return 'personal';
+            case FIELD_CATEGORIES.BUSINESS:
+                return 'business';
+            case FIELD_CATEGORIES.SOCIAL:
+                return 'socialMedia';
+            default:
+                return '';
+        }
+    }
+
     /**
      * Get CSS selector for field
      * @private
@@ -176,6 +631,9 @@ export class AutofillService {
      * @returns {string} CSS selector
      */
     getFieldSelector(field) {
+        if (field.selector) {
+            return field.selector;
+        }
         if (field.id) {
             return `#${field.id}`;
         }
@@ -208,4 +666,7 @@ export class AutofillService {
     clearFieldMappings() {
         this.fieldMappings.clear();
     }
-}
\ No newline at end of file
+}
+
+// Export singleton instance
+export const autofillService = new AutofillService();
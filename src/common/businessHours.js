@@ -0,0 +1,311 @@
+/**
+ * Business Hours
+ * Weekly opening hours as a structure: each day is open for one or more
+ * periods (more than one when it closes for a break), closed, or open
+ * 24 hours. Parses free text such as "Mon-Fri 9am-12pm, 1pm-5pm; Sat
+ * 10-2; Sun closed" and formats the structure back into text.
+ *
+ * Shape: { monday: { status: 'open', periods: [{ open: '09:00', close: '17:00' }] }, ... }
+ */
+
+class BusinessHours {
+    static DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+    static STATUSES = {
+        OPEN: 'open',
+        CLOSED: 'closed',
+        ALL_DAY: '24h'
+    };
+
+    /**
+     * Day names and abbreviations, matched as whole words
+     * @private
+     */
+    static DAY_PATTERN = '(?:mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)\\.?';
+
+    /**
+     * Words naming several days at once
+     * @private
+     */
+    static DAY_GROUPS = {
+        daily: [0, 1, 2, 3, 4, 5, 6],
+        'every day': [0, 1, 2, 3, 4, 5, 6],
+        '7 days': [0, 1, 2, 3, 4, 5, 6],
+        weekdays: [0, 1, 2, 3, 4],
+        'm-f': [0, 1, 2, 3, 4],
+        weekends: [5, 6],
+        weekend: [5, 6]
+    };
+
+    /**
+     * "9", "9am", "9:30 p.m.", "17:00", "0900", "noon", "midnight"
+     * @private
+     */
+    static TIME_PATTERN = '(?:noon|midday|midnight|\\d{1,2}(?:[:.h]\\d{2}|\\d{2})?\\s*(?:[ap]\\.?m\\.?)?)';
+
+    static ALL_DAY_PATTERN = /24\s*\/\s*7|24\s*h(?:ours|rs)?\b|open 24|all day|round the clock/i;
+
+    static CLOSED_PATTERN = /\bclosed\b|\bshut\b|by appointment only/i;
+
+    /**
+     * Whether hours hold any day
+     * @param {Object} hours - Weekly hours
+     * @returns {boolean} True if at least one day is set
+     */
+    static isSet(hours) {
+        return Boolean(hours) && this.DAYS.some(day => hours[day]?.status);
+    }
+
+    /**
+     * Read weekly hours from free text. Days the text does not mention are closed.
+     * @param {string} text - Hours such as "Mon-Fri 9am-5pm, Sat 10am-2pm, Sun closed"
+     * @returns {Object|null} Weekly hours, or null if the text names no hours
+     */
+    static parse(text) {
+        const value = String(text || '')
+            .toLowerCase()
+            .replace(/[–—−]/g, '-')
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (!value) return null;
+
+        const hours = {};
+        const dayPattern = new RegExp(
+            `\\b(${this.DAY_PATTERN})(?:\\s*(?:-|to|through|thru)\\s*(${this.DAY_PATTERN}))?(?![a-z])|` +
+            `\\b(${Object.keys(this.DAY_GROUPS).join('|')})\\b`, 'g');
+
+        // Text between one day and the next holds that day's hours; days
+        // with nothing between them, as in "Mon, Wed 9-5", share the hours
+        const matches = Array.from(value.matchAll(dayPattern));
+        let pending = [];
+        matches.forEach((match, index) => {
+            pending.push(...this.getMatchedDays(match));
+            const end = matches[index + 1]?.index ?? value.length;
+            const schedule = this.parseSchedule(value.slice(match.index + match[0].length, end));
+            if (schedule) {
+                pending.forEach(day => { hours[this.DAYS[day]] = schedule; });
+                pending = [];
+            }
+        });
+
+        // "9am-5pm" or "24/7" alone applies to every day
+        if (matches.length === 0) {
+            const schedule = this.parseSchedule(value);
+            if (!schedule) return null;
+            this.DAYS.forEach(day => { hours[day] = schedule; });
+        }
+
+        if (!this.isSet(hours)) return null;
+
+        this.DAYS.forEach(day => {
+            hours[day] = hours[day] || { status: this.STATUSES.CLOSED, periods: [] };
+        });
+        return hours;
+    }
+
+    /**
+     * Write weekly hours as text, days with the same hours grouped
+     * @param {Object} hours - Weekly hours
+     * @param {Object} [options]
+     * @param {number} [options.clock=12] - 12 or 24 hour times
+     * @param {string} [options.separator='; '] - Between day groups
+     * @returns {string} Text such as "Mon-Fri: 9:00 AM-5:00 PM; Sat-Sun: Closed"
+     */
+    static format(hours, { clock = 12, separator = '; ' } = {}) {
+        if (!this.isSet(hours)) return '';
+
+        const groups = [];
+        this.DAYS.forEach(day => {
+            const text = this.formatDay(hours[day], clock);
+            const last = groups[groups.length - 1];
+            if (last && last.text === text) {
+                last.days.push(day);
+            } else {
+                groups.push({ days: [day], text });
+            }
+        });
+
+        const abbreviate = day => day.charAt(0).toUpperCase() + day.slice(1, 3);
+        return groups.map(({ days, text }) => {
+            const range = days.length > 1
+                ? `${abbreviate(days[0])}-${abbreviate(days[days.length - 1])}`
+                : abbreviate(days[0]);
+            return `${range}: ${text}`;
+        }).join(separator);
+    }
+
+    /**
+     * Text for one day's hours
+     * @param {Object} schedule - One day of weekly hours
+     * @param {number} [clock=12] - 12 or 24 hour times
+     * @returns {string} "9:00 AM-5:00 PM", "Closed" or "Open 24 hours"
+     */
+    static formatDay(schedule, clock = 12) {
+        if (schedule?.status === this.STATUSES.ALL_DAY) return 'Open 24 hours';
+        if (schedule?.status !== this.STATUSES.OPEN || !schedule.periods?.length) return 'Closed';
+
+        return schedule.periods
+            .map(period => `${this.formatTime(period.open, clock)}-${this.formatTime(period.close, clock)}`)
+            .join(', ');
+    }
+
+    /**
+     * Write a time the way a form shows it
+     * @param {string} time - "HH:MM"
+     * @param {number} [clock=12] - 12 for "9:00 AM", 24 for "09:00"
+     * @returns {string} Formatted time
+     */
+    static formatTime(time, clock = 12) {
+        const minutes = this.toMinutes(time);
+        if (minutes === null) return '';
+        if (clock === 24) return time;
+
+        const hour = Math.floor(minutes / 60) % 24;
+        const suffix = hour < 12 ? 'AM' : 'PM';
+        return `${hour % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${suffix}`;
+    }
+
+    /**
+     * Minutes after midnight for a time written in any common way
+     * @param {string} text - "9", "9:30 pm", "17:00", "17:00:00", "0900", "noon"
+     * @returns {number|null} Minutes, or null if the text is not a time
+     */
+    static toMinutes(text) {
+        const value = String(text ?? '').trim().toLowerCase();
+        if (/^(?:noon|midday)$/.test(value)) return 12 * 60;
+        if (value === 'midnight') return 0;
+
+        const match = value.match(/^(\d{1,2})(?:[:.h]?(\d{2}))?(?::\d{2})?\s*(?:([ap])\.?m\.?)?$/);
+        if (!match) return null;
+
+        let hour = Number(match[1]);
+        const minute = Number(match[2] || 0);
+        if (minute > 59 || hour > 24 || (match[3] && (hour === 0 || hour > 12))) return null;
+
+        if (match[3] === 'p' && hour < 12) hour += 12;
+        if (match[3] === 'a' && hour === 12) hour = 0;
+        return hour * 60 + minute;
+    }
+
+    /**
+     * "HH:MM" for minutes after midnight
+     * @param {number} minutes - Minutes
+     * @returns {string} Time
+     */
+    static fromMinutes(minutes) {
+        const hour = Math.floor(minutes / 60) % 24;
+        return `${String(hour).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Day a piece of text names, if it names exactly one
+     * @param {string} text - Label, name or id
+     * @returns {string|null} Day such as 'monday'
+     */
+    static findDay(text) {
+        const days = this.findDays(text);
+        return days.length === 1 ? days[0] : null;
+    }
+
+    /**
+     * Every day a piece of text names
+     * @param {string} text - Label, name or id
+     * @returns {Array<string>} Days in week order
+     */
+    static findDays(text) {
+        const found = new Set();
+        const pattern = new RegExp(`(?:^|[^a-z])(${this.DAY_PATTERN})(?![a-z])`, 'gi');
+        for (const match of String(text || '').matchAll(pattern)) {
+            found.add(this.getDayIndex(match[1]));
+        }
+        return [...found].sort().map(index => this.DAYS[index]);
+    }
+
+    /**
+     * Day indexes one day match covers
+     * @private
+     */
+    static getMatchedDays(match) {
+        if (match[3]) return this.DAY_GROUPS[match[3]];
+
+        const start = this.getDayIndex(match[1]);
+        if (!match[2]) return [start];
+
+        // "Fri-Mon" wraps past Sunday
+        const end = this.getDayIndex(match[2]);
+        const days = [];
+        for (let day = start; days.length < 7; day = (day + 1) % 7) {
+            days.push(day);
+            if (day === end) break;
+        }
+        return days;
+    }
+
+    /**
+     * @private
+     */
+    static getDayIndex(name) {
+        return this.DAYS.findIndex(day => day.startsWith(name.toLowerCase().replace('.', '').slice(0, 3)));
+    }
+
+    /**
+     * One day's hours from the text after its name
+     * @private
+     */
+    static parseSchedule(text) {
+        const rangePattern = new RegExp(
+            `(${this.TIME_PATTERN})\\s*(?:-|to|until|till)\\s*(${this.TIME_PATTERN})`, 'gi');
+
+        const periods = [];
+        for (const match of text.matchAll(rangePattern)) {
+            const period = this.readPeriod(match[1], match[2], periods[periods.length - 1]);
+            if (period) periods.push(period);
+        }
+
+        // "00:00-24:00" is also a full day
+        const fullDay = periods.length === 1 && periods[0].open === '00:00' && periods[0].close === '23:59';
+        if (fullDay || (periods.length === 0 && this.ALL_DAY_PATTERN.test(text))) {
+            return { status: this.STATUSES.ALL_DAY, periods: [] };
+        }
+        if (periods.length > 0) {
+            return { status: this.STATUSES.OPEN, periods };
+        }
+        if (this.CLOSED_PATTERN.test(text)) {
+            return { status: this.STATUSES.CLOSED, periods: [] };
+        }
+        return null;
+    }
+
+    /**
+     * Turn one written range into opening and closing times, guessing
+     * AM or PM where the text leaves it out: "9-5" is 9 AM to 5 PM, and
+     * "1-5" after a morning period is the afternoon
+     * @private
+     */
+    static readPeriod(openText, closeText, previous) {
+        const hasMeridiem = text => /[ap]\.?m/i.test(text);
+        let open = this.toMinutes(openText);
+        let close = this.toMinutes(closeText);
+        if (open === null || close === null) return null;
+
+        if (!hasMeridiem(openText) && hasMeridiem(closeText) && /p/i.test(closeText) &&
+            open < 12 * 60 && open + 12 * 60 < close) {
+            open += 12 * 60;
+        }
+        if (!hasMeridiem(openText) && previous && open < this.toMinutes(previous.close) && open < 12 * 60) {
+            open += 12 * 60;
+        }
+        // Closing at midnight or 24:00 is the end of the day
+        if (close === 0 || close === 24 * 60) {
+            close = 23 * 60 + 59;
+        }
+        if (!hasMeridiem(closeText) && close <= open && close < 12 * 60) {
+            close += 12 * 60;
+        }
+        if (close <= open) return null;
+
+        return { open: this.fromMinutes(open), close: this.fromMinutes(close) };
+    }
+}
+
+export { BusinessHours };
@@ -0,0 +1,137 @@
+/**
+ * Campaign Service
+ * Persists campaigns and their run progress
+ */
+
+import { storageService } from './storage.js';
+import { Campaign } from './models.js';
+import { STORAGE_KEYS, CAMPAIGN_STATUSES } from './constants.js';
+
+// Campaign progress is rewritten on every step, so it stays in local storage
+const USE_SYNC = false;
+
+export class CampaignService {
+    /**
+     * Get all campaigns, optionally for one profile or one of its locations
+     * @param {string} [profileId] - Profile ID
+     * @param {string|null} [locationId] - Location ID; null for the profile's own
+     *     address, omitted for every location
+     * @returns {Promise<Array<Campaign>>} Campaigns
+     */
+    async getCampaigns(profileId, locationId) {
+        const campaigns = await this.loadCampaigns();
+        return campaigns.filter(campaign =>
+            (!profileId || campaign.profileId === profileId) &&
+            (locationId === undefined || campaign.locationId === locationId));
+    }
+
+    /**
+     * Get campaign by ID
+     * @param {string} id - Campaign ID
+     * @returns {Promise<Campaign|null>} Campaign if found
+     */
+    async getCampaign(id) {
+        const campaigns = await this.loadCampaigns();
+        return campaigns.find(campaign => campaign.id === id) || null;
+    }
+
+    /**
+     * Get the campaign that is currently running, if any
+     * @returns {Promise<Campaign|null>} Running campaign
+     */
+    async getRunningCampaign() {
+        const campaigns = await this.loadCampaigns();
+        return campaigns.find(campaign => campaign.status === CAMPAIGN_STATUSES.RUNNING) || null;
+    }
+
+    /**
+     * Create new campaign
+     * @param {Object} data - Campaign data
+     * @returns {Promise<Campaign>} Created campaign
+     */
+    async createCampaign(data) {
+        const campaign = new Campaign({
+            ...data,
+            urls: this.parseUrls(data.urls)
+        });
+
+        const validation = campaign.validate();
+        if (!validation.isValid) {
+            throw new Error('Invalid campaign data: ' + validation.errors.join(', '));
+        }
+
+        campaign.id = this.generateCampaignId();
+
+        const campaigns = await this.loadCampaigns();
+        campaigns.push(campaign);
+        await this.saveCampaigns(campaigns);
+
+        return campaign;
+    }
+
+    /**
+     * Save changes to an existing campaign
+     * @param {Campaign} campaign - Campaign to save
+     */
+    async saveCampaign(campaign) {
+        const campaigns = await this.loadCampaigns();
+        const index = campaigns.findIndex(c => c.id === campaign.id);
+        if (index < 0) {
+            throw new Error('Campaign not found');
+        }
+
+        campaigns[index] = campaign;
+        await this.saveCampaigns(campaigns);
+    }
+
+    /**
+     * Delete campaign
+     * @param {string} id - Campaign ID
+     */
+    async deleteCampaign(id) {
+        const campaigns = await this.loadCampaigns();
+        await this.saveCampaigns(campaigns.filter(campaign => campaign.id !== id));
+    }
+
+    /**
+     * Normalize a URL list given as text (one per line) or array
+     * @private
+     * @param {string|Array<string>} urls - URLs
+     * @returns {Array<string>} Trimmed, de-duplicated URLs
+     */
+    parseUrls(urls = []) {
+        const list = Array.isArray(urls) ? urls : urls.split(/\r?\n/);
+        return [...new Set(list.map(url => url.trim()).filter(Boolean))];
+    }
+
+    /**
+     * Load campaigns from storage
+     * @private
+     */
+    async loadCampaigns() {
+        const data = await storageService.get(STORAGE_KEYS.CAMPAIGNS, USE_SYNC);
+        return (data[STORAGE_KEYS.CAMPAIGNS] || []).map(campaign => new Campaign(campaign));
+    }
+
+    /**
+     * Persist campaigns
+     * @private
+     */
+    async saveCampaigns(campaigns) {
+        await storageService.set({
+            [STORAGE_KEYS.CAMPAIGNS]: campaigns
+        }, USE_SYNC);
+    }
+
+    /**
+     * Generate unique campaign ID
+     * @private
+     * @returns {string} New campaign ID
+     */
+    generateCampaignId() {
+        return 'campaign_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+// Export singleton instance
+export const campaignService = new CampaignService();
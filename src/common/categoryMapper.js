@@ -0,0 +1,229 @@
+/**
+ * Category Mapper
+ * Maps the client's free-text category onto a directory's own category
+ * tree. Every option is scored with its optgroup parent as a path, using
+ * the category and its synonyms, and the choice is remembered per domain
+ * so a directory is always filled the same way.
+ */
+
+import { storageService } from './storage.js';
+import { STORAGE_KEYS } from './constants.js';
+import { DomainUtils } from './domainUtils.js';
+import { optionMatcher } from './optionMatcher.js';
+
+// Mappings are per device; they are cheap to re-learn and can grow large
+const USE_SYNC = false;
+
+class CategoryMapper {
+    /**
+     * Groups of interchangeable category names. A category matching any
+     * term in a group is also scored against the rest of the group.
+     * @private
+     */
+    static SYNONYMS = [
+        ['restaurant', 'restaurants', 'dining', 'eatery', 'food and dining', 'food and drink'],
+        ['cafe', 'cafes', 'coffee shop', 'coffee house'],
+        ['bar', 'bars', 'pub', 'pubs', 'nightlife'],
+        ['plumber', 'plumbers', 'plumbing', 'plumbing services'],
+        ['electrician', 'electricians', 'electrical', 'electrical services'],
+        ['hvac', 'heating and cooling', 'heating and air conditioning', 'air conditioning'],
+        ['roofing', 'roofer', 'roofers', 'roofing contractor'],
+        ['contractor', 'contractors', 'general contractor', 'construction', 'builders'],
+        ['home improvement', 'home services', 'handyman', 'renovation', 'remodeling'],
+        ['lawyer', 'lawyers', 'attorney', 'attorneys', 'law firm', 'legal services', 'legal'],
+        ['accountant', 'accountants', 'accounting', 'cpa', 'bookkeeping', 'tax preparation'],
+        ['dentist', 'dentists', 'dental', 'dentistry', 'dental clinic'],
+        ['doctor', 'doctors', 'physician', 'physicians', 'medical', 'health care', 'healthcare'],
+        ['veterinarian', 'veterinarians', 'vet', 'veterinary', 'animal hospital'],
+        ['pet services', 'pet care', 'pet grooming', 'pets'],
+        ['real estate', 'realtor', 'realtors', 'real estate agent', 'realty', 'estate agent'],
+        ['auto repair', 'car repair', 'mechanic', 'mechanics', 'auto service', 'automotive repair'],
+        ['car dealer', 'car dealers', 'auto dealer', 'car dealership', 'dealership'],
+        ['beauty salon', 'salon', 'hair salon', 'hairdresser', 'beauty'],
+        ['spa', 'day spa', 'massage', 'wellness'],
+        ['gym', 'gyms', 'fitness', 'fitness center', 'health club'],
+        ['hotel', 'hotels', 'lodging', 'accommodation', 'motel', 'hospitality'],
+        ['marketing', 'digital marketing', 'advertising', 'marketing agency', 'seo'],
+        ['web design', 'website design', 'web development', 'web designer'],
+        ['it services', 'computer services', 'information technology', 'tech support'],
+        ['cleaning', 'cleaning services', 'janitorial', 'maid service', 'house cleaning'],
+        ['landscaping', 'landscaper', 'lawn care', 'gardening'],
+        ['insurance', 'insurance agency', 'insurance agent'],
+        ['financial services', 'finance', 'financial advisor', 'financial planning'],
+        ['moving', 'movers', 'moving company', 'relocation'],
+        ['photography', 'photographer', 'photographers', 'photo studio'],
+        ['education', 'school', 'schools', 'tutoring', 'training'],
+        ['retail', 'shopping', 'store', 'stores', 'shop'],
+        ['travel', 'travel agency', 'tourism', 'tour operator'],
+        ['consulting', 'consultant', 'consultants', 'business consulting', 'business services'],
+        ['event planning', 'event planner', 'events', 'wedding planner', 'weddings']
+    ];
+
+    /**
+     * Minimum path score for an option to be picked
+     */
+    static THRESHOLD = 0.75;
+
+    /**
+     * Synonym matches rank just below matches on the client's own wording
+     * @private
+     */
+    static SYNONYM_WEIGHT = 0.95;
+
+    /**
+     * Share of the gap to a perfect score a matching parent group closes
+     * @private
+     */
+    static PARENT_WEIGHT = 0.5;
+
+    /**
+     * Terms a category is scored against: the category itself, then synonyms
+     * @param {string} category - Client category
+     * @returns {Array<string>} Normalized terms, category first
+     */
+    getTerms(category) {
+        const normalized = optionMatcher.normalize(category);
+        if (!normalized) return [];
+
+        const terms = [normalized];
+        const padded = ` ${normalized} `;
+        CategoryMapper.SYNONYMS.forEach(group => {
+            // "Italian Restaurant" still belongs with restaurants
+            if (group.some(term => padded.includes(` ${term} `))) {
+                group.forEach(term => {
+                    if (!terms.includes(term)) terms.push(term);
+                });
+            }
+        });
+        return terms;
+    }
+
+    /**
+     * Score an option path against a category
+     * @param {{text: string, group?: string}} option - Option with its optgroup label
+     * @param {Array<string>} terms - Terms from getTerms()
+     * @returns {number} Score between 0 and 1
+     */
+    scorePath(option, terms) {
+        const scoreText = text => {
+            if (!text) return 0;
+            return Math.max(0, ...terms.map((term, index) =>
+                optionMatcher.score(text, term, { kind: 'category' }) *
+                (index === 0 ? 1 : CategoryMapper.SYNONYM_WEIGHT)));
+        };
+
+        const leaf = scoreText(option.text);
+        if (leaf === 0) return 0;
+
+        // A matching parent breaks ties between leaves, e.g. "Food > Other" vs "Services > Other"
+        const parent = scoreText(option.group);
+        return leaf + (1 - leaf) * CategoryMapper.PARENT_WEIGHT * parent;
+    }
+
+    /**
+     * Pick the option for a category, preferring a remembered choice
+     * @param {Array<{text: string, value?: string, group?: string}>} options - Candidate options
+     * @param {string} category - Client category
+     * @param {Object|null} [remembered] - Choice from getRememberedChoice()
+     * @returns {Object|null} Chosen option, or null if nothing clears the threshold
+     */
+    pickOption(options, category, remembered = null) {
+        const candidates = options.filter(option => optionMatcher.normalize(option.text));
+
+        if (remembered) {
+            const sameText = option => optionMatcher.normalize(option.text) === optionMatcher.normalize(remembered.text);
+            const sameGroup = option => optionMatcher.normalize(option.group) === optionMatcher.normalize(remembered.group);
+            const found = candidates.find(option => remembered.value && option.value === remembered.value && sameText(option)) ||
+                candidates.find(option => sameText(option) && sameGroup(option)) ||
+                candidates.find(option => remembered.value && option.value === remembered.value);
+            if (found) return found;
+        }
+
+        const terms = this.getTerms(category);
+        if (terms.length === 0) return null;
+
+        let best = null;
+        let bestScore = 0;
+        candidates.forEach(option => {
+            const score = this.scorePath(option, terms);
+            if (score > bestScore) {
+                best = option;
+                bestScore = score;
+            }
+        });
+
+        return bestScore >= CategoryMapper.THRESHOLD ? best : null;
+    }
+
+    /**
+     * Get the option previously chosen for a category on a domain
+     * @param {string} url - Page URL
+     * @param {string} category - Client category
+     * @returns {Promise<Object|null>} Remembered {text, value, group}
+     */
+    async getRememberedChoice(url, category) {
+        const domain = DomainUtils.getRegistrableDomain(url);
+        const mappings = await this.loadMappings();
+        return mappings[domain]?.[optionMatcher.normalize(category)] || null;
+    }
+
+    /**
+     * Remember the option chosen for a category on a domain
+     * @param {string} url - Page URL
+     * @param {string} category - Client category
+     * @param {{text: string, value?: string, group?: string}} option - Chosen option
+     */
+    async rememberChoice(url, category, option) {
+        const domain = DomainUtils.getRegistrableDomain(url);
+        const key = optionMatcher.normalize(category);
+        if (!domain || !key) return;
+
+        const mappings = await this.loadMappings();
+        const choice = {
+            text: String(option.text || '').trim(),
+            value: option.value || '',
+            group: option.group || ''
+        };
+
+        const previous = mappings[domain]?.[key];
+        if (previous && previous.text === choice.text && previous.value === choice.value &&
+            previous.group === choice.group) {
+            return;
+        }
+
+        mappings[domain] = { ...mappings[domain], [key]: choice };
+        await this.saveAll(mappings);
+    }
+
+    /**
+     * Forget remembered choices for a domain
+     * @param {string} url - Page URL or hostname
+     */
+    async clearChoices(url) {
+        const domain = DomainUtils.getRegistrableDomain(url);
+        const mappings = await this.loadMappings();
+        delete mappings[domain];
+        await this.saveAll(mappings);
+    }
+
+    /**
+     * Load map of domain -> normalized category -> choice
+     * @private
+     */
+    async loadMappings() {
+        const data = await storageService.get(STORAGE_KEYS.CATEGORY_MAPPINGS, USE_SYNC);
+        return data[STORAGE_KEYS.CATEGORY_MAPPINGS] || {};
+    }
+
+    /**
+     * Persist mappings
+     * @private
+     */
+    async saveAll(mappings) {
+        await storageService.set({
+            [STORAGE_KEYS.CATEGORY_MAPPINGS]: mappings
+        }, USE_SYNC);
+    }
+}
+
+export const categoryMapper = new CategoryMapper();
@@ -7,7 +7,9 @@ export const EXTENSION_CONFIG = {
         PASSWORD: 'fillPassword',
         SETTINGS: 'settings',
         SELECTED_CATEGORY: 'selectedCategory',
-        SELECTED_LOCATION: 'selectedLocation'
+        SELECTED_LOCATION: 'selectedLocation',
+        PROFILES: 'profiles',
+        ACTIVE_PROFILE: 'activeProfile'
     },
     MESSAGE_TYPES: {
         GET_SERVICES: 'GET_SERVICES',
@@ -16,7 +18,19 @@ export const EXTENSION_CONFIG = {
         UNIVERSAL_FORM_DATA_UPDATED: 'UNIVERSAL_FORM_DATA_UPDATED',
         CATEGORY_UPDATED: 'CATEGORY_UPDATED',
         LOCATION_UPDATED: 'LOCATION_UPDATED',
-        SETTINGS_UPDATED: 'SETTINGS_UPDATED'
+        SETTINGS_UPDATED: 'SETTINGS_UPDATED',
+        PROFILE_UPDATED: 'PROFILE_UPDATED',
+        CAMPAIGN_START: 'CAMPAIGN_START',
+        CAMPAIGN_ADVANCE: 'CAMPAIGN_ADVANCE',
+        CAMPAIGN_STOP: 'CAMPAIGN_STOP',
+        FILL_PAGE: 'FILL_PAGE',
+        FILL_COMPLETE: 'FILL_COMPLETE',
+        FILL_SESSION_UPDATE: 'FILL_SESSION_UPDATE',
+        FRAME_LOADED: 'FRAME_LOADED',
+        EDITOR_FILL: 'EDITOR_FILL',
+        FORM_SUBMITTED: 'FORM_SUBMITTED',
+        TEACH_MODE_START: 'TEACH_MODE_START',
+        UNDO_FILL: 'UNDO_FILL'
     },
     DEFAULT_SERVICES: {
         facebook: { enabled: true, priority: 1 },
@@ -6,7 +6,15 @@ export const MESSAGE_TYPES = {
     AUTOFILL_REQUEST: 'AUTOFILL_REQUEST',
     AUTOFILL_DATA: 'AUTOFILL_DATA',
     PROFILE_UPDATED: 'PROFILE_UPDATED',
-    SETTINGS_CHANGED: 'SETTINGS_CHANGED'
+    SETTINGS_CHANGED: 'SETTINGS_CHANGED',
+    FILL_SESSION_UPDATE: 'FILL_SESSION_UPDATE',
+    FRAME_LOADED: 'FRAME_LOADED',
+    EDITOR_FILL: 'EDITOR_FILL',
+    FORM_SUBMITTED: 'FORM_SUBMITTED',
+    FILL_PAGE: 'FILL_PAGE',
+    FILL_COMPLETE: 'FILL_COMPLETE',
+    TEACH_MODE_START: 'TEACH_MODE_START',
+    UNDO_FILL: 'UNDO_FILL'
 };
 
 /**
@@ -16,7 +24,15 @@ export const STORAGE_KEYS = {
     PROFILES: 'profiles',
     SETTINGS: 'settings',
     FIELD_MAPPINGS: 'fieldMappings',
-    ACTIVE_PROFILE: 'activeProfile'
+    ACTIVE_PROFILE: 'activeProfile',
+    LEGACY_DATA_MIGRATED: 'legacyDataMigrated',
+    SUBMISSION_HISTORY: 'submissionHistory',
+    LISTING_STATUSES: 'listingStatuses',
+    CAMPAIGNS: 'campaigns',
+    SITE_RECIPES: 'siteRecipes',
+    CATEGORY_MAPPINGS: 'categoryMappings',
+    SITE_PREFERENCES: 'sitePreferences',
+    FILL_SESSIONS: 'fillSessions'
 };
 
 /**
@@ -48,12 +64,47 @@ export const FIELD_CATEGORIES = {
     PASSWORD: 'password'
 };
 
+/**
+ * How form values are written to the page
+ */
+export const FILL_MODES = {
+    DIRECT: 'direct',
+    PREVIEW: 'preview'
+};
+
+/**
+ * Directory Listing Lifecycle States
+ */
+export const LISTING_STATUSES = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    LIVE: 'live'
+};
+
+/**
+ * Campaign Run States
+ */
+export const CAMPAIGN_STATUSES = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    COMPLETED: 'completed'
+};
+
+/**
+ * State of the page a running campaign currently has open
+ */
+export const CAMPAIGN_STEPS = {
+    LOADING: 'loading',
+    FILLING: 'filling',
+    READY: 'ready'
+};
+
 /**
  * Validation Rules
  */
 export const VALIDATION_RULES = {
     EMAIL: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-    PHONE: /^\+?[\d\s-()]{10,}$/,
     URL: /^(https?:\/\/)?([\da-z.-]+)\.([a-z.]{2,6})([\/\w .-]*)*\/?$/
 };
 
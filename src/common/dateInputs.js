@@ -0,0 +1,32 @@
+/**
+ * Date Input Utilities
+ * Converts between dates and the "YYYY-MM-DD" value of date inputs, which
+ * name a day in the user's time zone rather than UTC
+ */
+
+class DateInputs {
+    /**
+     * Value a date input shows for a date
+     * @param {Date} date - Date to show
+     * @returns {string} "YYYY-MM-DD" in the user's time zone
+     */
+    static toValue(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Start of the local day a date input value names. new Date(value)
+     * would read it as UTC midnight, a day early west of UTC.
+     * @param {string} value - "YYYY-MM-DD"
+     * @returns {Date|null} Local midnight, or null for an empty value
+     */
+    static toLocalDay(value) {
+        if (!value) return null;
+
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+}
+
+export { DateInputs };
@@ -0,0 +1,120 @@
+/**
+ * DOM Walker
+ * Looks past the top document into open shadow roots and same-origin
+ * frames, which document.querySelectorAll cannot see
+ */
+
+class DomWalker {
+    /**
+     * The page's roots from the last walk, kept until its DOM changes
+     * @private
+     */
+    static cachedRoots = null;
+
+    /**
+     * @private
+     */
+    static rootsObserver = null;
+
+    /**
+     * Collect a root and every open shadow root and same-origin frame
+     * document inside it, outermost first. The page's roots are walked
+     * once and reused until nodes are added or removed in any of them or
+     * a frame loads, so lookups that miss do not each walk the page.
+     * @param {Document|ShadowRoot} [root] - Where to start
+     * @returns {Array<Document|ShadowRoot>} Searchable roots
+     */
+    static getRoots(root = document) {
+        if (root === document && this.cachedRoots) {
+            return [...this.cachedRoots];
+        }
+
+        const roots = [];
+        const visit = current => {
+            roots.push(current);
+            current.querySelectorAll('*').forEach(element => {
+                const inner = this.getInnerRoot(element);
+                if (inner) visit(inner);
+            });
+        };
+
+        visit(root);
+        if (root === document) {
+            this.cacheRoots(roots);
+        }
+        return roots;
+    }
+
+    /**
+     * Keep the page's roots until one of them changes
+     * @private
+     * @param {Array<Document|ShadowRoot>} roots - Roots of the page
+     */
+    static cacheRoots(roots) {
+        this.rootsObserver = this.rootsObserver || new MutationObserver(() => this.clearRoots());
+        roots.forEach(current => {
+            this.rootsObserver.observe(current, { childList: true, subtree: true });
+            // Load does not bubble, but a capturing listener sees frames load
+            current.addEventListener('load', this.clearRoots, true);
+        });
+        this.cachedRoots = roots;
+    }
+
+    /**
+     * Walk the page again on the next lookup
+     */
+    static clearRoots = () => {
+        this.cachedRoots = null;
+        this.rootsObserver?.disconnect();
+    };
+
+    /**
+     * The shadow root or frame document an element hosts
+     * @param {Element} element - Possible host
+     * @returns {Document|ShadowRoot|null} Inner root, or null if closed or cross-origin
+     */
+    static getInnerRoot(element) {
+        if (!element) return null;
+        if (element.shadowRoot) return element.shadowRoot;
+
+        if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+            try {
+                // Null for cross-origin frames
+                const frameDocument = element.contentDocument;
+                return frameDocument?.documentElement ? frameDocument : null;
+            } catch {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find all elements matching a selector in every reachable root
+     * @param {string} selector - CSS selector
+     * @param {Document|ShadowRoot} [root] - Where to start
+     * @returns {Array<Element>} Matching elements
+     */
+    static querySelectorAll(selector, root = document) {
+        return this.getRoots(root).flatMap(current => Array.from(current.querySelectorAll(selector)));
+    }
+
+    /**
+     * Find the first element matching a selector, looking in the root itself first
+     * @param {string} selector - CSS selector
+     * @param {Document|ShadowRoot} [root] - Where to start
+     * @returns {Element|null} Matching element
+     */
+    static querySelector(selector, root = document) {
+        const match = root.querySelector(selector);
+        if (match) return match;
+
+        for (const current of this.getRoots(root).slice(1)) {
+            const nested = current.querySelector(selector);
+            if (nested) return nested;
+        }
+        return null;
+    }
+}
+
+export { DomWalker };
@@ -0,0 +1,65 @@
+/**
+ * Domain Utilities
+ * Resolves page URLs to the registrable domain used to key per-site data
+ */
+
+class DomainUtils {
+    /**
+     * Public suffixes with more than one label. Not the full Public Suffix
+     * List, but it covers the country-code registries directories use most.
+     * @private
+     */
+    static MULTI_PART_SUFFIXES = new Set([
+        'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'net.uk', 'ac.uk', 'gov.uk',
+        'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'asn.au', 'id.au',
+        'co.nz', 'net.nz', 'org.nz', 'co.za', 'org.za', 'web.za',
+        'com.br', 'net.br', 'org.br', 'com.mx', 'org.mx', 'com.ar', 'com.co',
+        'co.in', 'net.in', 'org.in', 'firm.in', 'gen.in', 'ind.in',
+        'co.jp', 'ne.jp', 'or.jp', 'co.kr', 'or.kr', 'com.cn', 'net.cn', 'org.cn',
+        'com.hk', 'com.tw', 'com.sg', 'com.my', 'com.ph', 'com.pk', 'com.vn',
+        'co.id', 'co.th', 'co.il', 'com.tr', 'com.sa', 'com.eg', 'com.ng', 'co.ke',
+        'com.ua', 'com.pl', 'com.es', 'com.pt', 'co.at', 'or.at'
+    ]);
+
+    /**
+     * Extract a lowercase hostname from a URL or bare hostname
+     * @param {string} urlOrHostname - Full URL or hostname
+     * @returns {string} Hostname, or '' if it cannot be parsed
+     */
+    static getHostname(urlOrHostname) {
+        if (!urlOrHostname) return '';
+
+        try {
+            const value = /^[a-z][a-z\d+.-]*:\/\//i.test(urlOrHostname)
+                ? urlOrHostname
+                : `http://${urlOrHostname}`;
+            return new URL(value).hostname.toLowerCase().replace(/\.$/, '');
+        } catch {
+            return '';
+        }
+    }
+
+    /**
+     * Get the registrable domain (eTLD+1) for a URL or hostname,
+     * e.g. 'submit.example.co.uk' -> 'example.co.uk'
+     * @param {string} urlOrHostname - Full URL or hostname
+     * @returns {string} Registrable domain, or '' if it cannot be parsed
+     */
+    static getRegistrableDomain(urlOrHostname) {
+        const hostname = this.getHostname(urlOrHostname);
+        if (!hostname) return '';
+
+        // IP addresses and single-label hosts (localhost) have no suffix
+        if (/^[\d.]+$/.test(hostname) || hostname.includes(':') || !hostname.includes('.')) {
+            return hostname;
+        }
+
+        const labels = hostname.split('.');
+        const lastTwo = labels.slice(-2).join('.');
+        const suffixLength = this.MULTI_PART_SUFFIXES.has(lastTwo) ? 2 : 1;
+
+        return labels.slice(-(suffixLength + 1)).join('.');
+    }
+}
+
+export { DomainUtils };
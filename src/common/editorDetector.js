@@ -0,0 +1,118 @@
+/**
+ * Editor Detector
+ * Recognizes rich text editors from the DOM they leave behind. TinyMCE and
+ * CKEditor 4 hide the original textarea and edit an iframe body, CKEditor 5
+ * and Quill edit a contenteditable element, and some forms use a bare
+ * contenteditable element with no editor at all.
+ */
+
+class EditorDetector {
+    static KINDS = {
+        TINYMCE: 'tinymce',
+        CKEDITOR4: 'ckeditor4',
+        CKEDITOR5: 'ckeditor5',
+        QUILL: 'quill',
+        CONTENTEDITABLE: 'contenteditable'
+    };
+
+    /**
+     * Find the editor an element belongs to
+     * @param {HTMLElement} element - Textarea, editor container or editable element
+     * @returns {{kind: string, source: HTMLTextAreaElement|null, host: HTMLElement,
+     *     editable: HTMLElement|null}|null} Editor parts, or null for ordinary fields
+     */
+    static detect(element) {
+        if (!element?.tagName) return null;
+
+        if (element.tagName === 'TEXTAREA') {
+            return this.detectFromTextarea(element);
+        }
+
+        const quill = element.closest('.ql-container');
+        if (quill) {
+            return {
+                kind: this.KINDS.QUILL,
+                source: null,
+                host: quill,
+                editable: quill.querySelector('.ql-editor')
+            };
+        }
+
+        const ckeditor = element.closest('.ck-editor__editable');
+        if (ckeditor) {
+            return { kind: this.KINDS.CKEDITOR5, source: null, host: ckeditor, editable: ckeditor };
+        }
+
+        if (element.isContentEditable && element.tagName !== 'BODY') {
+            let root = element;
+            while (root.parentElement?.isContentEditable) {
+                root = root.parentElement;
+            }
+            return { kind: this.KINDS.CONTENTEDITABLE, source: null, host: root, editable: root };
+        }
+
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    static detectFromTextarea(textarea) {
+        const root = textarea.getRootNode();
+        const byId = suffix => textarea.id && root.querySelector
+            ? root.querySelector(`#${CSS.escape(textarea.id + suffix)}`)
+            : null;
+
+        const tinymceFrame = byId('_ifr');
+        const tinymceHost = tinymceFrame?.closest('.tox-tinymce, .mce-tinymce') ||
+            (textarea.nextElementSibling?.matches('.tox-tinymce, .mce-tinymce') ? textarea.nextElementSibling : null);
+        if (tinymceHost || tinymceFrame) {
+            const frame = tinymceFrame || tinymceHost.querySelector('iframe');
+            return {
+                kind: this.KINDS.TINYMCE,
+                source: textarea,
+                host: tinymceHost || frame,
+                editable: this.getFrameBody(frame)
+            };
+        }
+
+        const ckeditor4Host = textarea.id && root.querySelector
+            ? root.querySelector(`#cke_${CSS.escape(textarea.id)}`)
+            : null;
+        if (ckeditor4Host) {
+            const frame = ckeditor4Host.querySelector('iframe.cke_wysiwyg_frame');
+            return {
+                kind: this.KINDS.CKEDITOR4,
+                source: textarea,
+                host: ckeditor4Host,
+                editable: frame ? this.getFrameBody(frame) : ckeditor4Host.querySelector('.cke_editable')
+            };
+        }
+
+        const ckeditor5Host = textarea.nextElementSibling?.matches('.ck-editor') ? textarea.nextElementSibling : null;
+        if (ckeditor5Host) {
+            return {
+                kind: this.KINDS.CKEDITOR5,
+                source: textarea,
+                host: ckeditor5Host,
+                editable: ckeditor5Host.querySelector('.ck-editor__editable')
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Editable body of an editor iframe; editor frames are same-origin
+     * @private
+     */
+    static getFrameBody(frame) {
+        try {
+            return frame?.contentDocument?.body || null;
+        } catch {
+            return null;
+        }
+    }
+}
+
+export { EditorDetector };
@@ -0,0 +1,199 @@
+/**
+ * Field Constraints
+ * Reads the limits a form puts on a text field: maxlength and minlength,
+ * visible counters such as "0/500" or "150 words left", help text such as
+ * "minimum 100 characters", and the separator a keyword field expects
+ */
+
+import { EditorDetector } from './editorDetector.js';
+
+class FieldConstraints {
+    /**
+     * How many ancestors up from the field help text and counters may sit
+     * @private
+     */
+    static SEARCH_DEPTH = 4;
+
+    /**
+     * Longer text is page copy that merely mentions numbers
+     * @private
+     */
+    static MAX_HINT_LENGTH = 120;
+
+    /**
+     * Smaller character totals are step indicators or ratings, not counters
+     * @private
+     */
+    static MIN_COUNTER_TOTAL = 20;
+
+    /**
+     * Separators named in help text, and the string each joins with
+     * @private
+     */
+    static SEPARATORS = [
+        { pattern: /one per line|(?:new|separate) lines?|line breaks?/i, separator: '\n' },
+        { pattern: /semi-?colons?/i, separator: '; ' },
+        { pattern: /pipes?\b/i, separator: ' | ' },
+        { pattern: /space[- ]separated|separated by (?:a )?spaces?|hashtags?/i, separator: ' ' },
+        { pattern: /commas?\b/i, separator: ', ' }
+    ];
+
+    /**
+     * Read every constraint a field shows
+     * @param {HTMLElement} element - Field, editor textarea or editable element
+     * @returns {{maxLength: number|null, minLength: number|null, maxWords: number|null,
+     *     minWords: number|null, maxItems: number|null, separator: string|null}} Constraints
+     */
+    static read(element) {
+        const constraints = {
+            maxLength: null,
+            minLength: null,
+            maxWords: null,
+            minWords: null,
+            maxItems: null,
+            separator: null
+        };
+        if (!element) return constraints;
+
+        // Editors show their counter beside the editor, not the hidden textarea
+        const editor = EditorDetector.detect(element);
+        const field = editor?.source || editor?.editable || element;
+        const host = editor?.host || element;
+        const current = this.getText(editor?.editable || element);
+
+        const maxLength = Number(field.getAttribute('maxlength'));
+        if (maxLength > 0) constraints.maxLength = maxLength;
+        const minLength = Number(field.getAttribute('minlength'));
+        if (minLength > 0) constraints.minLength = minLength;
+
+        const placeholder = field.getAttribute('placeholder') || field.getAttribute('data-placeholder') || '';
+        this.getHints(field, host).forEach(text => this.readHint(text, current, constraints));
+
+        // An example in the placeholder, such as "plumber, boiler repair", shows the separator
+        if (!constraints.separator) {
+            constraints.separator = /;/.test(placeholder) ? '; '
+                : /,/.test(placeholder) ? ', '
+                : null;
+        }
+        return constraints;
+    }
+
+    /**
+     * Number of words in a text
+     * @param {string} text - Text to count
+     * @returns {number} Word count
+     */
+    static countWords(text) {
+        return String(text || '').trim().split(/\s+/).filter(Boolean).length;
+    }
+
+    /**
+     * Text describing a field, closest first
+     * @private
+     */
+    static getHints(field, host) {
+        const hints = [
+            field.getAttribute('placeholder'),
+            field.getAttribute('data-placeholder'),
+            field.getAttribute('aria-label'),
+            field.getAttribute('title'),
+            ...Array.from(field.labels || [], label => label.textContent)
+        ];
+
+        const root = field.getRootNode();
+        (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean).forEach(id => {
+            hints.push(root.getElementById?.(id)?.textContent);
+        });
+
+        let ancestor = host.parentElement;
+        for (let depth = 0; ancestor && depth < this.SEARCH_DEPTH; depth++) {
+            for (const element of ancestor.querySelectorAll('*')) {
+                if (element.childElementCount > 0 || host.contains(element) ||
+                    ['SCRIPT', 'STYLE', 'OPTION'].includes(element.tagName)) {
+                    continue;
+                }
+                if (element.getClientRects().length > 0) {
+                    hints.push(element.textContent);
+                }
+            }
+            ancestor = ancestor.parentElement;
+        }
+
+        return hints
+            .map(text => String(text || '').replace(/\s+/g, ' ').trim())
+            .filter(text => text && text.length <= this.MAX_HINT_LENGTH);
+    }
+
+    /**
+     * Fill in the constraints one piece of text states; closer text wins
+     * @private
+     */
+    static readHint(text, current, constraints) {
+        const set = (key, value) => {
+            if (constraints[key] === null && value > 0) constraints[key] = value;
+        };
+        const number = value => Number(value.replace(/,/g, ''));
+        const isWords = unit => /^words?$/i.test(unit || '');
+        const isItems = unit => /^(?:keywords?|tags?)$/i.test(unit || '');
+        const units = '(characters?|chars?|letters?|words?|keywords?|tags?)';
+
+        if (!/\bstep\b/i.test(text)) {
+            // "0/500", "12 of 150 words"
+            const ratio = text.match(new RegExp(`(\\d[\\d,]*)\\s*(?:\\/|of)\\s*(\\d[\\d,]*)\\s*${units}?`, 'i'));
+            if (ratio && number(ratio[1]) <= number(ratio[2])) {
+                if (isWords(ratio[3])) set('maxWords', number(ratio[2]));
+                else if (isItems(ratio[3])) set('maxItems', number(ratio[2]));
+                else if (number(ratio[2]) >= this.MIN_COUNTER_TOTAL) set('maxLength', number(ratio[2]));
+            }
+        }
+
+        // "488 characters left" counts down from the limit
+        const remaining = text.match(new RegExp(`(\\d[\\d,]*)\\s*${units}\\s*(?:left|remaining)`, 'i'));
+        if (remaining) {
+            if (isWords(remaining[2])) set('maxWords', number(remaining[1]) + this.countWords(current));
+            else if (!isItems(remaining[2])) set('maxLength', number(remaining[1]) + current.length);
+        }
+
+        // "Between 100 and 500 characters", "50-150 words"
+        const range = text.match(new RegExp(`(\\d[\\d,]*)\\s*(?:-|–|to|and)\\s*(\\d[\\d,]*)\\s*${units}`, 'i'));
+        if (range && number(range[1]) < number(range[2])) {
+            const [min, max] = isWords(range[3]) ? ['minWords', 'maxWords'] : ['minLength', 'maxLength'];
+            if (!isItems(range[3])) {
+                set(min, number(range[1]));
+                set(max, number(range[2]));
+            }
+        }
+
+        // "Minimum 100 characters", "at least 50 words"
+        const minimum = text.match(new RegExp(`(?:min(?:imum)?\\.?|at least)\\s*:?\\s*(\\d[\\d,]*)\\s*${units}`, 'i'));
+        if (minimum && !isItems(minimum[2])) {
+            set(isWords(minimum[2]) ? 'minWords' : 'minLength', number(minimum[1]));
+        }
+
+        // "Max 300 characters", "up to 5 keywords"
+        const maximum = text.match(new RegExp(`(?:max(?:imum)?\\.?|up to|no more than|limit(?:ed)? to)\\s*:?\\s*(\\d[\\d,]*)\\s*${units}`, 'i'));
+        if (maximum) {
+            if (isWords(maximum[2])) set('maxWords', number(maximum[1]));
+            else if (isItems(maximum[2])) set('maxItems', number(maximum[1]));
+            else if (number(maximum[1]) >= this.MIN_COUNTER_TOTAL) set('maxLength', number(maximum[1]));
+        }
+
+        if (constraints.separator === null && /separat|per line|hashtag/i.test(text)) {
+            const match = this.SEPARATORS.find(({ pattern }) => pattern.test(text));
+            if (match) constraints.separator = match.separator;
+        }
+    }
+
+    /**
+     * Text a field holds now
+     * @private
+     */
+    static getText(field) {
+        if (!field) return '';
+        return field.isContentEditable || field.tagName === 'BODY'
+            ? field.textContent
+            : String(field.value || '');
+    }
+}
+
+export { FieldConstraints };
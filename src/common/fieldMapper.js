@@ -3,29 +3,111 @@
  * Handles form field detection and mapping to profile data
  */
 
-import { FIELD_TYPES, FIELD_CATEGORIES, VALIDATION_RULES } from './constants.js';
+import { FIELD_TYPES, FIELD_CATEGORIES, VALIDATION_RULES, STORAGE_KEYS } from './constants.js';
+import { storageService } from './storage.js';
+import { AutocompleteTokens } from './autocompleteTokens.js';
+import { PhoneNumber } from './phoneNumber.js';
 
 class FieldMapper {
     /**
-     * Common field name patterns for different categories
+     * Terms that identify each field key, matched as whole words.
+     * Multi-word terms also match identifiers such as first_name or firstName.
      * @private
      */
-    static patterns = {
-        name: /(^|[_-])(name|fullname|full[-_]name)($|[_-])/i,
-        firstName: /(^|[_-])(first[-_]?name|fname|firstname|first)($|[_-])/i,
-        lastName: /(^|[_-])(last[-_]?name|lname|lastname|last|surname)($|[_-])/i,
-        email: /(^|[_-])(email|e[-_]?mail)($|[_-])/i,
-        phone: /(^|[_-])(phone|telephone|tel|mobile|cell)($|[_-])/i,
-        address: /(^|[_-])(address|addr|street)($|[_-])/i,
-        city: /(^|[_-])(city|town|locality)($|[_-])/i,
-        state: /(^|[_-])(state|province|region)($|[_-])/i,
-        zip: /(^|[_-])(zip|postal|postcode)($|[_-])/i,
-        country: /(^|[_-])(country|nation)($|[_-])/i,
-        company: /(^|[_-])(company|organization|business|employer)($|[_-])/i,
-        website: /(^|[_-])(website|web|url|site)($|[_-])/i,
-        password: /(^|[_-])(password|pwd|pass)($|[_-])/i
+    static fieldTerms = {
+        name: ['name', 'full name', 'fullname', 'your name', 'contact name'],
+        firstName: ['first name', 'firstname', 'fname', 'first', 'given name', 'forename'],
+        lastName: ['last name', 'lastname', 'lname', 'last', 'surname', 'family name'],
+        email: ['email', 'e mail', 'email address', 'e mail address', 'mail'],
+        phone: ['phone', 'telephone', 'tel', 'mobile', 'cell', 'phone number'],
+        phoneCountryCode: ['dial code', 'dialing code', 'calling code', 'phone country code'],
+        phoneAreaCode: ['area code'],
+        phoneExtension: ['extension', 'ext', 'phone extension'],
+        address: ['address', 'addr', 'street', 'street address', 'address line 1', 'address1'],
+        address2: ['address 2', 'address2', 'address line 2', 'apartment', 'apt', 'suite', 'unit'],
+        streetNumber: ['street number', 'house number', 'building number', 'house no', 'street no'],
+        streetName: ['street name'],
+        city: ['city', 'town', 'locality', 'suburb'],
+        state: ['state', 'province', 'region', 'county'],
+        zip: ['zip', 'zip code', 'zipcode', 'postal', 'postal code', 'postcode', 'post code'],
+        zipSuffix: ['zip 4', 'zip4', 'plus 4', 'zip extension'],
+        country: ['country', 'nation'],
+        company: ['company', 'company name', 'organization', 'organisation', 'business',
+            'business name', 'employer'],
+        website: ['website', 'web site', 'web', 'url', 'site', 'homepage', 'site url',
+            'website address', 'web address'],
+        password: ['password', 'pwd', 'pass', 'passcode']
     };
 
+    /**
+     * Terms so common in other wording that they name a field only when
+     * nothing more specific is in the same text, like the "first" of
+     * "First line of address"
+     * @private
+     */
+    static broadTerms = new Set(['first', 'last', 'web', 'site', 'mail', 'pass']);
+
+    /**
+     * Share of a signal's weight for keys that only qualify the field a
+     * text names, like "company" in "Company website"
+     * @private
+     */
+    static QUALIFIER_SHARE = 0.5;
+
+    /**
+     * How much each signal contributes to a key's confidence
+     * @private
+     */
+    static signalWeights = {
+        autocomplete: 0.95,
+        identifier: 0.85,
+        label: 0.85,
+        ariaLabel: 0.8,
+        placeholder: 0.7,
+        nearbyText: 0.5
+    };
+
+    static DEFAULT_THRESHOLD = 0.8;
+
+    constructor() {
+        this.similarityThreshold = FieldMapper.DEFAULT_THRESHOLD;
+        this.setupSettingsListener();
+    }
+
+    /**
+     * Load the confidence cutoff from the saved settings
+     */
+    async loadSettings() {
+        try {
+            const data = await storageService.get(STORAGE_KEYS.SETTINGS);
+            this.setSimilarityThreshold(data[STORAGE_KEYS.SETTINGS]?.similarityThreshold);
+        } catch (error) {
+            console.warn('Failed to load field mapping settings:', error);
+        }
+    }
+
+    /**
+     * Set the minimum confidence a field needs before it is mapped
+     * @param {number} threshold - Value from 0 to 1
+     */
+    setSimilarityThreshold(threshold) {
+        if (typeof threshold === 'number' && threshold >= 0 && threshold <= 1) {
+            this.similarityThreshold = threshold;
+        }
+    }
+
+    /**
+     * Keep the cutoff in step with the settings page
+     * @private
+     */
+    setupSettingsListener() {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync' && changes[STORAGE_KEYS.SETTINGS]) {
+                this.setSimilarityThreshold(changes[STORAGE_KEYS.SETTINGS].newValue?.similarityThreshold);
+            }
+        });
+    }
+
     /**
      * Map a field to its likely category and type
      * @param {HTMLElement} field - The form field element
@@ -40,27 +122,156 @@ class FieldMapper {
             originalName: field.name
         };
 
-        // Check field name/id against patterns
-        const fieldIdentifier = (field.name || field.id || '').toLowerCase();
-        
-        for (const [key, pattern] of Object.entries(FieldMapper.patterns)) {
-            if (pattern.test(fieldIdentifier)) {
-                mapping.key = key;
-                mapping.category = this.getCategoryForKey(key);
-                break;
-            }
-        }
-
-        // Check label text if available
         const label = this.findFieldLabel(field);
         if (label) {
             mapping.labelText = label.textContent.trim();
-            // Additional pattern matching on label text could be done here
+        }
+
+        mapping.candidates = this.classifyField(field, mapping.labelText);
+
+        const autocomplete = AutocompleteTokens.fromElement(field);
+        if (autocomplete) {
+            // A standard token states the field's purpose outright, so it
+            // overrides name-based guesses even when it names nothing we fill
+            mapping.autocomplete = autocomplete;
+            mapping.property = autocomplete.property;
+            if (autocomplete.key) {
+                mapping.key = autocomplete.key;
+                mapping.category = this.getCategoryForKey(autocomplete.key);
+                mapping.confidence = 1;
+            }
+            return mapping;
+        }
+
+        // Low-confidence fields stay unmapped so they are not filled with a guess
+        const best = mapping.candidates[0];
+        if (best && best.confidence >= this.similarityThreshold) {
+            mapping.key = best.key;
+            mapping.category = this.getCategoryForKey(best.key);
+            mapping.confidence = best.confidence;
         }
 
         return mapping;
     }
 
+    /**
+     * Score every field key against the signals a field exposes
+     * @param {HTMLElement} field - The form field element
+     * @param {string} [labelText] - Text of the field's label
+     * @returns {Array<{key: string, confidence: number, signals: Array<string>}>}
+     *     Candidates, most confident first
+     */
+    classifyField(field, labelText = '') {
+        const signals = {
+            identifier: [field.name, field.id].filter(Boolean).join(' '),
+            label: labelText,
+            ariaLabel: field.getAttribute('aria-label') || '',
+            placeholder: field.getAttribute('placeholder') || '',
+            nearbyText: labelText ? '' : this.findNearbyText(field)
+        };
+
+        const matches = {};
+        const addMatch = (key, signal, share = 1) => {
+            matches[key] = matches[key] || [];
+            matches[key].push({ signal, weight: FieldMapper.signalWeights[signal] * share });
+        };
+
+        const autocompleteKey = AutocompleteTokens.fromElement(field)?.key;
+        if (autocompleteKey) {
+            addMatch(autocompleteKey, 'autocomplete');
+        }
+
+        Object.entries(signals).forEach(([signal, text]) => {
+            this.matchKeys(text).forEach((key, index) =>
+                addMatch(key, signal, index === 0 ? 1 : FieldMapper.QUALIFIER_SHARE));
+        });
+
+        // Independent signals combine so that agreement raises confidence
+        // without ever reaching 1
+        return Object.entries(matches)
+            .map(([key, keyMatches]) => ({
+                key,
+                signals: keyMatches.map(match => match.signal),
+                confidence: 1 - keyMatches.reduce((miss, match) => miss * (1 - match.weight), 1)
+            }))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Find the field keys whose terms appear in a piece of text.
+     * Where terms overlap, the longest one wins, so "Business Name"
+     * identifies a company rather than a person's name. Of the rest, the
+     * last specific term names the field, as in "Company website"; the
+     * other keys only qualify it.
+     * @private
+     * @param {string} text - Identifier or visible text
+     * @returns {Array<string>} Matching keys, the one the text names first
+     */
+    matchKeys(text) {
+        const words = this.normalizeText(text);
+        if (!words) return [];
+
+        const hits = [];
+        for (const [key, terms] of Object.entries(FieldMapper.fieldTerms)) {
+            for (const term of terms) {
+                const pattern = new RegExp(`(^| )${term}(?= |$)`, 'g');
+                let match;
+                while ((match = pattern.exec(words)) !== null) {
+                    const start = match.index + match[1].length;
+                    hits.push({ key, start, end: start + term.length, broad: FieldMapper.broadTerms.has(term) });
+                }
+            }
+        }
+
+        const keys = hits
+            .filter(hit => !hits.some(other =>
+                other.end - other.start > hit.end - hit.start &&
+                other.start <= hit.start && other.end >= hit.end))
+            .sort((a, b) => a.broad - b.broad || b.end - a.end)
+            .map(hit => hit.key);
+
+        return [...new Set(keys)];
+    }
+
+    /**
+     * Lowercase text and split identifiers into space-separated words
+     * @private
+     * @param {string} text - Raw text
+     * @returns {string} Normalized text
+     */
+    normalizeText(text) {
+        return (text || '')
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Find caption text next to a field that has no label element,
+     * such as a table cell or text preceding the input
+     * @private
+     * @param {HTMLElement} field - The form field element
+     * @returns {string} Nearby text
+     */
+    findNearbyText(field) {
+        const cell = field.closest('td, th');
+        const candidates = [
+            cell?.previousElementSibling,
+            field.previousElementSibling,
+            field.parentElement?.previousElementSibling
+        ];
+
+        for (const element of candidates) {
+            const text = element?.textContent?.trim();
+            if (text && text.length <= 80) {
+                return text;
+            }
+        }
+
+        return '';
+    }
+
     /**
      * Find the associated label for a form field
      * @private
@@ -70,7 +281,8 @@ class FieldMapper {
     findFieldLabel(field) {
         // Try explicit label
         if (field.id) {
-            const label = document.querySelector(`label[for="${field.id}"]`);
+            // Labels live in the field's own document or shadow root
+            const label = field.getRootNode().querySelector(`label[for="${field.id}"]`);
             if (label) return label;
         }
 
@@ -102,7 +314,7 @@ class FieldMapper {
         if (field.tagName === 'SELECT') {
             return FIELD_TYPES.SELECT;
         }
-        if (field.tagName === 'TEXTAREA') {
+        if (field.tagName === 'TEXTAREA' || field.isContentEditable) {
             return FIELD_TYPES.TEXTAREA;
         }
         if (field.tagName === 'INPUT') {
@@ -124,10 +336,21 @@ class FieldMapper {
             lastName: FIELD_CATEGORIES.PERSONAL,
             email: FIELD_CATEGORIES.CONTACT,
             phone: FIELD_CATEGORIES.CONTACT,
+            phoneCountryCode: FIELD_CATEGORIES.CONTACT,
+            phoneAreaCode: FIELD_CATEGORIES.CONTACT,
+            phoneLocal: FIELD_CATEGORIES.CONTACT,
+            phoneLocalPrefix: FIELD_CATEGORIES.CONTACT,
+            phoneLocalSuffix: FIELD_CATEGORIES.CONTACT,
+            phoneExtension: FIELD_CATEGORIES.CONTACT,
+            phoneNational: FIELD_CATEGORIES.CONTACT,
             address: FIELD_CATEGORIES.ADDRESS,
+            address2: FIELD_CATEGORIES.ADDRESS,
+            streetNumber: FIELD_CATEGORIES.ADDRESS,
+            streetName: FIELD_CATEGORIES.ADDRESS,
             city: FIELD_CATEGORIES.ADDRESS,
             state: FIELD_CATEGORIES.ADDRESS,
             zip: FIELD_CATEGORIES.ADDRESS,
+            zipSuffix: FIELD_CATEGORIES.ADDRESS,
             country: FIELD_CATEGORIES.ADDRESS,
             company: FIELD_CATEGORIES.BUSINESS,
             website: FIELD_CATEGORIES.BUSINESS,
@@ -147,7 +370,7 @@ class FieldMapper {
             case FIELD_TYPES.EMAIL:
                 return VALIDATION_RULES.EMAIL.test(value);
             case FIELD_TYPES.PHONE:
-                return VALIDATION_RULES.PHONE.test(value);
+                return PhoneNumber.isValid(value);
             case FIELD_TYPES.URL:
                 return VALIDATION_RULES.URL.test(value);
             default:
@@ -0,0 +1,98 @@
+/**
+ * Field Mapping Service
+ * Persists field-to-property rules learned from manual corrections,
+ * keyed by registrable domain and field ID
+ */
+
+import { storageService } from './storage.js';
+import { FieldMapping } from './models.js';
+import { STORAGE_KEYS } from './constants.js';
+import { DomainUtils } from './domainUtils.js';
+
+// Learned rules apply to every profile and grow with each corrected site
+const USE_SYNC = false;
+
+export class FieldMappingService {
+    /**
+     * Get the learned mappings for the domain of a URL
+     * @param {string} url - Page URL
+     * @returns {Promise<Array<FieldMapping>>} Mappings
+     */
+    async getMappingsForUrl(url) {
+        const domain = DomainUtils.getRegistrableDomain(url);
+        const mappings = await this.loadMappings();
+        return Object.values(mappings[domain] || {}).map(mapping => new FieldMapping(mapping));
+    }
+
+    /**
+     * Save mappings for the domain of a URL, replacing rules for the same fields
+     * @param {string} url - Page URL
+     * @param {Array<Object>} rules - Rules with fieldId and profileProperty
+     * @returns {Promise<Array<FieldMapping>>} Saved mappings
+     */
+    async saveMappings(url, rules) {
+        const domain = DomainUtils.getRegistrableDomain(url);
+        if (!domain) {
+            throw new Error('Field mappings require a valid URL');
+        }
+
+        const mappings = await this.loadMappings();
+        mappings[domain] = mappings[domain] || {};
+
+        const saved = rules.map(rule => new FieldMapping({
+            id: mappings[domain][rule.fieldId]?.id || this.generateMappingId(),
+            fieldId: rule.fieldId,
+            profileProperty: rule.profileProperty,
+            transformation: rule.transformation || null
+        }));
+
+        saved.forEach(mapping => {
+            mappings[domain][mapping.fieldId] = mapping;
+        });
+
+        await this.saveAll(mappings);
+        return saved;
+    }
+
+    /**
+     * Remove all learned mappings for a domain
+     * @param {string} url - Page URL or hostname
+     */
+    async clearMappings(url) {
+        const domain = DomainUtils.getRegistrableDomain(url);
+        const mappings = await this.loadMappings();
+        delete mappings[domain];
+        await this.saveAll(mappings);
+    }
+
+    /**
+     * Load map of domain -> fieldId -> mapping data
+     * @private
+     */
+    async loadMappings() {
+        const data = await storageService.get(STORAGE_KEYS.FIELD_MAPPINGS, USE_SYNC);
+        return data[STORAGE_KEYS.FIELD_MAPPINGS] || {};
+    }
+
+    /**
+     * Persist mappings
+     * @private
+     */
+    async saveAll(mappings) {
+        await storageService.set({
+            [STORAGE_KEYS.FIELD_MAPPINGS]: mappings
+        }, USE_SYNC);
+    }
+
+    /**
+     * Generate unique mapping ID
+     * @private
+     * @returns {string} New mapping ID
+     */
+    generateMappingId() {
+        return 'mapping_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+// Export singleton instance
+export const fieldMappingService = new FieldMappingService();
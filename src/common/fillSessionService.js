@@ -0,0 +1,158 @@
+/**
+ * Fill Session Service
+ * Tracks a multi-step submission per tab: the steps seen so far and the
+ * fields filled on each, so a later page or client-side step only fills
+ * what is new. Sessions live in session storage and end when the tab
+ * closes, the browser restarts or the tab moves to another site.
+ */
+
+import { STORAGE_KEYS } from './constants.js';
+import { DomainUtils } from './domainUtils.js';
+
+class FillSessionService {
+    /**
+     * A session left alone this long starts over on the next step
+     */
+    static IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+    constructor() {
+        // Step reports from one page can arrive back to back; each update
+        // waits for the previous one so none overwrites another
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Get the session for a tab
+     * @param {number} tabId - Tab ID
+     * @returns {Promise<Object|null>} Session, or null if none is active
+     */
+    async getSession(tabId) {
+        const sessions = await this.loadSessions();
+        const session = sessions[tabId];
+        if (!session || Date.now() - session.updatedAt > FillSessionService.IDLE_TIMEOUT_MS) {
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Record the step a tab is on and the fields just filled there. A step
+     * is matched to an earlier one by URL and shared fields, so returning
+     * to it or rescanning it does not count as a new step.
+     * @param {number} tabId - Tab ID
+     * @param {Object} report - Step report from the content script
+     * @param {string} report.url - Page URL
+     * @param {Array<string>} report.fields - Keys of the visible fields
+     * @param {Array<string>} [report.filled] - Keys of fields just filled
+     * @param {{current: number, total: number}|null} [report.progress] - Progress shown by the page
+     * @returns {Promise<{session: Object, step: Object}>} Updated session and current step
+     */
+    recordStep(tabId, report) {
+        const update = this.queue.then(() => this.applyStep(tabId, report));
+        this.queue = update.catch(() => {});
+        return update;
+    }
+
+    /**
+     * End a tab's session
+     * @param {number} tabId - Tab ID
+     */
+    endSession(tabId) {
+        const update = this.queue.then(async () => {
+            const sessions = await this.loadSessions();
+            if (!sessions[tabId]) return;
+
+            delete sessions[tabId];
+            await this.saveAll(sessions);
+        });
+        this.queue = update.catch(() => {});
+        return update;
+    }
+
+    /**
+     * @private
+     */
+    async applyStep(tabId, { url, fields = [], filled = [], progress = null }) {
+        if (tabId === undefined || tabId === null) {
+            throw new Error('Fill sessions require a tab');
+        }
+
+        const domain = DomainUtils.getRegistrableDomain(url);
+        const page = this.getPageKey(url);
+        const now = Date.now();
+        const sessions = await this.loadSessions();
+
+        let session = sessions[tabId];
+        if (!session || session.domain !== domain ||
+            now - session.updatedAt > FillSessionService.IDLE_TIMEOUT_MS) {
+            session = {
+                tabId,
+                domain,
+                startedAt: now,
+                updatedAt: now,
+                currentStep: -1,
+                progress: null,
+                steps: []
+            };
+        }
+
+        let index = session.steps.findIndex(step =>
+            step.page === page && fields.some(key => step.fields.includes(key)));
+        if (index === -1) {
+            if (fields.length === 0) {
+                // Pages without fields, such as a confirmation, are not steps
+                return { session, step: null };
+            }
+            session.steps.push({ page, url, fields: [], filled: [] });
+            index = session.steps.length - 1;
+        }
+
+        const step = session.steps[index];
+        step.url = url;
+        step.fields = [...new Set([...step.fields, ...fields])];
+        step.filled = [...new Set([...step.filled, ...filled])];
+
+        session.currentStep = index;
+        session.progress = progress || null;
+        session.updatedAt = now;
+        sessions[tabId] = session;
+        await this.saveAll(sessions);
+
+        return { session, step };
+    }
+
+    /**
+     * URL without its fragment; wizards often keep the step in the query
+     * @private
+     */
+    getPageKey(url) {
+        try {
+            const { origin, pathname, search } = new URL(url);
+            return origin + pathname + search;
+        } catch {
+            return String(url || '');
+        }
+    }
+
+    /**
+     * Load map of tab ID -> session
+     * @private
+     */
+    async loadSessions() {
+        const data = await chrome.storage.session.get(STORAGE_KEYS.FILL_SESSIONS);
+        return data[STORAGE_KEYS.FILL_SESSIONS] || {};
+    }
+
+    /**
+     * Persist sessions
+     * @private
+     */
+    async saveAll(sessions) {
+        await chrome.storage.session.set({
+            [STORAGE_KEYS.FILL_SESSIONS]: sessions
+        });
+    }
+}
+
+// Export singleton instance
+export const fillSessionService = new FillSessionService();
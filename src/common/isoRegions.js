@@ -0,0 +1,479 @@
+/**
+ * ISO 3166 Alias Table
+ * Offline country and subdivision names, codes and common aliases used to
+ * match location values against dropdown options. Countries cover all of
+ * ISO 3166-1; subdivisions cover the countries directory forms ask about most.
+ */
+
+/**
+ * ISO 3166-1 entries: alpha-2, alpha-3, numeric, short name, then aliases
+ */
+const COUNTRIES = [
+    ['AF', 'AFG', '004', 'Afghanistan'],
+    ['AX', 'ALA', '248', 'Åland Islands'],
+    ['AL', 'ALB', '008', 'Albania'],
+    ['DZ', 'DZA', '012', 'Algeria'],
+    ['AS', 'ASM', '016', 'American Samoa'],
+    ['AD', 'AND', '020', 'Andorra'],
+    ['AO', 'AGO', '024', 'Angola'],
+    ['AI', 'AIA', '660', 'Anguilla'],
+    ['AQ', 'ATA', '010', 'Antarctica'],
+    ['AG', 'ATG', '028', 'Antigua and Barbuda'],
+    ['AR', 'ARG', '032', 'Argentina'],
+    ['AM', 'ARM', '051', 'Armenia'],
+    ['AW', 'ABW', '533', 'Aruba'],
+    ['AU', 'AUS', '036', 'Australia'],
+    ['AT', 'AUT', '040', 'Austria'],
+    ['AZ', 'AZE', '031', 'Azerbaijan'],
+    ['BS', 'BHS', '044', 'Bahamas', 'The Bahamas'],
+    ['BH', 'BHR', '048', 'Bahrain'],
+    ['BD', 'BGD', '050', 'Bangladesh'],
+    ['BB', 'BRB', '052', 'Barbados'],
+    ['BY', 'BLR', '112', 'Belarus'],
+    ['BE', 'BEL', '056', 'Belgium'],
+    ['BZ', 'BLZ', '084', 'Belize'],
+    ['BJ', 'BEN', '204', 'Benin'],
+    ['BM', 'BMU', '060', 'Bermuda'],
+    ['BT', 'BTN', '064', 'Bhutan'],
+    ['BO', 'BOL', '068', 'Bolivia', 'Bolivia, Plurinational State of'],
+    ['BQ', 'BES', '535', 'Bonaire, Sint Eustatius and Saba', 'Caribbean Netherlands'],
+    ['BA', 'BIH', '070', 'Bosnia and Herzegovina', 'Bosnia'],
+    ['BW', 'BWA', '072', 'Botswana'],
+    ['BV', 'BVT', '074', 'Bouvet Island'],
+    ['BR', 'BRA', '076', 'Brazil', 'Brasil'],
+    ['IO', 'IOT', '086', 'British Indian Ocean Territory'],
+    ['BN', 'BRN', '096', 'Brunei Darussalam', 'Brunei'],
+    ['BG', 'BGR', '100', 'Bulgaria'],
+    ['BF', 'BFA', '854', 'Burkina Faso'],
+    ['BI', 'BDI', '108', 'Burundi'],
+    ['CV', 'CPV', '132', 'Cabo Verde', 'Cape Verde'],
+    ['KH', 'KHM', '116', 'Cambodia'],
+    ['CM', 'CMR', '120', 'Cameroon'],
+    ['CA', 'CAN', '124', 'Canada'],
+    ['KY', 'CYM', '136', 'Cayman Islands'],
+    ['CF', 'CAF', '140', 'Central African Republic'],
+    ['TD', 'TCD', '148', 'Chad'],
+    ['CL', 'CHL', '152', 'Chile'],
+    ['CN', 'CHN', '156', 'China', 'People\'s Republic of China', 'PRC'],
+    ['CX', 'CXR', '162', 'Christmas Island'],
+    ['CC', 'CCK', '166', 'Cocos (Keeling) Islands', 'Cocos Islands'],
+    ['CO', 'COL', '170', 'Colombia'],
+    ['KM', 'COM', '174', 'Comoros'],
+    ['CG', 'COG', '178', 'Congo', 'Republic of the Congo', 'Congo-Brazzaville'],
+    ['CD', 'COD', '180', 'Congo, Democratic Republic of the', 'Democratic Republic of the Congo', 'DR Congo', 'DRC', 'Congo-Kinshasa'],
+    ['CK', 'COK', '184', 'Cook Islands'],
+    ['CR', 'CRI', '188', 'Costa Rica'],
+    ['CI', 'CIV', '384', 'Côte d\'Ivoire', 'Ivory Coast'],
+    ['HR', 'HRV', '191', 'Croatia'],
+    ['CU', 'CUB', '192', 'Cuba'],
+    ['CW', 'CUW', '531', 'Curaçao'],
+    ['CY', 'CYP', '196', 'Cyprus'],
+    ['CZ', 'CZE', '203', 'Czechia', 'Czech Republic'],
+    ['DK', 'DNK', '208', 'Denmark'],
+    ['DJ', 'DJI', '262', 'Djibouti'],
+    ['DM', 'DMA', '212', 'Dominica'],
+    ['DO', 'DOM', '214', 'Dominican Republic'],
+    ['EC', 'ECU', '218', 'Ecuador'],
+    ['EG', 'EGY', '818', 'Egypt'],
+    ['SV', 'SLV', '222', 'El Salvador'],
+    ['GQ', 'GNQ', '226', 'Equatorial Guinea'],
+    ['ER', 'ERI', '232', 'Eritrea'],
+    ['EE', 'EST', '233', 'Estonia'],
+    ['SZ', 'SWZ', '748', 'Eswatini', 'Swaziland'],
+    ['ET', 'ETH', '231', 'Ethiopia'],
+    ['FK', 'FLK', '238', 'Falkland Islands (Malvinas)', 'Falkland Islands'],
+    ['FO', 'FRO', '234', 'Faroe Islands'],
+    ['FJ', 'FJI', '242', 'Fiji'],
+    ['FI', 'FIN', '246', 'Finland'],
+    ['FR', 'FRA', '250', 'France'],
+    ['GF', 'GUF', '254', 'French Guiana'],
+    ['PF', 'PYF', '258', 'French Polynesia'],
+    ['TF', 'ATF', '260', 'French Southern Territories'],
+    ['GA', 'GAB', '266', 'Gabon'],
+    ['GM', 'GMB', '270', 'Gambia', 'The Gambia'],
+    ['GE', 'GEO', '268', 'Georgia'],
+    ['DE', 'DEU', '276', 'Germany', 'Deutschland'],
+    ['GH', 'GHA', '288', 'Ghana'],
+    ['GI', 'GIB', '292', 'Gibraltar'],
+    ['GR', 'GRC', '300', 'Greece'],
+    ['GL', 'GRL', '304', 'Greenland'],
+    ['GD', 'GRD', '308', 'Grenada'],
+    ['GP', 'GLP', '312', 'Guadeloupe'],
+    ['GU', 'GUM', '316', 'Guam'],
+    ['GT', 'GTM', '320', 'Guatemala'],
+    ['GG', 'GGY', '831', 'Guernsey'],
+    ['GN', 'GIN', '324', 'Guinea'],
+    ['GW', 'GNB', '624', 'Guinea-Bissau'],
+    ['GY', 'GUY', '328', 'Guyana'],
+    ['HT', 'HTI', '332', 'Haiti'],
+    ['HM', 'HMD', '334', 'Heard Island and McDonald Islands'],
+    ['VA', 'VAT', '336', 'Holy See', 'Vatican City', 'Vatican'],
+    ['HN', 'HND', '340', 'Honduras'],
+    ['HK', 'HKG', '344', 'Hong Kong', 'Hong Kong SAR'],
+    ['HU', 'HUN', '348', 'Hungary'],
+    ['IS', 'ISL', '352', 'Iceland'],
+    ['IN', 'IND', '356', 'India'],
+    ['ID', 'IDN', '360', 'Indonesia'],
+    ['IR', 'IRN', '364', 'Iran', 'Iran, Islamic Republic of'],
+    ['IQ', 'IRQ', '368', 'Iraq'],
+    ['IE', 'IRL', '372', 'Ireland', 'Republic of Ireland', 'Eire'],
+    ['IM', 'IMN', '833', 'Isle of Man'],
+    ['IL', 'ISR', '376', 'Israel'],
+    ['IT', 'ITA', '380', 'Italy', 'Italia'],
+    ['JM', 'JAM', '388', 'Jamaica'],
+    ['JP', 'JPN', '392', 'Japan'],
+    ['JE', 'JEY', '832', 'Jersey'],
+    ['JO', 'JOR', '400', 'Jordan'],
+    ['KZ', 'KAZ', '398', 'Kazakhstan'],
+    ['KE', 'KEN', '404', 'Kenya'],
+    ['KI', 'KIR', '296', 'Kiribati'],
+    ['KP', 'PRK', '408', 'North Korea', 'Korea, Democratic People\'s Republic of', 'DPRK'],
+    ['KR', 'KOR', '410', 'South Korea', 'Korea, Republic of', 'Republic of Korea', 'Korea'],
+    ['KW', 'KWT', '414', 'Kuwait'],
+    ['KG', 'KGZ', '417', 'Kyrgyzstan'],
+    ['LA', 'LAO', '418', 'Lao People\'s Democratic Republic', 'Laos'],
+    ['LV', 'LVA', '428', 'Latvia'],
+    ['LB', 'LBN', '422', 'Lebanon'],
+    ['LS', 'LSO', '426', 'Lesotho'],
+    ['LR', 'LBR', '430', 'Liberia'],
+    ['LY', 'LBY', '434', 'Libya'],
+    ['LI', 'LIE', '438', 'Liechtenstein'],
+    ['LT', 'LTU', '440', 'Lithuania'],
+    ['LU', 'LUX', '442', 'Luxembourg'],
+    ['MO', 'MAC', '446', 'Macao', 'Macau'],
+    ['MG', 'MDG', '450', 'Madagascar'],
+    ['MW', 'MWI', '454', 'Malawi'],
+    ['MY', 'MYS', '458', 'Malaysia'],
+    ['MV', 'MDV', '462', 'Maldives'],
+    ['ML', 'MLI', '466', 'Mali'],
+    ['MT', 'MLT', '470', 'Malta'],
+    ['MH', 'MHL', '584', 'Marshall Islands'],
+    ['MQ', 'MTQ', '474', 'Martinique'],
+    ['MR', 'MRT', '478', 'Mauritania'],
+    ['MU', 'MUS', '480', 'Mauritius'],
+    ['YT', 'MYT', '175', 'Mayotte'],
+    ['MX', 'MEX', '484', 'Mexico', 'México'],
+    ['FM', 'FSM', '583', 'Micronesia', 'Micronesia, Federated States of'],
+    ['MD', 'MDA', '498', 'Moldova', 'Moldova, Republic of'],
+    ['MC', 'MCO', '492', 'Monaco'],
+    ['MN', 'MNG', '496', 'Mongolia'],
+    ['ME', 'MNE', '499', 'Montenegro'],
+    ['MS', 'MSR', '500', 'Montserrat'],
+    ['MA', 'MAR', '504', 'Morocco'],
+    ['MZ', 'MOZ', '508', 'Mozambique'],
+    ['MM', 'MMR', '104', 'Myanmar', 'Burma'],
+    ['NA', 'NAM', '516', 'Namibia'],
+    ['NR', 'NRU', '520', 'Nauru'],
+    ['NP', 'NPL', '524', 'Nepal'],
+    ['NL', 'NLD', '528', 'Netherlands', 'The Netherlands', 'Holland'],
+    ['NC', 'NCL', '540', 'New Caledonia'],
+    ['NZ', 'NZL', '554', 'New Zealand'],
+    ['NI', 'NIC', '558', 'Nicaragua'],
+    ['NE', 'NER', '562', 'Niger'],
+    ['NG', 'NGA', '566', 'Nigeria'],
+    ['NU', 'NIU', '570', 'Niue'],
+    ['NF', 'NFK', '574', 'Norfolk Island'],
+    ['MK', 'MKD', '807', 'North Macedonia', 'Macedonia'],
+    ['MP', 'MNP', '580', 'Northern Mariana Islands'],
+    ['NO', 'NOR', '578', 'Norway'],
+    ['OM', 'OMN', '512', 'Oman'],
+    ['PK', 'PAK', '586', 'Pakistan'],
+    ['PW', 'PLW', '585', 'Palau'],
+    ['PS', 'PSE', '275', 'Palestine', 'Palestine, State of'],
+    ['PA', 'PAN', '591', 'Panama'],
+    ['PG', 'PNG', '598', 'Papua New Guinea'],
+    ['PY', 'PRY', '600', 'Paraguay'],
+    ['PE', 'PER', '604', 'Peru'],
+    ['PH', 'PHL', '608', 'Philippines'],
+    ['PN', 'PCN', '612', 'Pitcairn', 'Pitcairn Islands'],
+    ['PL', 'POL', '616', 'Poland'],
+    ['PT', 'PRT', '620', 'Portugal'],
+    ['PR', 'PRI', '630', 'Puerto Rico'],
+    ['QA', 'QAT', '634', 'Qatar'],
+    ['RE', 'REU', '638', 'Réunion'],
+    ['RO', 'ROU', '642', 'Romania'],
+    ['RU', 'RUS', '643', 'Russian Federation', 'Russia'],
+    ['RW', 'RWA', '646', 'Rwanda'],
+    ['BL', 'BLM', '652', 'Saint Barthélemy'],
+    ['SH', 'SHN', '654', 'Saint Helena, Ascension and Tristan da Cunha', 'Saint Helena'],
+    ['KN', 'KNA', '659', 'Saint Kitts and Nevis'],
+    ['LC', 'LCA', '662', 'Saint Lucia'],
+    ['MF', 'MAF', '663', 'Saint Martin (French part)', 'Saint Martin'],
+    ['PM', 'SPM', '666', 'Saint Pierre and Miquelon'],
+    ['VC', 'VCT', '670', 'Saint Vincent and the Grenadines'],
+    ['WS', 'WSM', '882', 'Samoa'],
+    ['SM', 'SMR', '674', 'San Marino'],
+    ['ST', 'STP', '678', 'Sao Tome and Principe'],
+    ['SA', 'SAU', '682', 'Saudi Arabia'],
+    ['SN', 'SEN', '686', 'Senegal'],
+    ['RS', 'SRB', '688', 'Serbia'],
+    ['SC', 'SYC', '690', 'Seychelles'],
+    ['SL', 'SLE', '694', 'Sierra Leone'],
+    ['SG', 'SGP', '702', 'Singapore'],
+    ['SX', 'SXM', '534', 'Sint Maarten (Dutch part)', 'Sint Maarten'],
+    ['SK', 'SVK', '703', 'Slovakia'],
+    ['SI', 'SVN', '705', 'Slovenia'],
+    ['SB', 'SLB', '090', 'Solomon Islands'],
+    ['SO', 'SOM', '706', 'Somalia'],
+    ['ZA', 'ZAF', '710', 'South Africa'],
+    ['GS', 'SGS', '239', 'South Georgia and the South Sandwich Islands'],
+    ['SS', 'SSD', '728', 'South Sudan'],
+    ['ES', 'ESP', '724', 'Spain', 'España'],
+    ['LK', 'LKA', '144', 'Sri Lanka'],
+    ['SD', 'SDN', '729', 'Sudan'],
+    ['SR', 'SUR', '740', 'Suriname'],
+    ['SJ', 'SJM', '744', 'Svalbard and Jan Mayen'],
+    ['SE', 'SWE', '752', 'Sweden'],
+    ['CH', 'CHE', '756', 'Switzerland'],
+    ['SY', 'SYR', '760', 'Syrian Arab Republic', 'Syria'],
+    ['TW', 'TWN', '158', 'Taiwan', 'Taiwan, Province of China'],
+    ['TJ', 'TJK', '762', 'Tajikistan'],
+    ['TZ', 'TZA', '834', 'Tanzania', 'Tanzania, United Republic of'],
+    ['TH', 'THA', '764', 'Thailand'],
+    ['TL', 'TLS', '626', 'Timor-Leste', 'East Timor'],
+    ['TG', 'TGO', '768', 'Togo'],
+    ['TK', 'TKL', '772', 'Tokelau'],
+    ['TO', 'TON', '776', 'Tonga'],
+    ['TT', 'TTO', '780', 'Trinidad and Tobago'],
+    ['TN', 'TUN', '788', 'Tunisia'],
+    ['TR', 'TUR', '792', 'Türkiye', 'Turkey'],
+    ['TM', 'TKM', '795', 'Turkmenistan'],
+    ['TC', 'TCA', '796', 'Turks and Caicos Islands'],
+    ['TV', 'TUV', '798', 'Tuvalu'],
+    ['UG', 'UGA', '800', 'Uganda'],
+    ['UA', 'UKR', '804', 'Ukraine'],
+    ['AE', 'ARE', '784', 'United Arab Emirates', 'UAE', 'Emirates'],
+    ['GB', 'GBR', '826', 'United Kingdom', 'United Kingdom of Great Britain and Northern Ireland', 'UK', 'Great Britain', 'Britain'],
+    ['US', 'USA', '840', 'United States', 'United States of America', 'America'],
+    ['UM', 'UMI', '581', 'United States Minor Outlying Islands'],
+    ['UY', 'URY', '858', 'Uruguay'],
+    ['UZ', 'UZB', '860', 'Uzbekistan'],
+    ['VU', 'VUT', '548', 'Vanuatu'],
+    ['VE', 'VEN', '862', 'Venezuela', 'Venezuela, Bolivarian Republic of'],
+    ['VN', 'VNM', '704', 'Viet Nam', 'Vietnam'],
+    ['VG', 'VGB', '092', 'Virgin Islands (British)', 'British Virgin Islands'],
+    ['VI', 'VIR', '850', 'Virgin Islands (U.S.)', 'US Virgin Islands'],
+    ['WF', 'WLF', '876', 'Wallis and Futuna'],
+    ['EH', 'ESH', '732', 'Western Sahara'],
+    ['YE', 'YEM', '887', 'Yemen'],
+    ['ZM', 'ZMB', '894', 'Zambia'],
+    ['ZW', 'ZWE', '716', 'Zimbabwe']
+];
+
+/**
+ * ISO 3166-2 entries keyed by country alpha-2: subdivision code
+ * (without the country prefix), name, then aliases
+ */
+const SUBDIVISIONS = {
+    US: [
+        ['AL', 'Alabama', 'Ala'],
+        ['AK', 'Alaska'],
+        ['AZ', 'Arizona', 'Ariz'],
+        ['AR', 'Arkansas', 'Ark'],
+        ['CA', 'California', 'Calif', 'Cal'],
+        ['CO', 'Colorado', 'Colo'],
+        ['CT', 'Connecticut', 'Conn'],
+        ['DE', 'Delaware', 'Del'],
+        ['DC', 'District of Columbia', 'Washington DC', 'Washington D.C.'],
+        ['FL', 'Florida', 'Fla'],
+        ['GA', 'Georgia'],
+        ['HI', 'Hawaii'],
+        ['ID', 'Idaho'],
+        ['IL', 'Illinois', 'Ill'],
+        ['IN', 'Indiana', 'Ind'],
+        ['IA', 'Iowa'],
+        ['KS', 'Kansas', 'Kan'],
+        ['KY', 'Kentucky'],
+        ['LA', 'Louisiana'],
+        ['ME', 'Maine'],
+        ['MD', 'Maryland'],
+        ['MA', 'Massachusetts', 'Mass'],
+        ['MI', 'Michigan', 'Mich'],
+        ['MN', 'Minnesota', 'Minn'],
+        ['MS', 'Mississippi', 'Miss'],
+        ['MO', 'Missouri'],
+        ['MT', 'Montana', 'Mont'],
+        ['NE', 'Nebraska', 'Neb'],
+        ['NV', 'Nevada', 'Nev'],
+        ['NH', 'New Hampshire'],
+        ['NJ', 'New Jersey'],
+        ['NM', 'New Mexico'],
+        ['NY', 'New York'],
+        ['NC', 'North Carolina'],
+        ['ND', 'North Dakota'],
+        ['OH', 'Ohio'],
+        ['OK', 'Oklahoma', 'Okla'],
+        ['OR', 'Oregon', 'Ore'],
+        ['PA', 'Pennsylvania', 'Penn', 'Penna'],
+        ['RI', 'Rhode Island'],
+        ['SC', 'South Carolina'],
+        ['SD', 'South Dakota'],
+        ['TN', 'Tennessee', 'Tenn'],
+        ['TX', 'Texas', 'Tex'],
+        ['UT', 'Utah'],
+        ['VT', 'Vermont'],
+        ['VA', 'Virginia'],
+        ['WA', 'Washington', 'Wash'],
+        ['WV', 'West Virginia'],
+        ['WI', 'Wisconsin', 'Wis'],
+        ['WY', 'Wyoming', 'Wyo'],
+        ['AS', 'American Samoa'],
+        ['GU', 'Guam'],
+        ['MP', 'Northern Mariana Islands'],
+        ['PR', 'Puerto Rico'],
+        ['UM', 'United States Minor Outlying Islands'],
+        ['VI', 'Virgin Islands', 'US Virgin Islands']
+    ],
+    CA: [
+        ['AB', 'Alberta'],
+        ['BC', 'British Columbia'],
+        ['MB', 'Manitoba'],
+        ['NB', 'New Brunswick'],
+        ['NL', 'Newfoundland and Labrador', 'Newfoundland'],
+        ['NS', 'Nova Scotia'],
+        ['NT', 'Northwest Territories'],
+        ['NU', 'Nunavut'],
+        ['ON', 'Ontario'],
+        ['PE', 'Prince Edward Island', 'PEI'],
+        ['QC', 'Quebec', 'Québec'],
+        ['SK', 'Saskatchewan'],
+        ['YT', 'Yukon']
+    ],
+    AU: [
+        ['ACT', 'Australian Capital Territory'],
+        ['NSW', 'New South Wales'],
+        ['NT', 'Northern Territory'],
+        ['QLD', 'Queensland'],
+        ['SA', 'South Australia'],
+        ['TAS', 'Tasmania'],
+        ['VIC', 'Victoria'],
+        ['WA', 'Western Australia']
+    ],
+    GB: [
+        ['ENG', 'England'],
+        ['SCT', 'Scotland'],
+        ['WLS', 'Wales', 'Cymru'],
+        ['NIR', 'Northern Ireland']
+    ],
+    IN: [
+        ['AN', 'Andaman and Nicobar Islands'],
+        ['AP', 'Andhra Pradesh'],
+        ['AR', 'Arunachal Pradesh'],
+        ['AS', 'Assam'],
+        ['BR', 'Bihar'],
+        ['CH', 'Chandigarh'],
+        ['CG', 'Chhattisgarh', 'CT'],
+        ['DH', 'Dadra and Nagar Haveli and Daman and Diu'],
+        ['DL', 'Delhi', 'New Delhi'],
+        ['GA', 'Goa'],
+        ['GJ', 'Gujarat'],
+        ['HR', 'Haryana'],
+        ['HP', 'Himachal Pradesh'],
+        ['JK', 'Jammu and Kashmir'],
+        ['JH', 'Jharkhand'],
+        ['KA', 'Karnataka'],
+        ['KL', 'Kerala'],
+        ['LA', 'Ladakh'],
+        ['LD', 'Lakshadweep'],
+        ['MP', 'Madhya Pradesh'],
+        ['MH', 'Maharashtra'],
+        ['MN', 'Manipur'],
+        ['ML', 'Meghalaya'],
+        ['MZ', 'Mizoram'],
+        ['NL', 'Nagaland'],
+        ['OD', 'Odisha', 'Orissa', 'OR'],
+        ['PY', 'Puducherry', 'Pondicherry'],
+        ['PB', 'Punjab'],
+        ['RJ', 'Rajasthan'],
+        ['SK', 'Sikkim'],
+        ['TN', 'Tamil Nadu'],
+        ['TG', 'Telangana', 'TS'],
+        ['TR', 'Tripura'],
+        ['UP', 'Uttar Pradesh'],
+        ['UK', 'Uttarakhand', 'UT'],
+        ['WB', 'West Bengal']
+    ],
+    DE: [
+        ['BW', 'Baden-Württemberg'],
+        ['BY', 'Bayern', 'Bavaria'],
+        ['BE', 'Berlin'],
+        ['BB', 'Brandenburg'],
+        ['HB', 'Bremen'],
+        ['HH', 'Hamburg'],
+        ['HE', 'Hessen', 'Hesse'],
+        ['MV', 'Mecklenburg-Vorpommern', 'Mecklenburg-Western Pomerania'],
+        ['NI', 'Niedersachsen', 'Lower Saxony'],
+        ['NW', 'Nordrhein-Westfalen', 'North Rhine-Westphalia'],
+        ['RP', 'Rheinland-Pfalz', 'Rhineland-Palatinate'],
+        ['SL', 'Saarland'],
+        ['SN', 'Sachsen', 'Saxony'],
+        ['ST', 'Sachsen-Anhalt', 'Saxony-Anhalt'],
+        ['SH', 'Schleswig-Holstein'],
+        ['TH', 'Thüringen', 'Thuringia']
+    ],
+    MX: [
+        ['AGU', 'Aguascalientes'],
+        ['BCN', 'Baja California'],
+        ['BCS', 'Baja California Sur'],
+        ['CAM', 'Campeche'],
+        ['CHP', 'Chiapas'],
+        ['CHH', 'Chihuahua'],
+        ['CMX', 'Ciudad de México', 'Mexico City', 'CDMX'],
+        ['COA', 'Coahuila'],
+        ['COL', 'Colima'],
+        ['DUR', 'Durango'],
+        ['GUA', 'Guanajuato'],
+        ['GRO', 'Guerrero'],
+        ['HID', 'Hidalgo'],
+        ['JAL', 'Jalisco'],
+        ['MEX', 'México', 'State of Mexico', 'Estado de México'],
+        ['MIC', 'Michoacán'],
+        ['MOR', 'Morelos'],
+        ['NAY', 'Nayarit'],
+        ['NLE', 'Nuevo León'],
+        ['OAX', 'Oaxaca'],
+        ['PUE', 'Puebla'],
+        ['QUE', 'Querétaro'],
+        ['ROO', 'Quintana Roo'],
+        ['SLP', 'San Luis Potosí'],
+        ['SIN', 'Sinaloa'],
+        ['SON', 'Sonora'],
+        ['TAB', 'Tabasco'],
+        ['TAM', 'Tamaulipas'],
+        ['TLA', 'Tlaxcala'],
+        ['VER', 'Veracruz'],
+        ['YUC', 'Yucatán'],
+        ['ZAC', 'Zacatecas']
+    ],
+    BR: [
+        ['AC', 'Acre'],
+        ['AL', 'Alagoas'],
+        ['AP', 'Amapá'],
+        ['AM', 'Amazonas'],
+        ['BA', 'Bahia'],
+        ['CE', 'Ceará'],
+        ['DF', 'Distrito Federal'],
+        ['ES', 'Espírito Santo'],
+        ['GO', 'Goiás'],
+        ['MA', 'Maranhão'],
+        ['MT', 'Mato Grosso'],
+        ['MS', 'Mato Grosso do Sul'],
+        ['MG', 'Minas Gerais'],
+        ['PA', 'Pará'],
+        ['PB', 'Paraíba'],
+        ['PR', 'Paraná'],
+        ['PE', 'Pernambuco'],
+        ['PI', 'Piauí'],
+        ['RJ', 'Rio de Janeiro'],
+        ['RN', 'Rio Grande do Norte'],
+        ['RS', 'Rio Grande do Sul'],
+        ['RO', 'Rondônia'],
+        ['RR', 'Roraima'],
+        ['SC', 'Santa Catarina'],
+        ['SP', 'São Paulo'],
+        ['SE', 'Sergipe'],
+        ['TO', 'Tocantins']
+    ]
+};
+
+export { COUNTRIES, SUBDIVISIONS };
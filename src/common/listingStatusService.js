@@ -0,0 +1,136 @@
+/**
+ * Listing Status Service
+ * Tracks each profile's directory listings through pending, approved,
+ * rejected and live states
+ */
+
+import { storageService } from './storage.js';
+import { ListingStatus } from './models.js';
+import { STORAGE_KEYS, LISTING_STATUSES } from './constants.js';
+import { DomainUtils } from './domainUtils.js';
+
+// Stored next to the submission history, outside the sync quota
+const USE_SYNC = false;
+
+export class ListingStatusService {
+    /**
+     * Get the listing status of a profile on the domain of a URL
+     * @param {string} profileId - Profile ID
+     * @param {string} url - Page URL or hostname
+     * @param {string|null} [locationId] - Location the listing is for; none for the profile's own address
+     * @returns {Promise<ListingStatus|null>} Status if the listing is tracked
+     */
+    async getStatus(profileId, url, locationId = null) {
+        const domain = DomainUtils.getRegistrableDomain(url);
+        const statuses = await this.loadStatuses();
+        const data = statuses[this.getKey(profileId, domain, locationId)];
+        return data ? new ListingStatus(data) : null;
+    }
+
+    /**
+     * Change the status of a listing, creating it if untracked
+     * @param {string} profileId - Profile ID
+     * @param {string} url - Page URL or hostname
+     * @param {string} status - One of LISTING_STATUSES
+     * @param {string} note - Why the state changed
+     * @param {string} [date] - ISO date of the change
+     * @param {string|null} [locationId] - Location the listing is for
+     * @returns {Promise<ListingStatus>} Updated status
+     */
+    async updateStatus(profileId, url, status, note = '', date, locationId = null) {
+        const domain = DomainUtils.getRegistrableDomain(url);
+        if (!profileId || !domain) {
+            throw new Error('Listing status requires a profile and a valid URL');
+        }
+
+        const statuses = await this.loadStatuses();
+        const key = this.getKey(profileId, domain, locationId);
+        const listing = new ListingStatus(statuses[key] || { profileId, locationId, domain });
+
+        listing.setStatus(status, note, date);
+        statuses[key] = listing;
+        await this.saveStatuses(statuses);
+
+        return listing;
+    }
+
+    /**
+     * Start tracking a freshly submitted listing as pending.
+     * Listings that are already tracked keep their state.
+     * @param {string} profileId - Profile ID
+     * @param {string} url - Submitted page URL
+     * @param {string|null} [locationId] - Location the listing is for
+     * @returns {Promise<ListingStatus>} Current status
+     */
+    async markSubmitted(profileId, url, locationId = null) {
+        const existing = await this.getStatus(profileId, url, locationId);
+        if (existing) {
+            return existing;
+        }
+        return this.updateStatus(profileId, url, LISTING_STATUSES.PENDING, 'Form submitted', undefined, locationId);
+    }
+
+    /**
+     * List tracked listings, optionally for one profile
+     * @param {string} [profileId] - Profile ID
+     * @returns {Promise<Array<ListingStatus>>} Listings, most recently updated first
+     */
+    async getStatuses(profileId) {
+        const statuses = await this.loadStatuses();
+        return Object.values(statuses)
+            .map(data => new ListingStatus(data))
+            .filter(listing => !profileId || listing.profileId === profileId)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Count listings per status for each profile
+     * @returns {Promise<Object>} Map of profileId -> { pending, approved, rejected, live }
+     */
+    async getStatusCounts() {
+        const counts = {};
+        const listings = await this.getStatuses();
+
+        listings.forEach(listing => {
+            if (!counts[listing.profileId]) {
+                counts[listing.profileId] = Object.fromEntries(
+                    Object.values(LISTING_STATUSES).map(status => [status, 0])
+                );
+            }
+            counts[listing.profileId][listing.status]++;
+        });
+
+        return counts;
+    }
+
+    /**
+     * Build storage key for a listing; the profile's own listings keep
+     * the key they had before locations
+     * @private
+     */
+    getKey(profileId, domain, locationId) {
+        return locationId ? `${profileId}|${locationId}|${domain}` : `${profileId}|${domain}`;
+    }
+
+    /**
+     * Load map of listing key -> status data
+     * @private
+     */
+    async loadStatuses() {
+        const data = await storageService.get(STORAGE_KEYS.LISTING_STATUSES, USE_SYNC);
+        return data[STORAGE_KEYS.LISTING_STATUSES] || {};
+    }
+
+    /**
+     * Persist listing statuses
+     * @private
+     */
+    async saveStatuses(statuses) {
+        await storageService.set({
+            [STORAGE_KEYS.LISTING_STATUSES]: statuses
+        }, USE_SYNC);
+    }
+}
+
+// Export singleton instance
+export const listingStatusService = new ListingStatusService();
@@ -28,7 +28,7 @@ class MessageService {
      */
     setupCleanupInterval() {
         // Clean up pending responses older than 30 seconds
-        setInterval(() => {
+        this.cleanupInterval = setInterval(() => {
             const now = Date.now();
             for (const [id, data] of this.pendingResponses) {
                 if (now - data.timestamp > 30000) {
@@ -43,6 +43,7 @@ class MessageService {
      */
     destroy() {
         chrome.runtime.onMessage.removeListener(this.messageListener);
+        clearInterval(this.cleanupInterval);
         this.handlers.clear();
         this.pendingResponses.clear();
     }
@@ -73,27 +74,33 @@ class MessageService {
      * @param {Object} message - Message object
      * @param {Object} sender - Message sender
      * @param {Function} sendResponse - Response callback
+     * @returns {boolean} True when a handler will respond, which keeps the
+     *     channel open for the asynchronous response
      */
-    async handleMessage(message, sender, sendResponse) {
-        try {
-            if (!message || !message.type) {
-                throw new Error('Invalid message format');
-            }
+    handleMessage(message, sender, sendResponse) {
+        if (!message || !message.type) {
+            console.error('Error handling message:', new Error('Invalid message format'));
+            sendResponse({ success: false, error: 'Invalid message format' });
+            return false;
+        }
 
-            const handler = this.handlers.get(message.type);
-            if (!handler) {
-                throw new Error(`No handler registered for message type: ${message.type}`);
-            }
+        const handler = this.handlers.get(message.type);
+        if (!handler) {
+            // Leave the message to other listeners in this context
+            return false;
+        }
 
-            const response = await handler(message.data, sender);
-            sendResponse({ success: true, data: response });
-        } catch (error) {
-            console.error('Error handling message:', error);
-            sendResponse({ 
-                success: false, 
-                error: error.message || 'Unknown error'
+        Promise.resolve()
+            .then(() => handler(message.data, sender))
+            .then(response => sendResponse({ success: true, data: response }))
+            .catch(error => {
+                console.error('Error handling message:', error);
+                sendResponse({ 
+                    success: false, 
+                    error: error.message || 'Unknown error'
+                });
             });
-        }
+        return true;
     }
 
     /**
@@ -2,6 +2,12 @@
  * Core Domain Models
  */
 
+import { LISTING_STATUSES, CAMPAIGN_STATUSES, CAMPAIGN_STEPS } from './constants.js';
+import { AutocompleteTokens } from './autocompleteTokens.js';
+import { BusinessHours } from './businessHours.js';
+import { PostalAddress } from './postalAddress.js';
+import { PhoneNumber } from './phoneNumber.js';
+
 /**
  * Profile Data Model
  */
@@ -19,19 +25,19 @@ export class Profile {
             lastName: data.personal?.lastName || '',
             email: data.personal?.email || '',
             phone: data.personal?.phone || '',
+            phoneCountry: data.personal?.phoneCountry || '',
             website: data.personal?.website || ''
         };
 
         // Business Information
         this.business = {
+            title: data.business?.title || '',
             companyName: data.business?.companyName || '',
-            address: data.business?.address || '',
-            city: data.business?.city || '',
-            state: data.business?.state || '',
-            zip: data.business?.zip || '',
-            country: data.business?.country || '',
             industry: data.business?.industry || '',
-            description: data.business?.description || ''
+            // Descriptions in three lengths, so a field's limits can pick one
+            descriptionShort: data.business?.descriptionShort || '',
+            description: data.business?.description || '',
+            descriptionLong: data.business?.descriptionLong || ''
         };
 
         // Social Media Links
@@ -41,13 +47,200 @@ export class Profile {
             linkedin: data.socialMedia?.linkedin || '',
             instagram: data.socialMedia?.instagram || '',
             youtube: data.socialMedia?.youtube || '',
-            pinterest: data.socialMedia?.pinterest || ''
+            pinterest: data.socialMedia?.pinterest || '',
+            tiktok: data.socialMedia?.tiktok || '',
+            snapchat: data.socialMedia?.snapchat || ''
         };
 
+        // Directory Submission Data
+        this.keywords = data.keywords || '';
+        this.password = data.password || '';
+        this.category = data.category || '';
+
+        // Weekly opening hours; see BusinessHours for the shape
+        this.hours = data.hours || {};
+
+        // Structured postal address; profiles saved before it kept the
+        // address as business strings and a separate auto-select location
+        this.address = PostalAddress.normalize(data.address || PostalAddress.fromLegacy(data.business, data.location));
+
+        // Read-only mirrors of the address under its old business paths, so
+        // saved recipes and {{business.city}} templates keep resolving
+        Object.assign(this.business, {
+            address: this.address.line1,
+            city: this.address.locality,
+            state: this.address.region,
+            zip: this.address.postalCode,
+            country: PostalAddress.getCountryName(this.address.countryCode) || this.address.countryCode
+        });
+
+        // Phones are kept in E.164 with their country; numbers without a
+        // calling code are read in the address's country. Unreadable numbers
+        // stay as entered, for validate() to report.
+        this.personal.phone = PhoneNumber.normalize(this.personal.phone, this.address.countryCode);
+        this.personal.phoneCountry = PhoneNumber.parse(this.personal.phone)?.countryCode || this.personal.phoneCountry;
+
+        // Branches of the business; each fills forms with its own address,
+        // phone and hours and the profile's shared fields
+        this.locations = (data.locations || []).map(location => new BusinessLocation(location));
+        this.activeLocationId = this.locations.some(location => location.id === data.activeLocationId)
+            ? data.activeLocationId
+            : null;
+
         // Form Field Mappings
         this.fieldMappings = data.fieldMappings || {};
     }
 
+    /**
+     * Universal form keys and the profile paths that back them
+     * @private
+     */
+    static UNIVERSAL_FIELDS = {
+        title: 'business.title',
+        company: 'business.companyName',
+        email: 'personal.email',
+        phone: 'personal.phone',
+        address: 'address.line1',
+        address2: 'address.line2',
+        city: 'address.locality',
+        state: 'address.region',
+        zipcode: 'address.postalCode',
+        country: 'address.countryCode',
+        website: 'personal.website',
+        descriptionShort: 'business.descriptionShort',
+        description: 'business.description',
+        descriptionLong: 'business.descriptionLong',
+        keywords: 'keywords'
+    };
+
+    /**
+     * Profile keys that describe the profile itself rather than client data
+     * @private
+     */
+    static META_KEYS = [
+        'id', 'name', 'isActive', 'createdAt', 'updatedAt', 'fieldMappings', 'locations', 'activeLocationId'
+    ];
+
+    /**
+     * Paths that restate or qualify another property: the business mirrors
+     * of the structured address and the phone's country
+     */
+    static DERIVED_PATHS = [
+        'business.address', 'business.city', 'business.state', 'business.zip', 'business.country',
+        'personal.phoneCountry'
+    ];
+
+    /**
+     * List the dotted path of every client data property
+     * @returns {Array<string>} Paths such as 'business.city'
+     */
+    static getPropertyPaths() {
+        return Object.entries(new Profile())
+            .filter(([key]) => !Profile.META_KEYS.includes(key))
+            .flatMap(([key, value]) => (value && typeof value === 'object')
+                ? Object.keys(value).map(property => `${key}.${property}`)
+                : [key])
+            .filter(path => !Profile.DERIVED_PATHS.includes(path));
+    }
+
+    /**
+     * Flatten profile data into the universal form shape used by
+     * the popup and content scripts
+     * @returns {Object} Universal form data keyed by field name
+     */
+    toUniversalFormData() {
+        const universalFormData = {};
+
+        Object.entries(Profile.UNIVERSAL_FIELDS).forEach(([key, path]) => {
+            const value = this.getValue(path);
+            if (value) {
+                universalFormData[key] = value;
+            }
+        });
+
+        const phone = PhoneNumber.parse(this.personal.phone, this.personal.phoneCountry);
+        if (phone) {
+            universalFormData.phone = PhoneNumber.format(phone, PhoneNumber.STYLES.INTERNATIONAL);
+        }
+
+        if (BusinessHours.isSet(this.hours)) {
+            universalFormData.hours = BusinessHours.format(this.hours);
+        }
+
+        return universalFormData;
+    }
+
+    /**
+     * Build profile update data from universal form values
+     * @param {Object} universalFormData - Universal form data keyed by field name
+     * @returns {Object} Data suitable for Profile#update
+     */
+    fromUniversalFormData(universalFormData) {
+        const data = {
+            personal: { ...this.personal },
+            business: { ...this.business },
+            address: { ...this.address },
+            keywords: this.keywords
+        };
+
+        Object.entries(Profile.UNIVERSAL_FIELDS).forEach(([key, path]) => {
+            const [section, property] = path.split('.');
+            const value = universalFormData[key] || '';
+            if (property) {
+                data[section][property] = value;
+            } else {
+                data[section] = value;
+            }
+        });
+
+        // Hours are edited as text; unreadable text leaves no hours
+        data.hours = BusinessHours.parse(universalFormData.hours) || {};
+
+        return data;
+    }
+
+    /**
+     * Get profile value by dotted path
+     * @param {string} path - Path such as 'business.city'
+     * @returns {*} Value at path, or '' if missing
+     */
+    getValue(path) {
+        return path.split('.').reduce((curr, key) =>
+            curr && curr[key] !== undefined ? curr[key] : '', this);
+    }
+
+    /**
+     * Get location by ID
+     * @param {string} id - Location ID
+     * @returns {BusinessLocation|null} Location if found
+     */
+    getLocation(id) {
+        return this.locations.find(location => location.id === id) || null;
+    }
+
+    /**
+     * The profile as one of its locations: the location's address, phone
+     * and hours over the shared business fields. A location without a
+     * phone or hours uses the profile's.
+     * @param {string} [locationId] - Location ID, defaults to the active location
+     * @returns {Profile} Profile to fill forms with; this profile itself
+     *     when no location is active
+     */
+    forLocation(locationId = this.activeLocationId) {
+        const location = this.getLocation(locationId);
+        if (!location) {
+            return this;
+        }
+
+        return new Profile({
+            ...this,
+            personal: { ...this.personal, phone: location.phone || this.personal.phone },
+            address: location.address,
+            hours: BusinessHours.isSet(location.hours) ? location.hours : this.hours,
+            activeLocationId: location.id
+        });
+    }
+
     /**
      * Update profile data
      * @param {Object} data - New profile data
@@ -77,9 +270,14 @@ export class Profile {
             errors.push('Invalid email format');
         }
 
-        // Phone format
+        // Phone number of a known numbering plan, or any E.164 number
         if (this.personal.phone && !this.isValidPhone(this.personal.phone)) {
-            errors.push('Invalid phone format');
+            errors.push('Invalid phone number; include the country code, e.g. +44 20 7946 0958');
+        }
+
+        // Postal code shape for the address's country
+        if (!PostalAddress.isValidPostalCode(this.address.postalCode, this.address.countryCode)) {
+            errors.push(`Invalid postal code for ${PostalAddress.getCountryName(this.address.countryCode)}`);
         }
 
         // Website format
@@ -94,6 +292,13 @@ export class Profile {
             }
         });
 
+        // Locations
+        this.locations.forEach(location => {
+            location.validate().errors.forEach(error => {
+                errors.push(`${location.name || 'Location'}: ${error}`);
+            });
+        });
+
         return {
             isValid: errors.length === 0,
             errors
@@ -113,7 +318,7 @@ export class Profile {
      * @private
      */
     isValidPhone(phone) {
-        return /^\+?[\d\s-()]{10,}$/.test(phone);
+        return PhoneNumber.isValid(phone, this.address.countryCode);
     }
 
     /**
@@ -138,6 +343,218 @@ export class Profile {
     }
 }
 
+/**
+ * Business Location Model
+ * One branch of a multi-location business, with its own address, phone
+ * and hours; everything else comes from the profile it belongs to
+ */
+export class BusinessLocation {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.name = data.name || '';
+        this.address = PostalAddress.normalize(data.address);
+        this.phone = PhoneNumber.normalize(data.phone, this.address.countryCode);
+
+        // Empty hours fall back to the profile's
+        this.hours = data.hours || {};
+    }
+
+    /**
+     * Validate location data
+     * @returns {Object} Validation result
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.name) {
+            errors.push('Location name is required');
+        }
+        if (!PostalAddress.isValidPostalCode(this.address.postalCode, this.address.countryCode)) {
+            errors.push(`Invalid postal code for ${PostalAddress.getCountryName(this.address.countryCode)}`);
+        }
+        if (this.phone && !PhoneNumber.isValid(this.phone, this.address.countryCode)) {
+            errors.push('Invalid phone number; include the country code, e.g. +44 20 7946 0958');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+}
+
+/**
+ * Directory Listing Status Model
+ * Tracks one profile's listing, or one location's, on one directory domain
+ * through its lifecycle
+ */
+export class ListingStatus {
+    constructor(data = {}) {
+        this.profileId = data.profileId || null;
+        this.locationId = data.locationId || null;
+        this.domain = data.domain || '';
+        this.status = data.status || LISTING_STATUSES.PENDING;
+        this.updatedAt = data.updatedAt || new Date().toISOString();
+
+        // Each change: { status, note, date }
+        this.history = data.history || [];
+    }
+
+    /**
+     * Move the listing to a new state
+     * @param {string} status - One of LISTING_STATUSES
+     * @param {string} note - Why the state changed
+     * @param {string} [date] - ISO date of the change, defaults to now
+     */
+    setStatus(status, note = '', date = new Date().toISOString()) {
+        if (!Object.values(LISTING_STATUSES).includes(status)) {
+            throw new Error(`Invalid listing status: ${status}`);
+        }
+
+        this.status = status;
+        this.updatedAt = new Date().toISOString();
+        this.history.push({ status, note, date });
+    }
+
+    /**
+     * Get the most recent state change
+     * @returns {Object|null} Latest { status, note, date } entry
+     */
+    getLastChange() {
+        return this.history[this.history.length - 1] || null;
+    }
+}
+
+/**
+ * Submission Log Entry Model
+ */
+export class Submission {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.profileId = data.profileId || null;
+        this.locationId = data.locationId || null;
+        this.domain = data.domain || '';
+        this.url = data.url || '';
+        this.pageTitle = data.pageTitle || '';
+        this.formId = data.formId || '';
+        this.fieldCount = data.fieldCount || 0;
+        this.submittedAt = data.submittedAt || new Date().toISOString();
+    }
+
+    /**
+     * Check whether this entry matches a history filter
+     * @param {Object} filter - Filter options
+     * @param {string} [filter.profileId] - Only entries for this profile
+     * @param {string|null} [filter.locationId] - Only entries for this location;
+     *     null for the profile's own address
+     * @param {string} [filter.query] - Text to look for in domain, URL or title
+     * @param {string} [filter.since] - ISO date; only entries on or after it
+     * @returns {boolean} Whether entry matches
+     */
+    matches({ profileId, locationId, query, since } = {}) {
+        if (profileId && this.profileId !== profileId) {
+            return false;
+        }
+
+        if (locationId !== undefined && this.locationId !== locationId) {
+            return false;
+        }
+
+        if (since && this.submittedAt < since) {
+            return false;
+        }
+
+        if (query) {
+            const text = `${this.domain} ${this.url} ${this.pageTitle}`.toLowerCase();
+            return text.includes(query.toLowerCase());
+        }
+
+        return true;
+    }
+}
+
+/**
+ * Campaign Model
+ * A named queue of directory submit URLs worked through for one profile,
+ * or one of its locations
+ */
+export class Campaign {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.name = data.name || '';
+        this.profileId = data.profileId || null;
+        this.locationId = data.locationId || null;
+        this.urls = data.urls || [];
+        this.createdAt = data.createdAt || new Date().toISOString();
+
+        // Run progress, persisted so it survives service worker restarts
+        this.status = data.status || CAMPAIGN_STATUSES.IDLE;
+        this.step = data.step || CAMPAIGN_STEPS.LOADING;
+        this.currentIndex = data.currentIndex || 0;
+        this.tabId = data.tabId ?? null;
+
+        // Each processed URL: { url, outcome: 'done' | 'skipped', date }
+        this.results = data.results || [];
+    }
+
+    /**
+     * Get the URL currently being worked on
+     * @returns {string|null} Current URL, or null when the queue is exhausted
+     */
+    getCurrentUrl() {
+        return this.urls[this.currentIndex] || null;
+    }
+
+    /**
+     * Record the outcome of the current URL and move to the next one
+     * @param {string} outcome - 'done' or 'skipped'
+     * @returns {string|null} Next URL, or null if the campaign is finished
+     */
+    advance(outcome) {
+        const url = this.getCurrentUrl();
+        if (url) {
+            this.results.push({ url, outcome, date: new Date().toISOString() });
+            this.currentIndex++;
+        }
+
+        this.step = CAMPAIGN_STEPS.LOADING;
+        if (!this.getCurrentUrl()) {
+            this.status = CAMPAIGN_STATUSES.COMPLETED;
+            this.tabId = null;
+        }
+
+        return this.getCurrentUrl();
+    }
+
+    /**
+     * Validate campaign data
+     * @returns {Object} Validation result
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.name) {
+            errors.push('Campaign name is required');
+        }
+        if (!this.profileId) {
+            errors.push('Campaign must belong to a profile');
+        }
+        if (this.urls.length === 0) {
+            errors.push('Campaign needs at least one URL');
+        }
+        this.urls.forEach(url => {
+            if (!/^https?:\/\//i.test(url)) {
+                errors.push(`Invalid campaign URL: ${url}`);
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+}
+
 /**
  * Form Field Model
  */
@@ -152,14 +569,27 @@ export class FormField {
         this.required = data.required || false;
         this.category = data.category || null;
         this.mapping = data.mapping || null;
+        this.autocomplete = data.autocomplete || '';
+        this.property = data.property || null;
+        this.selector = data.selector || null;
+        this.confidence = data.confidence || null;
     }
 
     /**
      * Check if field matches a profile property
-     * @param {string} property - Property name to match
+     * @param {string} property - Property name such as 'first_name', or a
+     *     profile path such as 'personal.firstName'
      * @returns {boolean} Whether field matches property
      */
     matchesProperty(property) {
+        // A standard autocomplete token decides on its own
+        const token = AutocompleteTokens.parse(this.autocomplete);
+        if (token) {
+            const normalize = value => (value || '').replace(/_/g, '').toLowerCase();
+            return token.property === property ||
+                (!!token.key && normalize(token.key) === normalize(property));
+        }
+
         const name = (this.name || '').toLowerCase();
         const label = (this.label || '').toLowerCase();
         const placeholder = (this.placeholder || '').toLowerCase();
@@ -177,6 +607,20 @@ export class FormField {
  * Field Mapping Model
  */
 export class FieldMapping {
+    /**
+     * Named transformations, so mappings stay serializable
+     */
+    static TRANSFORMATIONS = {
+        trim: value => String(value).trim(),
+        uppercase: value => String(value).toUpperCase(),
+        lowercase: value => String(value).toLowerCase(),
+        titleCase: value => String(value).toLowerCase().replace(/\b\w/g, char => char.toUpperCase()),
+        digitsOnly: value => String(value).replace(/\D/g, ''),
+        firstWord: value => String(value).trim().split(/\s+/)[0] || '',
+        lastWord: value => String(value).trim().split(/\s+/).pop() || '',
+        stripProtocol: value => String(value).replace(/^https?:\/\/(www\.)?/i, '')
+    };
+
     constructor(data = {}) {
         this.id = data.id || null;
         this.fieldId = data.fieldId || null;
@@ -199,8 +643,11 @@ export class FieldMapping {
         }
 
         // Apply transformation if specified
-        if (this.transformation && typeof this.transformation === 'function') {
-            value = this.transformation(value);
+        const transformation = typeof this.transformation === 'string'
+            ? FieldMapping.TRANSFORMATIONS[this.transformation]
+            : this.transformation;
+        if (transformation && typeof transformation === 'function') {
+            value = transformation(value);
         }
 
         // Apply rules
@@ -221,4 +668,79 @@ export class FieldMapping {
         return path.split('.').reduce((curr, key) => 
             curr && curr[key] !== undefined ? curr[key] : '', obj);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Site Recipe Model
+ * Selector-to-property mappings saved for a domain, optionally
+ * limited to pages under a path
+ */
+export class SiteRecipe {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.domain = data.domain || '';
+        this.path = data.path || '';
+        this.createdAt = data.createdAt || new Date().toISOString();
+        this.updatedAt = data.updatedAt || new Date().toISOString();
+        this.mappings = (data.mappings || []).map(mapping => ({
+            selector: mapping.selector || '',
+            property: mapping.property || '',
+            transformation: mapping.transformation || null
+        }));
+    }
+
+    /**
+     * Check whether the recipe applies to a page path
+     * @param {string} pathname - Page path
+     * @returns {boolean} Whether the recipe applies
+     */
+    appliesToPath(pathname) {
+        return !this.path || pathname.startsWith(this.path);
+    }
+
+    /**
+     * Build field mappings keyed by selector
+     * @returns {Map<string, FieldMapping>} Mappings
+     */
+    toFieldMappings() {
+        return new Map(this.mappings.map(mapping => [
+            mapping.selector,
+            new FieldMapping({
+                fieldId: mapping.selector,
+                profileProperty: mapping.property,
+                transformation: mapping.transformation
+            })
+        ]));
+    }
+
+    /**
+     * Validate recipe data
+     * @returns {Object} Validation result
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.domain) {
+            errors.push('Recipe domain is required');
+        }
+        if (this.path && !this.path.startsWith('/')) {
+            errors.push('Recipe path must start with /');
+        }
+        if (this.mappings.length === 0) {
+            errors.push('Recipe needs at least one mapping');
+        }
+        this.mappings.forEach(mapping => {
+            if (!mapping.selector || !mapping.property) {
+                errors.push('Each mapping needs a selector and a property');
+            }
+            if (mapping.transformation && !FieldMapping.TRANSFORMATIONS[mapping.transformation]) {
+                errors.push(`Unknown transformation: ${mapping.transformation}`);
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+}
@@ -0,0 +1,280 @@
+/**
+ * Option Matcher
+ * Ranks dropdown options against a wanted value. Country and region values
+ * are expanded through the ISO 3166 alias table so "United States", "USA",
+ * "U.S." and "840" all count as the same option.
+ */
+
+import { COUNTRIES, SUBDIVISIONS } from './isoRegions.js';
+
+class OptionMatcher {
+    /**
+     * Minimum score for an option to be picked
+     */
+    static DEFAULT_THRESHOLD = 0.75;
+
+    /**
+     * Shortest text that may match by containment; shorter values are
+     * codes and must match exactly
+     * @private
+     */
+    static MIN_PARTIAL_LENGTH = 3;
+
+    constructor() {
+        // Built on first use: normalized form -> alias groups containing it
+        this.countryIndex = null;
+        this.regionIndex = null;
+    }
+
+    /**
+     * Find the best option for a value
+     * @param {Array<{text: string, value?: string}>} options - Candidate options
+     * @param {string} value - Wanted value
+     * @param {Object} [context] - Matching context
+     * @param {string} [context.kind] - 'country', 'region' or another field kind
+     * @param {string} [context.country] - Country the region belongs to, any form
+     * @param {number} [context.threshold] - Minimum score
+     * @returns {{option: Object, score: number}|null} Best option above the threshold
+     */
+    match(options, value, context = {}) {
+        const threshold = context.threshold ?? OptionMatcher.DEFAULT_THRESHOLD;
+        const [best] = this.rank(options, value, context);
+        return best && best.score >= threshold ? best : null;
+    }
+
+    /**
+     * Score every option against a value, best first
+     * @param {Array<{text: string, value?: string}>} options - Candidate options
+     * @param {string} value - Wanted value
+     * @param {Object} [context] - See match()
+     * @returns {Array<{option: Object, score: number}>} Options with a score above zero
+     */
+    rank(options, value, context = {}) {
+        const wanted = this.getAliases(value, context);
+        if (wanted.size === 0) return [];
+
+        return options
+            .map(option => ({ option, score: this.scoreForms(option, wanted, context) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Score one option's text against a value
+     * @param {string} text - Option text
+     * @param {string} value - Wanted value
+     * @param {Object} [context] - See match()
+     * @returns {number} Score between 0 and 1
+     */
+    score(text, value, context = {}) {
+        return this.scoreForms({ text }, this.getAliases(value, context), context);
+    }
+
+    /**
+     * Terms worth typing into a searchable widget, most specific first
+     * @param {string} value - Wanted value
+     * @param {Object} [context] - See match()
+     * @returns {Array<string>} Up to three search terms
+     */
+    getSearchTerms(value, context = {}) {
+        const terms = [String(value || '').trim()];
+        const group = this.findGroups(this.normalize(value), context)[0];
+        if (group) {
+            terms.push(group.name, group.code);
+        }
+
+        return [...new Set(terms.filter(Boolean))].slice(0, 3);
+    }
+
+    /**
+     * Resolve any form of a country to its alpha-2 code
+     * @param {string} value - Country name, alias or code
+     * @returns {string|null} Alpha-2 code
+     */
+    resolveCountry(value) {
+        return this.findGroups(this.normalize(value), { kind: 'country' })[0]?.code || null;
+    }
+
+    /**
+     * Resolve any form of a region to its ISO 3166-2 entry in a country
+     * @param {string} value - Region name, alias or code
+     * @param {string} country - Country the region belongs to, any form
+     * @returns {{code: string, name: string}|null} Subdivision code (without the country prefix) and name
+     */
+    resolveRegion(value, country) {
+        const code = this.resolveCountry(country);
+        const group = this.findGroups(this.normalize(value), { kind: 'region', country })
+            .find(entry => entry.country === code);
+        return group ? { code: group.code, name: group.name } : null;
+    }
+
+    /**
+     * Lowercase, strip accents and punctuation, collapse whitespace
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    normalize(text) {
+        let normalized = String(text ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/['.]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .replace(/^the /, '');
+
+        // Numeric codes are written both with and without leading zeros
+        if (/^\d+$/.test(normalized)) {
+            normalized = String(parseInt(normalized, 10));
+        }
+        return normalized;
+    }
+
+    /**
+     * All normalized forms equivalent to a value
+     * @private
+     */
+    getAliases(value, context) {
+        const normalized = this.normalize(value);
+        const aliases = new Set(normalized ? [normalized] : []);
+        this.findGroups(normalized, context).forEach(group => {
+            group.forms.forEach(form => aliases.add(form));
+        });
+        return aliases;
+    }
+
+    /**
+     * Alias groups containing a normalized form
+     * @private
+     */
+    findGroups(normalized, context) {
+        if (!normalized) return [];
+
+        if (context.kind === 'country') {
+            return this.getCountryIndex().get(normalized) || [];
+        }
+
+        if (context.kind === 'region') {
+            const groups = this.getRegionIndex().get(normalized) || [];
+            const country = context.country ? this.resolveCountry(context.country) : null;
+            const inCountry = country ? groups.filter(group => group.country === country) : [];
+            return inCountry.length > 0 ? inCountry : groups;
+        }
+
+        return [];
+    }
+
+    /**
+     * @private
+     */
+    scoreForms(option, wanted, context) {
+        const optionForms = new Set([option.text, option.value]
+            .map(text => this.normalize(text))
+            .filter(Boolean));
+        if (optionForms.size === 0) return 0;
+
+        // Options may use a different alias than the value, e.g. "USA" for "United States"
+        for (const form of optionForms) {
+            if (wanted.has(form)) return 1;
+            if (this.findGroups(form, context).some(group => group.forms.some(alias => wanted.has(alias)))) {
+                return 1;
+            }
+        }
+
+        let best = 0;
+        optionForms.forEach(form => {
+            wanted.forEach(alias => {
+                best = Math.max(best, this.similarity(form, alias));
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Fuzzy similarity of two normalized strings
+     * @private
+     */
+    similarity(a, b) {
+        if (a === b) return 1;
+        if (Math.min(a.length, b.length) < OptionMatcher.MIN_PARTIAL_LENGTH) return 0;
+
+        const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+        const containment = ` ${longer} `.includes(` ${shorter} `)
+            ? 0.75 + 0.25 * (shorter.length / longer.length)
+            : 0;
+
+        return Math.max(containment, this.diceCoefficient(a, b));
+    }
+
+    /**
+     * Share of character bigrams two strings have in common
+     * @private
+     */
+    diceCoefficient(a, b) {
+        const bigrams = text => {
+            const counts = new Map();
+            for (let i = 0; i < text.length - 1; i++) {
+                const bigram = text.slice(i, i + 2);
+                counts.set(bigram, (counts.get(bigram) || 0) + 1);
+            }
+            return counts;
+        };
+
+        const first = bigrams(a);
+        const second = bigrams(b);
+        let shared = 0;
+        first.forEach((count, bigram) => {
+            shared += Math.min(count, second.get(bigram) || 0);
+        });
+
+        return (2 * shared) / (a.length - 1 + b.length - 1);
+    }
+
+    /**
+     * @private
+     */
+    getCountryIndex() {
+        if (!this.countryIndex) {
+            this.countryIndex = this.buildIndex(COUNTRIES.map(([alpha2, alpha3, numeric, name, ...aliases]) => ({
+                code: alpha2,
+                name,
+                forms: [alpha2, alpha3, numeric, name, ...aliases].map(form => this.normalize(form))
+            })));
+        }
+        return this.countryIndex;
+    }
+
+    /**
+     * @private
+     */
+    getRegionIndex() {
+        if (!this.regionIndex) {
+            const groups = Object.entries(SUBDIVISIONS).flatMap(([country, entries]) =>
+                entries.map(([code, name, ...aliases]) => ({
+                    country,
+                    code,
+                    name,
+                    forms: [code, `${country}-${code}`, name, ...aliases].map(form => this.normalize(form))
+                })));
+            this.regionIndex = this.buildIndex(groups);
+        }
+        return this.regionIndex;
+    }
+
+    /**
+     * @private
+     */
+    buildIndex(groups) {
+        const index = new Map();
+        groups.forEach(group => {
+            group.forms.forEach(form => {
+                if (!index.has(form)) index.set(form, []);
+                index.get(form).push(group);
+            });
+        });
+        return index;
+    }
+}
+
+export const optionMatcher = new OptionMatcher();
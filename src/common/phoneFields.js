@@ -0,0 +1,273 @@
+/**
+ * Phone Fields
+ * Reads how a form wants a phone number: the shape its pattern, placeholder
+ * or maxlength allows, and whether the number is split across sibling
+ * inputs for country code, area code and local number
+ */
+
+import { PhoneNumber } from './phoneNumber.js';
+import { AutocompleteTokens } from './autocompleteTokens.js';
+
+class PhoneFields {
+    /**
+     * Piece of the number an input takes
+     */
+    static ROLES = {
+        FULL: 'full',
+        NATIONAL: 'national',
+        CALLING_CODE: 'callingCode',
+        AREA_CODE: 'areaCode',
+        LOCAL: 'local',
+        LOCAL_PREFIX: 'localPrefix',
+        LOCAL_SUFFIX: 'localSuffix',
+        EXTENSION: 'extension'
+    };
+
+    /**
+     * Roles named by autocomplete field names
+     * @private
+     */
+    static AUTOCOMPLETE_ROLES = {
+        'tel': 'full',
+        'tel-national': 'national',
+        'tel-country-code': 'callingCode',
+        'tel-area-code': 'areaCode',
+        'tel-local': 'local',
+        'tel-local-prefix': 'localPrefix',
+        'tel-local-suffix': 'localSuffix',
+        'tel-extension': 'extension'
+    };
+
+    /**
+     * Roles named by a field's name, id, label or placeholder
+     * @private
+     */
+    static ROLE_PATTERNS = [
+        { pattern: /country.?code|dial(?:ing)?.?code|calling.?code|\bcc\b/i, role: 'callingCode' },
+        { pattern: /area.?code|\barea\b/i, role: 'areaCode' },
+        { pattern: /\bext(?:ension)?\b/i, role: 'extension' },
+        { pattern: /prefix|exchange/i, role: 'localPrefix' },
+        { pattern: /suffix|\bline\b/i, role: 'localSuffix' }
+    ];
+
+    /**
+     * Roles of unnamed split inputs, by how many there are
+     * @private
+     */
+    static SPLIT_LAYOUTS = {
+        withCallingCode: {
+            2: ['callingCode', 'national'],
+            3: ['callingCode', 'areaCode', 'local'],
+            4: ['callingCode', 'areaCode', 'localPrefix', 'localSuffix']
+        },
+        withoutCallingCode: {
+            2: ['areaCode', 'local'],
+            3: ['areaCode', 'localPrefix', 'localSuffix']
+        }
+    };
+
+    /**
+     * Inputs of one split number are this short, apart from the last
+     * @private
+     */
+    static MAX_PART_LENGTH = 4;
+
+    /**
+     * How many ancestors up from an input its split siblings may sit
+     * @private
+     */
+    static GROUP_DEPTH = 2;
+
+    static PART_SELECTOR = 'input[type="tel"], input[type="text"], input[type="number"], input:not([type]), select';
+
+    /**
+     * Value for a phone input: its piece of the number when the number is
+     * split, else the whole number in the shape the input asks for
+     * @param {Object} phone - From PhoneNumber.parse()
+     * @param {HTMLElement} element - Input or select
+     * @param {Object} [options]
+     * @param {string} [options.homeCountry] - Country the business is in; numbers
+     *     of that country are written nationally unless the field says otherwise
+     * @returns {string} Value; '' when the input takes nothing, such as an
+     *     extension input for a number without one
+     */
+    static getValue(phone, element, { homeCountry = '' } = {}) {
+        const role = this.getRole(element);
+        if (role === this.ROLES.FULL) {
+            return this.formatFor(phone, element, !!phone.countryCode && homeCountry === phone.countryCode);
+        }
+        if (role === this.ROLES.NATIONAL) {
+            return this.formatFor(phone, element, true);
+        }
+        if (role === this.ROLES.CALLING_CODE) {
+            return this.getCallingCodeValue(phone, element);
+        }
+
+        const parts = PhoneNumber.getParts(phone);
+        if (role === this.ROLES.LOCAL) {
+            return PhoneNumber.formatLike({ ...phone, nationalNumber: parts.local }, element.getAttribute('placeholder')) ||
+                parts.local;
+        }
+        return parts[role] || '';
+    }
+
+    /**
+     * Which piece of the number an input takes
+     * @param {HTMLElement} element - Input or select
+     * @returns {string} ROLES value
+     */
+    static getRole(element) {
+        const token = AutocompleteTokens.fromElement(element);
+        if (token && this.AUTOCOMPLETE_ROLES[token.fieldName]) {
+            return this.AUTOCOMPLETE_ROLES[token.fieldName];
+        }
+
+        // A lone input is the whole number unless it is short enough to be a
+        // piece, so "Phone (include country code)" still takes the number
+        const group = this.getGroup(element);
+        if (group.length < 2) {
+            const isPiece = element.tagName === 'SELECT' ||
+                (element.maxLength > 0 && element.maxLength <= this.MAX_PART_LENGTH);
+            return (isPiece && this.getNamedRole(element)) || this.ROLES.FULL;
+        }
+
+        const named = group.map(member => this.getNamedRole(member));
+        if (named[group.indexOf(element)]) {
+            return named[group.indexOf(element)];
+        }
+
+        // Unnamed inputs take the layout their count suggests
+        const withCallingCode = this.isCallingCodeInput(group[0]) || named[0] === this.ROLES.CALLING_CODE ||
+            (group.length === 3 && !(group[2].maxLength > 0 && group[2].maxLength <= this.MAX_PART_LENGTH));
+        const layout = this.SPLIT_LAYOUTS[withCallingCode ? 'withCallingCode' : 'withoutCallingCode'][group.length];
+        return layout?.[group.indexOf(element)] || this.ROLES.FULL;
+    }
+
+    /**
+     * Inputs a phone number is split across, in page order: two to four
+     * short inputs next to each other, the last one possibly longer
+     * @param {HTMLElement} element - One of the inputs
+     * @returns {Array<HTMLElement>} The inputs, or just the element when it stands alone
+     */
+    static getGroup(element) {
+        let container = element.parentElement;
+        for (let depth = 0; container && depth < this.GROUP_DEPTH; depth++) {
+            const members = Array.from(container.querySelectorAll(this.PART_SELECTOR))
+                .filter(member => !member.disabled && member.type !== 'hidden');
+            if (members.length > 1) {
+                return this.isSplitGroup(members) ? members : [element];
+            }
+            container = container.parentElement;
+        }
+        return [element];
+    }
+
+    /**
+     * @private
+     */
+    static isSplitGroup(members) {
+        if (members.length > 4) return false;
+        return members.slice(0, -1).every(member =>
+            (member.tagName === 'SELECT' && this.isCallingCodeInput(member)) ||
+            (member.maxLength > 0 && member.maxLength <= this.MAX_PART_LENGTH));
+    }
+
+    /**
+     * Role an input names in its attributes or label
+     * @private
+     */
+    static getNamedRole(element) {
+        const text = [
+            element.name,
+            element.id,
+            element.getAttribute('aria-label'),
+            element.getAttribute('placeholder'),
+            ...Array.from(element.labels || [], label => label.textContent)
+        ].filter(Boolean).join(' ').replace(/[_-]/g, ' ');
+        return this.ROLE_PATTERNS.find(({ pattern }) => pattern.test(text))?.role || null;
+    }
+
+    /**
+     * Whether an input looks like it takes the calling code: a select of
+     * "+1", "+44" options, or an input showing a "+"
+     * @private
+     */
+    static isCallingCodeInput(element) {
+        if (element.tagName === 'SELECT') {
+            const options = Array.from(element.options).filter(option => option.value !== '');
+            return options.length > 0 &&
+                options.filter(option => /\+\s?\d/.test(option.text)).length >= options.length / 2;
+        }
+        return /^\+/.test(element.getAttribute('placeholder') || element.value || '');
+    }
+
+    /**
+     * Calling code as the input takes it: the matching option of a select,
+     * "+1" where there is room for the plus, "1" otherwise
+     * @private
+     */
+    static getCallingCodeValue(phone, element) {
+        const code = phone.callingCode;
+        if (element.tagName === 'SELECT') {
+            const codePattern = new RegExp(`(?:^|\\+|\\D)${code}(?!\\d)`);
+            const options = Array.from(element.options).filter(option =>
+                codePattern.test(option.value) || new RegExp(`\\+\\s?${code}(?!\\d)`).test(option.text));
+            // Countries sharing +1 each have an option; the number's own country wins
+            const own = phone.countryCode && options.find(option =>
+                new RegExp(`\\b${phone.countryCode}\\b`).test(`${option.value} ${option.text}`));
+            return (own || options[0])?.value || '';
+        }
+
+        const room = element.maxLength > 0 ? element.maxLength : Infinity;
+        return room > code.length && !/^\d/.test(element.getAttribute('placeholder') || '')
+            ? `+${code}`
+            : code;
+    }
+
+    /**
+     * Whole number in the shape an input asks for: its example placeholder,
+     * then its pattern and maxlength, then the preferred style
+     * @private
+     * @param {Object} phone - From PhoneNumber.parse()
+     * @param {HTMLElement} element - Input
+     * @param {boolean} national - Prefer the national style
+     * @returns {string} Formatted number
+     */
+    static formatFor(phone, element, national) {
+        const { NATIONAL, INTERNATIONAL, E164, DASHED, DIGITS } = PhoneNumber.STYLES;
+        if (element.type === 'number') {
+            return phone.nationalNumber;
+        }
+
+        const sample = PhoneNumber.formatLike(phone, element.getAttribute('placeholder')) ||
+            PhoneNumber.formatLike(phone, element.getAttribute('title'));
+        if (sample) return sample;
+
+        const styles = national
+            ? [NATIONAL, INTERNATIONAL, E164, DASHED, DIGITS]
+            : [INTERNATIONAL, E164, NATIONAL, DASHED, DIGITS];
+        const candidates = styles.map(style => PhoneNumber.format(phone, style));
+
+        const pattern = this.getPattern(element);
+        const maxLength = element.maxLength > 0 ? element.maxLength : Infinity;
+        return candidates.find(candidate =>
+            candidate.length <= maxLength && (!pattern || pattern.test(candidate))) ||
+            candidates[candidates.length - 1];
+    }
+
+    /**
+     * The input's pattern attribute as a whole-value RegExp
+     * @private
+     */
+    static getPattern(element) {
+        const source = element.getAttribute('pattern');
+        if (!source) return null;
+        try {
+            return new RegExp(`^(?:${source})$`, 'v');
+        } catch {
+            return null;
+        }
+    }
+}
+
+export { PhoneFields };
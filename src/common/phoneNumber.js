@@ -0,0 +1,347 @@
+/**
+ * Phone Number
+ * Parses phone numbers written any common way into E.164 with the country
+ * they belong to, and writes them back in the shapes forms ask for:
+ * "(555) 123-4567", "+1 555 123 4567", "+15551234567", digits only, or
+ * split into country code, area code and local number. Offline, from a
+ * small table of numbering plans; numbers dialed with any other calling
+ * code are read as plain E.164, without a country or national formats.
+ *
+ * Shape: { countryCode: 'US', callingCode: '1', nationalNumber: '5551234567',
+ *     extension: '', e164: '+15551234567' }
+ */
+
+class PhoneNumber {
+    /**
+     * Country assumed for national numbers when none is known
+     */
+    static DEFAULT_COUNTRY = 'US';
+
+    static STYLES = {
+        NATIONAL: 'national',
+        INTERNATIONAL: 'international',
+        E164: 'e164',
+        DASHED: 'dashed',
+        DIGITS: 'digits'
+    };
+
+    /**
+     * Numbering plans: calling code, national trunk prefix, lengths of the
+     * national significant number and the area code length, with prefixes
+     * whose area code is shorter or longer
+     * @private
+     */
+    static PLANS = {
+        US: { callingCode: '1', trunk: '', lengths: [10], area: 3 },
+        CA: { callingCode: '1', trunk: '', lengths: [10], area: 3 },
+        GB: { callingCode: '44', trunk: '0', lengths: [9, 10], area: 4, areas: [[/^2/, 2], [/^(?:11|1\d1|3|8)/, 3]] },
+        IE: { callingCode: '353', trunk: '0', lengths: [7, 8, 9], area: 2, areas: [[/^1/, 1]] },
+        AU: { callingCode: '61', trunk: '0', lengths: [9], area: 1, areas: [[/^4/, 3]] },
+        NZ: { callingCode: '64', trunk: '0', lengths: [8, 9, 10], area: 1, areas: [[/^2/, 2]] },
+        DE: { callingCode: '49', trunk: '0', lengths: [6, 7, 8, 9, 10, 11], area: 3, areas: [[/^(?:30|40|69|89)/, 2]] },
+        AT: { callingCode: '43', trunk: '0', lengths: [7, 8, 9, 10, 11, 12, 13], area: 3, areas: [[/^1/, 1]] },
+        CH: { callingCode: '41', trunk: '0', lengths: [9], area: 2 },
+        FR: { callingCode: '33', trunk: '0', lengths: [9], area: 1 },
+        BE: { callingCode: '32', trunk: '0', lengths: [8, 9], area: 2, areas: [[/^4/, 3], [/^[23]/, 1]] },
+        NL: { callingCode: '31', trunk: '0', lengths: [9], area: 2, areas: [[/^6/, 1]] },
+        ES: { callingCode: '34', trunk: '', lengths: [9], area: 3 },
+        PT: { callingCode: '351', trunk: '', lengths: [9], area: 2, areas: [[/^9/, 3]] },
+        IT: { callingCode: '39', trunk: '', lengths: [6, 7, 8, 9, 10, 11], area: 3, areas: [[/^0[26]/, 2]] },
+        SE: { callingCode: '46', trunk: '0', lengths: [7, 8, 9], area: 2, areas: [[/^8/, 1]] },
+        NO: { callingCode: '47', trunk: '', lengths: [8], area: 3 },
+        DK: { callingCode: '45', trunk: '', lengths: [8], area: 2 },
+        FI: { callingCode: '358', trunk: '0', lengths: [5, 6, 7, 8, 9, 10, 11, 12], area: 2, areas: [[/^9/, 1]] },
+        PL: { callingCode: '48', trunk: '', lengths: [9], area: 2, areas: [[/^[5-8]/, 3]] },
+        IL: { callingCode: '972', trunk: '0', lengths: [8, 9], area: 1, areas: [[/^5/, 2]] },
+        AE: { callingCode: '971', trunk: '0', lengths: [8, 9], area: 1, areas: [[/^5/, 2]] },
+        ZA: { callingCode: '27', trunk: '0', lengths: [9], area: 2 },
+        IN: { callingCode: '91', trunk: '0', lengths: [10], area: 3, areas: [[/^[6-9]/, 5]] },
+        SG: { callingCode: '65', trunk: '', lengths: [8], area: 4 },
+        PH: { callingCode: '63', trunk: '0', lengths: [9, 10], area: 3, areas: [[/^2/, 1]] },
+        JP: { callingCode: '81', trunk: '0', lengths: [9, 10], area: 2, areas: [[/^[36]/, 1]] },
+        CN: { callingCode: '86', trunk: '0', lengths: [10, 11], area: 3, areas: [[/^(?:10|2\d)/, 2]] },
+        MX: { callingCode: '52', trunk: '', lengths: [10], area: 3, areas: [[/^(?:33|55|81)/, 2]] },
+        BR: { callingCode: '55', trunk: '0', lengths: [10, 11], area: 2 }
+    };
+
+    /**
+     * Calling codes two digits long. No calling code begins another, so a
+     * number's first digits tell how long its calling code is: 1 and 7 are
+     * one digit, these two and every other code three.
+     * @private
+     */
+    static TWO_DIGIT_CALLING_CODES = [
+        '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46',
+        '47', '48', '49', '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63',
+        '64', '65', '66', '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+    ];
+
+    /**
+     * Shortest and longest E.164 number, calling code included
+     * @private
+     */
+    static E164_LENGTHS = { min: 8, max: 15 };
+
+    /**
+     * Canadian area codes; other +1 numbers are taken as US numbers
+     * @private
+     */
+    static CA_AREA_CODES = [
+        '204', '226', '236', '249', '250', '263', '289', '306', '343', '354', '365', '367', '368',
+        '382', '403', '416', '418', '428', '431', '437', '438', '450', '468', '474', '506', '514',
+        '519', '548', '579', '581', '584', '587', '604', '613', '639', '647', '672', '683', '705',
+        '709', '742', '753', '778', '780', '782', '807', '819', '825', '867', '873', '879', '902', '905'
+    ];
+
+    /**
+     * "ext. 12", "x12", "extension 12", "#12" at the end of a number
+     * @private
+     */
+    static EXTENSION_PATTERN = /\s*(?:,|;)?\s*(?:ext\.?|extension|x|#)\s*(\d{1,6})\s*$/i;
+
+    /**
+     * Placeholder characters standing for one digit in an example such as "xxx-xxx-xxxx"
+     * @private
+     */
+    static SLOT_PATTERN = /[\dxX#_•*]/;
+
+    /**
+     * Read a phone number
+     * @param {string} text - Number as written, with or without country code
+     * @param {string} [country] - Alpha-2 country of numbers written without a calling code
+     * @returns {Object|null} Phone number, or null if the text is not a number
+     *     of a known numbering plan or an E.164 number of another calling code
+     */
+    static parse(text, country = '') {
+        const value = String(text || '').trim();
+        if (!value) return null;
+
+        const home = this.PLANS[country] ? country : this.DEFAULT_COUNTRY;
+        const extension = value.match(this.EXTENSION_PATTERN)?.[1] || '';
+        const number = extension ? value.replace(this.EXTENSION_PATTERN, '') : value;
+
+        // Letters other than an extension mean this is not a number
+        if (/[a-z]/i.test(number)) return null;
+
+        let digits = number.replace(/\D/g, '');
+        let international = number.startsWith('+');
+        if (!international && digits.startsWith('00')) {
+            digits = digits.slice(2);
+            international = true;
+        } else if (!international && this.PLANS[home].callingCode === '1' && digits.startsWith('011')) {
+            digits = digits.slice(3);
+            international = true;
+        }
+
+        let countryCode = home;
+        if (international) {
+            countryCode = this.findCountry(digits);
+            if (!countryCode) return this.parseOtherPlan(digits, extension);
+            digits = digits.slice(this.PLANS[countryCode].callingCode.length);
+        } else {
+            // "1 555 123 4567" or "44 20 7946 0958" without the plus
+            const { callingCode, lengths } = this.PLANS[home];
+            if (digits.startsWith(callingCode) && !lengths.includes(digits.length) &&
+                lengths.includes(digits.length - callingCode.length)) {
+                digits = digits.slice(callingCode.length);
+            }
+        }
+
+        let plan = this.PLANS[countryCode];
+        // "+44 (0)20 7946 0958" and "020 7946 0958" carry the trunk prefix
+        if (plan.trunk && digits.startsWith(plan.trunk) && !plan.lengths.includes(digits.length) &&
+            plan.lengths.includes(digits.length - plan.trunk.length)) {
+            digits = digits.slice(plan.trunk.length);
+        }
+
+        if (!plan.lengths.includes(digits.length)) return null;
+        // North American area codes never start with 0 or 1, and tell
+        // Canadian numbers from US ones
+        if (plan.callingCode === '1') {
+            if (!/^[2-9]/.test(digits)) return null;
+            countryCode = this.CA_AREA_CODES.includes(digits.slice(0, 3)) ? 'CA' : 'US';
+            plan = this.PLANS[countryCode];
+        }
+
+        return {
+            countryCode,
+            callingCode: plan.callingCode,
+            nationalNumber: digits,
+            extension,
+            e164: `+${plan.callingCode}${digits}`
+        };
+    }
+
+    /**
+     * Rewrite a number in E.164, keeping any extension
+     * @param {string} text - Number as written
+     * @param {string} [country] - See parse()
+     * @returns {string} "+15551234567" or "+15551234567 ext. 12"; unreadable text as given
+     */
+    static normalize(text, country) {
+        const phone = this.parse(text, country);
+        if (!phone) return String(text || '');
+        return phone.extension ? `${phone.e164} ext. ${phone.extension}` : phone.e164;
+    }
+
+    /**
+     * Whether text reads as a phone number
+     * @param {string} text - Number as written
+     * @param {string} [country] - See parse()
+     * @returns {boolean} True if parse() reads it
+     */
+    static isValid(text, country) {
+        return this.parse(text, country) !== null;
+    }
+
+    /**
+     * Write a phone number in one of the STYLES
+     * @param {Object} phone - From parse()
+     * @param {string} [style='international'] - STYLES value
+     * @returns {string} "(555) 123-4567", "+1 555 123 4567", "+15551234567",
+     *     "555-123-4567" or "5551234567"; '' without a number
+     */
+    static format(phone, style = this.STYLES.INTERNATIONAL) {
+        if (!phone) return '';
+
+        const { trunk } = this.getPlan(phone);
+        const { areaCode, groups } = this.getParts(phone);
+        const extension = phone.extension ? ` ext. ${phone.extension}` : '';
+        // Numbers outside PLANS have no area code to lead with
+        const join = (parts, separator) => parts.filter(Boolean).join(separator);
+
+        switch (style) {
+            case this.STYLES.NATIONAL:
+                return (phone.callingCode === '1'
+                    ? `(${areaCode}) ${groups.join('-')}`
+                    : join([`${trunk}${areaCode}`, ...groups], ' ')) + extension;
+            case this.STYLES.E164:
+                return phone.e164;
+            case this.STYLES.DASHED:
+                return join([`${trunk}${areaCode}`, ...groups], '-');
+            case this.STYLES.DIGITS:
+                return `${trunk}${phone.nationalNumber}`;
+            default:
+                return join([`+${phone.callingCode}`, areaCode, ...groups], ' ') + extension;
+        }
+    }
+
+    /**
+     * Write a phone number the way an example shows it: "(xxx) xxx-xxxx",
+     * "+1 (555) 000-0000" or "0XX XXXX XXXX" each take the digits in their slots
+     * @param {Object} phone - From parse()
+     * @param {string} sample - Placeholder or example text
+     * @returns {string|null} Number in the sample's shape, or null when the
+     *     sample holds no number of this length
+     */
+    static formatLike(phone, sample) {
+        if (!phone || !sample) return null;
+
+        // The example itself, without words such as "e.g." around it
+        const start = String(sample).search(/[+(]|[\dxX#_•*]{2}/);
+        if (start === -1) return null;
+        const shape = String(sample).slice(start).replace(/[^\dxX#_•*]*$/, '');
+
+        const slots = Array.from(shape).filter(char => this.SLOT_PATTERN.test(char)).length;
+        const { trunk } = this.getPlan(phone);
+        const candidates = [
+            phone.nationalNumber,
+            shape.startsWith('+') || shape.startsWith(phone.callingCode) ? phone.callingCode + phone.nationalNumber : null,
+            trunk ? trunk + phone.nationalNumber : null
+        ];
+        const digits = candidates.find(candidate => candidate && candidate.length === slots);
+        if (!digits) return null;
+
+        let index = 0;
+        return Array.from(shape, char => this.SLOT_PATTERN.test(char) ? digits[index++] : char).join('');
+    }
+
+    /**
+     * Pieces of a phone number for split inputs
+     * @param {Object} phone - From parse()
+     * @returns {{callingCode: string, areaCode: string, local: string, localPrefix: string,
+     *     localSuffix: string, extension: string, groups: Array<string>}} Parts; groups
+     *     are the local number as written, such as ['123', '4567']
+     */
+    static getParts(phone) {
+        const plan = this.getPlan(phone);
+        const number = phone.nationalNumber;
+        const areaLength = plan.areas?.find(([pattern]) => pattern.test(number))?.[1] ?? plan.area;
+        const local = number.slice(areaLength);
+        const groups = this.groupDigits(local);
+
+        return {
+            callingCode: phone.callingCode,
+            areaCode: number.slice(0, areaLength),
+            local,
+            localPrefix: groups[0],
+            localSuffix: groups.slice(1).join(''),
+            extension: phone.extension,
+            groups
+        };
+    }
+
+    /**
+     * Read a number whose calling code has no plan in PLANS. Only its
+     * length can be checked, so any E.164 number is taken.
+     * @private
+     * @param {string} digits - Digits after the + or 00, calling code first
+     * @param {string} extension - Extension read from the text
+     * @returns {Object|null} Phone number without a country, or null
+     */
+    static parseOtherPlan(digits, extension) {
+        const { min, max } = this.E164_LENGTHS;
+        // No calling code starts with 0
+        if (digits.length < min || digits.length > max || digits.startsWith('0')) return null;
+
+        const codeLength = /^[17]/.test(digits) ? 1
+            : this.TWO_DIGIT_CALLING_CODES.includes(digits.slice(0, 2)) ? 2
+            : 3;
+
+        return {
+            countryCode: '',
+            callingCode: digits.slice(0, codeLength),
+            nationalNumber: digits.slice(codeLength),
+            extension,
+            e164: `+${digits}`
+        };
+    }
+
+    /**
+     * Numbering plan of a parsed number; numbers outside PLANS get one
+     * without a trunk prefix or area code
+     * @private
+     */
+    static getPlan(phone) {
+        return this.PLANS[phone.countryCode] || { callingCode: phone.callingCode, trunk: '', area: 0 };
+    }
+
+    /**
+     * Country a number dialed with its calling code belongs to
+     * @private
+     */
+    static findCountry(digits) {
+        for (const length of [1, 2, 3]) {
+            const code = digits.slice(0, length);
+            const country = Object.keys(this.PLANS).find(key => this.PLANS[key].callingCode === code);
+            if (country) return country;
+        }
+        return null;
+    }
+
+    /**
+     * Split a local number into groups of three and four: "1234567" into
+     * "123 4567", "79460958" into "7946 0958"
+     * @private
+     */
+    static groupDigits(digits) {
+        if (digits.length <= 4) return [digits];
+        if (digits.length <= 8) {
+            const half = Math.floor(digits.length / 2);
+            return [digits.slice(0, half), digits.slice(half)];
+        }
+        return [digits.slice(0, 3), ...this.groupDigits(digits.slice(3))];
+    }
+}
+
+export { PhoneNumber };
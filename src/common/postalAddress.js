@@ -0,0 +1,266 @@
+/**
+ * Postal Address
+ * One structured address per profile: street lines, locality, region with
+ * its ISO 3166-2 code, postal code and ISO 3166-1 alpha-2 country code.
+ * Formats the address the way each country writes it, splits it into the
+ * components a form asks for and checks postal code shapes, all offline.
+ */
+
+import { COUNTRIES } from './isoRegions.js';
+import { optionMatcher } from './optionMatcher.js';
+
+class PostalAddress {
+    static FIELDS = ['line1', 'line2', 'locality', 'region', 'regionCode', 'postalCode', 'countryCode'];
+
+    /**
+     * Address lines per country. {regionShort} is the region code where
+     * known, as in "Springfield, IL 62704", and the region name otherwise.
+     * @private
+     */
+    static FORMATS = {
+        US: ['{line1}', '{line2}', '{locality}, {regionShort} {postalCode}'],
+        CA: ['{line1}', '{line2}', '{locality}, {regionShort} {postalCode}'],
+        AU: ['{line1}', '{line2}', '{locality} {regionShort} {postalCode}'],
+        GB: ['{line1}', '{line2}', '{locality}', '{postalCode}'],
+        IE: ['{line1}', '{line2}', '{locality}', '{region}', '{postalCode}'],
+        IN: ['{line1}', '{line2}', '{locality} {postalCode}', '{region}'],
+        BR: ['{line1}', '{line2}', '{locality} - {regionShort}', '{postalCode}'],
+        MX: ['{line1}', '{line2}', '{postalCode} {locality}, {region}'],
+        IT: ['{line1}', '{line2}', '{postalCode} {locality} {regionShort}'],
+        NZ: ['{line1}', '{line2}', '{locality} {postalCode}'],
+        ZA: ['{line1}', '{line2}', '{locality}', '{postalCode}']
+    };
+
+    /**
+     * Countries that write the postal code before the locality
+     * @private
+     */
+    static POSTAL_CODE_FIRST = [
+        'AT', 'BE', 'BG', 'CH', 'CZ', 'DE', 'DK', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU', 'IL', 'IS',
+        'LU', 'NL', 'NO', 'PL', 'PT', 'RO', 'RU', 'SE', 'SI', 'SK', 'TR', 'UA'
+    ];
+
+    /**
+     * @private
+     */
+    static DEFAULT_FORMAT = ['{line1}', '{line2}', '{locality}, {region} {postalCode}'];
+
+    /**
+     * Postal code shapes; `gap` characters from the end sit after `joiner`
+     * in the written form, as in "SW1A 1AA" or "01310-100"
+     * @private
+     */
+    static POSTAL_CODES = {
+        US: { pattern: /^\d{5}(?:-\d{4})?$/, joiner: '-', gap: 4 },
+        CA: { pattern: /^[A-Z]\d[A-Z] \d[A-Z]\d$/, joiner: ' ', gap: 3 },
+        GB: { pattern: /^[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/, joiner: ' ', gap: 3 },
+        IE: { pattern: /^[A-Z]\d[\dW] [A-Z\d]{4}$/, joiner: ' ', gap: 4 },
+        NL: { pattern: /^\d{4} [A-Z]{2}$/, joiner: ' ', gap: 2 },
+        SE: { pattern: /^\d{3} \d{2}$/, joiner: ' ', gap: 2 },
+        BR: { pattern: /^\d{5}-\d{3}$/, joiner: '-', gap: 3 },
+        JP: { pattern: /^\d{3}-\d{4}$/, joiner: '-', gap: 4 },
+        PL: { pattern: /^\d{2}-\d{3}$/, joiner: '-', gap: 3 },
+        PT: { pattern: /^\d{4}-\d{3}$/, joiner: '-', gap: 3 },
+        AU: { pattern: /^\d{4}$/ },
+        AT: { pattern: /^\d{4}$/ },
+        BE: { pattern: /^\d{4}$/ },
+        CH: { pattern: /^\d{4}$/ },
+        DK: { pattern: /^\d{4}$/ },
+        NO: { pattern: /^\d{4}$/ },
+        NZ: { pattern: /^\d{4}$/ },
+        PH: { pattern: /^\d{4}$/ },
+        ZA: { pattern: /^\d{4}$/ },
+        DE: { pattern: /^\d{5}$/ },
+        ES: { pattern: /^\d{5}$/ },
+        FI: { pattern: /^\d{5}$/ },
+        FR: { pattern: /^\d{5}$/ },
+        IT: { pattern: /^\d{5}$/ },
+        KR: { pattern: /^\d{5}$/ },
+        MX: { pattern: /^\d{5}$/ },
+        CN: { pattern: /^\d{6}$/ },
+        IN: { pattern: /^\d{6}$/ },
+        RU: { pattern: /^\d{6}$/ },
+        SG: { pattern: /^\d{6}$/ }
+    };
+
+    /**
+     * Build an address from the free strings profiles stored before the
+     * structured address: business fields, then the auto-select location
+     * @param {Object} [business] - Legacy business section
+     * @param {Object} [location] - Legacy location section
+     * @returns {Object} Address
+     */
+    static fromLegacy(business = {}, location = {}) {
+        return {
+            line1: business?.address || location?.address || '',
+            locality: business?.city || location?.city || '',
+            region: business?.state || location?.region || '',
+            postalCode: business?.zip || '',
+            countryCode: business?.country || location?.country || ''
+        };
+    }
+
+    /**
+     * Fill in codes and tidy the postal code. Any form of the country,
+     * such as "United States" or "USA", becomes its alpha-2 code; the
+     * region code follows the region name when the name is known.
+     * @param {Object} [data] - Address fields
+     * @returns {Object} Address with every field
+     */
+    static normalize(data = {}) {
+        const address = Object.fromEntries(this.FIELDS.map(field => [field, String(data?.[field] ?? '').trim()]));
+
+        const countryCode = optionMatcher.resolveCountry(address.countryCode);
+        address.countryCode = countryCode || address.countryCode.toUpperCase();
+
+        if (address.region) {
+            address.regionCode = optionMatcher.resolveRegion(address.region, address.countryCode)?.code || '';
+        } else if (address.regionCode) {
+            address.region = optionMatcher.resolveRegion(address.regionCode, address.countryCode)?.name || '';
+        }
+
+        address.postalCode = this.normalizePostalCode(address.postalCode, address.countryCode);
+        return address;
+    }
+
+    /**
+     * Whether an address holds anything
+     * @param {Object} address - Address
+     * @returns {boolean} True if any field is set
+     */
+    static isSet(address) {
+        return Boolean(address) && this.FIELDS.some(field => address[field]);
+    }
+
+    /**
+     * Write the address the way its country does
+     * @param {Object} address - Address
+     * @param {Object} [options]
+     * @param {boolean} [options.multiline=false] - One line per address line, else comma-joined
+     * @param {boolean} [options.includeCountry=true] - End with the country name
+     * @returns {string} Formatted address
+     */
+    static format(address, { multiline = false, includeCountry = true } = {}) {
+        if (!this.isSet(address)) return '';
+
+        const country = address.countryCode;
+        const template = this.FORMATS[country] ||
+            (this.POSTAL_CODE_FIRST.includes(country)
+                ? ['{line1}', '{line2}', '{postalCode} {locality}']
+                : this.DEFAULT_FORMAT);
+        const values = { ...address, regionShort: address.regionCode || address.region };
+
+        const lines = template
+            .map(line => line.replace(/\{(\w+)\}/g, (match, key) => values[key] || ''))
+            .map(line => line
+                .replace(/\s+/g, ' ')
+                .replace(/\s+,/g, ',')
+                .replace(/,(?=,)/g, '')
+                .replace(/^[\s,-]+|[\s,-]+$/g, ''))
+            .filter(Boolean);
+
+        if (includeCountry && country) {
+            lines.push(this.getCountryName(country) || country);
+        }
+        return lines.join(multiline ? '\n' : ', ');
+    }
+
+    /**
+     * One piece of the address, shaped for the field asking for it
+     * @param {Object} address - Address
+     * @param {string} component - 'line1', 'line2', 'streetNumber', 'streetName',
+     *     'locality', 'region', 'postalCode', 'postalCodeSuffix' or 'country'
+     * @param {Object} [options]
+     * @param {number} [options.maxLength] - Field's maxlength; short fields take codes
+     * @returns {string} Value
+     */
+    static getComponent(address, component, { maxLength } = {}) {
+        if (!address) return '';
+        const short = maxLength > 0 && maxLength <= 3;
+
+        switch (component) {
+            case 'streetNumber':
+            case 'streetName': {
+                const street = this.splitStreet(address.line1);
+                return street[component];
+            }
+            case 'region':
+                return short
+                    ? address.regionCode || address.region
+                    : address.region || address.regionCode;
+            case 'country':
+                return short
+                    ? address.countryCode
+                    : this.getCountryName(address.countryCode) || address.countryCode;
+            case 'postalCode': {
+                // "62704-1234" into a five-character ZIP field keeps the ZIP
+                const [code] = address.postalCode.split('-');
+                return maxLength > 0 && address.postalCode.length > maxLength ? code : address.postalCode;
+            }
+            case 'postalCodeSuffix':
+                return address.postalCode.split('-')[1] || '';
+            default:
+                return address[component] || '';
+        }
+    }
+
+    /**
+     * Whether a postal code has its country's shape; countries without a
+     * known shape accept any code
+     * @param {string} postalCode - Postal code
+     * @param {string} countryCode - Alpha-2 country code
+     * @returns {boolean} True if valid or not checkable
+     */
+    static isValidPostalCode(postalCode, countryCode) {
+        const rule = this.POSTAL_CODES[countryCode];
+        if (!postalCode || !rule) return true;
+        return rule.pattern.test(this.normalizePostalCode(postalCode, countryCode));
+    }
+
+    /**
+     * Write a postal code in its country's form: "sw1a1aa" becomes "SW1A 1AA"
+     * @param {string} postalCode - Postal code as entered
+     * @param {string} countryCode - Alpha-2 country code
+     * @returns {string} Postal code
+     */
+    static normalizePostalCode(postalCode, countryCode) {
+        const value = String(postalCode || '').trim().toUpperCase().replace(/\s+/g, ' ');
+        const rule = this.POSTAL_CODES[countryCode];
+        if (!value || !rule) return value;
+
+        const compact = value.replace(/[\s-]/g, '');
+        const joined = rule.joiner && compact.length > rule.gap
+            ? `${compact.slice(0, -rule.gap)}${rule.joiner}${compact.slice(-rule.gap)}`
+            : compact;
+        if (rule.pattern.test(joined)) return joined;
+        if (rule.pattern.test(compact)) return compact;
+        return value;
+    }
+
+    /**
+     * English short name of a country
+     * @param {string} countryCode - Alpha-2 country code
+     * @returns {string} Name, or '' for unknown codes
+     */
+    static getCountryName(countryCode) {
+        return COUNTRIES.find(([alpha2]) => alpha2 === countryCode)?.[3] || '';
+    }
+
+    /**
+     * House number and street name, whichever side the number is written on
+     * @private
+     */
+    static splitStreet(line) {
+        const value = String(line || '').trim();
+        const leading = value.match(/^(\d+[a-z]?(?:[-/]\d+[a-z]?)?),?\s+(.+)$/i);
+        if (leading) return { streetNumber: leading[1], streetName: leading[2] };
+
+        // "Hauptstraße 5", "Calle Mayor 12b"
+        const trailing = value.match(/^(.+?),?\s+(\d+[a-z]?(?:[-/]\d+[a-z]?)?)$/i);
+        if (trailing) return { streetNumber: trailing[2], streetName: trailing[1] };
+
+        return { streetNumber: '', streetName: value };
+    }
+}
+
+export { PostalAddress };
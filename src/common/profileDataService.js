@@ -4,39 +4,94 @@
  */
 
 import { storageService } from './storage.js';
-import { Profile } from './models.js';
+import { Profile, BusinessLocation } from './models.js';
 import { STORAGE_KEYS } from './constants.js';
+import { EXTENSION_CONFIG } from './config.js';
+
+// Profiles live in local storage: a few dozen clients quickly exceed the
+// 8KB per-item quota of sync storage.
+const USE_SYNC = false;
 
 export class ProfileDataService {
     constructor() {
         this.profiles = new Map();
         this.activeProfileId = null;
+        this.initPromise = null;
+
+        // Popup, options pages, content scripts and the background each hold
+        // their own copy; changes saved by the others arrive here
+        storageService.onChanged((changes, areaName) => this.handleStorageChange(changes, areaName));
     }
 
     /**
-     * Initialize service and load profiles
+     * Initialize service and load profiles. Every caller shares the first
+     * load, so concurrent calls cannot migrate legacy data twice.
+     * @returns {Promise<void>}
      */
-    async initialize() {
-        try {
-            const data = await storageService.get([
-                STORAGE_KEYS.PROFILES,
-                STORAGE_KEYS.ACTIVE_PROFILE
-            ]);
-
-            // Load profiles
-            const profiles = data[STORAGE_KEYS.PROFILES] || [];
-            profiles.forEach(profileData => {
-                const profile = new Profile(profileData);
-                this.profiles.set(profile.id, profile);
+    initialize() {
+        if (!this.initPromise) {
+            this.initPromise = this.loadProfiles().catch(error => {
+                // Let the next call try again
+                this.initPromise = null;
+                console.error('Failed to initialize profile data service:', error);
+                throw error;
             });
+        }
+        return this.initPromise;
+    }
+
+    /**
+     * Load profiles, migrating the single-client data on first run
+     * @private
+     */
+    async loadProfiles() {
+        const data = await storageService.get([
+            STORAGE_KEYS.PROFILES,
+            STORAGE_KEYS.ACTIVE_PROFILE,
+            STORAGE_KEYS.LEGACY_DATA_MIGRATED
+        ], USE_SYNC);
+
+        this.setProfiles(data[STORAGE_KEYS.PROFILES]);
+        this.activeProfileId = data[STORAGE_KEYS.ACTIVE_PROFILE] || null;
+
+        // First run after upgrade: fold the single-client data into a profile
+        if (!data[STORAGE_KEYS.LEGACY_DATA_MIGRATED]) {
+            await this.migrateLegacyData();
+        }
+
+        // Fall back to the first profile if the active one is gone
+        if (!this.profiles.has(this.activeProfileId) && this.profiles.size > 0) {
+            await this.setActiveProfile(this.getAllProfiles()[0].id);
+        }
+
+        console.log('Loaded', this.profiles.size, 'profiles');
+    }
+
+    /**
+     * Replace the loaded profiles with stored profile data
+     * @private
+     * @param {Array<Object>} [profiles] - Stored profiles
+     */
+    setProfiles(profiles = []) {
+        this.profiles.clear();
+        profiles.forEach(profileData => {
+            const profile = new Profile(profileData);
+            this.profiles.set(profile.id, profile);
+        });
+    }
 
-            // Set active profile
-            this.activeProfileId = data[STORAGE_KEYS.ACTIVE_PROFILE] || null;
+    /**
+     * Follow profile changes saved by other extension pages
+     * @private
+     */
+    handleStorageChange(changes, areaName) {
+        if (!this.initPromise || areaName !== (USE_SYNC ? 'sync' : 'local')) return;
 
-            console.log('Loaded', this.profiles.size, 'profiles');
-        } catch (error) {
-            console.error('Failed to initialize profile data service:', error);
-            throw error;
+        if (changes[STORAGE_KEYS.PROFILES]) {
+            this.setProfiles(changes[STORAGE_KEYS.PROFILES].newValue);
+        }
+        if (changes[STORAGE_KEYS.ACTIVE_PROFILE]) {
+            this.activeProfileId = changes[STORAGE_KEYS.ACTIVE_PROFILE].newValue || null;
         }
     }
 
@@ -65,6 +120,15 @@ export class ProfileDataService {
         return this.activeProfileId ? this.getProfile(this.activeProfileId) : null;
     }
 
+    /**
+     * Get the active profile as its active location, the way forms are filled
+     * @returns {Profile|null} Active profile with its active location's address,
+     *     phone and hours, or the profile itself when no location is active
+     */
+    getActiveLocationProfile() {
+        return this.getActiveProfile()?.forLocation() || null;
+    }
+
     /**
      * Create new profile
      * @param {Object} data - Profile data
@@ -147,7 +211,151 @@ export class ProfileDataService {
         this.activeProfileId = id;
         await storageService.set({
             [STORAGE_KEYS.ACTIVE_PROFILE]: id
+        }, USE_SYNC);
+    }
+
+    /**
+     * Add a location to a profile
+     * @param {string} profileId - Profile ID
+     * @param {Object} data - Location data
+     * @returns {BusinessLocation} Created location
+     */
+    async addLocation(profileId, data) {
+        const profile = this.getProfile(profileId);
+        if (!profile) {
+            throw new Error('Profile not found');
+        }
+
+        const location = new BusinessLocation({ ...data, id: this.generateLocationId() });
+        await this.updateProfile(profileId, { locations: [...profile.locations, location] });
+
+        return profile.getLocation(location.id);
+    }
+
+    /**
+     * Update a location of a profile
+     * @param {string} profileId - Profile ID
+     * @param {string} locationId - Location ID
+     * @param {Object} data - Updated location data
+     * @returns {BusinessLocation} Updated location
+     */
+    async updateLocation(profileId, locationId, data) {
+        const profile = this.getProfile(profileId);
+        if (!profile?.getLocation(locationId)) {
+            throw new Error('Location not found');
+        }
+
+        await this.updateProfile(profileId, {
+            locations: profile.locations.map(location => location.id === locationId
+                ? { ...location, ...data, id: locationId }
+                : location)
+        });
+
+        return profile.getLocation(locationId);
+    }
+
+    /**
+     * Delete a location of a profile; if it was active, the profile's own
+     * address becomes active again
+     * @param {string} profileId - Profile ID
+     * @param {string} locationId - Location ID
+     */
+    async deleteLocation(profileId, locationId) {
+        const profile = this.getProfile(profileId);
+        if (!profile?.getLocation(locationId)) {
+            throw new Error('Location not found');
+        }
+
+        await this.updateProfile(profileId, {
+            locations: profile.locations.filter(location => location.id !== locationId)
+        });
+    }
+
+    /**
+     * Set the location a profile fills forms as
+     * @param {string} profileId - Profile ID
+     * @param {string|null} locationId - Location ID, or null for the profile's own address
+     */
+    async setActiveLocation(profileId, locationId) {
+        const profile = this.getProfile(profileId);
+        if (!profile) {
+            throw new Error('Profile not found');
+        }
+        if (locationId && !profile.getLocation(locationId)) {
+            throw new Error('Location not found');
+        }
+
+        profile.activeLocationId = locationId || null;
+        await this.saveProfiles();
+    }
+
+    /**
+     * Create a profile from the pre-profile single-client storage keys
+     * (universal form data, social links, password, category and location).
+     * Runs once: the migrated profile is saved together with a flag, so
+     * deleting every profile later does not bring the legacy data back.
+     * @private
+     */
+    async migrateLegacyData() {
+        const migrated = { [STORAGE_KEYS.LEGACY_DATA_MIGRATED]: true };
+
+        // Installs that migrated before the flag existed already have profiles
+        if (this.profiles.size > 0) {
+            await storageService.set(migrated, USE_SYNC);
+            return;
+        }
+
+        const keys = EXTENSION_CONFIG.STORAGE_KEYS;
+        const legacy = await storageService.get([
+            keys.UNIVERSAL_FORM_DATA,
+            keys.SOCIAL_LINKS,
+            keys.PASSWORD,
+            keys.SELECTED_CATEGORY,
+            keys.SELECTED_LOCATION
+        ]);
+
+        const universalFormData = legacy[keys.UNIVERSAL_FORM_DATA] || {};
+        const socialLinks = legacy[keys.SOCIAL_LINKS] || [];
+        if (Object.keys(universalFormData).length === 0 &&
+            Object.keys(socialLinks).length === 0 &&
+            !legacy[keys.PASSWORD]) {
+            await storageService.set(migrated, USE_SYNC);
+            return;
+        }
+
+        // Social links were stored either as an array of link objects or
+        // as a platform -> URL map
+        const socialMedia = Array.isArray(socialLinks)
+            ? Object.fromEntries(socialLinks
+                .filter(link => link.isActive !== false)
+                .map(link => [link.platform, link.url]))
+            : socialLinks;
+
+        const profile = new Profile({
+            id: this.generateProfileId(),
+            name: universalFormData.title || universalFormData.company || 'Default',
+            socialMedia,
+            password: legacy[keys.PASSWORD] || '',
+            category: legacy[keys.SELECTED_CATEGORY] || '',
+            location: legacy[keys.SELECTED_LOCATION] || {}
+        });
+        // The auto-select location fills the address parts the form left empty
+        const data = profile.fromUniversalFormData(universalFormData);
+        Object.entries(profile.address).forEach(([key, value]) => {
+            data.address[key] = data.address[key] || value;
         });
+        profile.update(data);
+
+        // Legacy data was accepted before, so it is not re-validated here
+        this.profiles.set(profile.id, profile);
+        this.activeProfileId = profile.id;
+        await storageService.set({
+            [STORAGE_KEYS.PROFILES]: this.getAllProfiles().map(item => item.toJSON()),
+            [STORAGE_KEYS.ACTIVE_PROFILE]: profile.id,
+            ...migrated
+        }, USE_SYNC);
+
+        console.log('Migrated legacy form data into profile', profile.name);
     }
 
     /**
@@ -158,7 +366,7 @@ export class ProfileDataService {
         const profiles = this.getAllProfiles().map(profile => profile.toJSON());
         await storageService.set({
             [STORAGE_KEYS.PROFILES]: profiles
-        });
+        }, USE_SYNC);
     }
 
     /**
@@ -169,6 +377,15 @@ export class ProfileDataService {
     generateProfileId() {
         return 'profile_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
+
+    /**
+     * Generate unique location ID
+     * @private
+     * @returns {string} New location ID
+     */
+    generateLocationId() {
+        return 'location_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
 }
 
 // Export singleton instance
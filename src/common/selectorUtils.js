@@ -0,0 +1,179 @@
+/**
+ * Selector Utilities
+ * Builds CSS selectors that keep pointing at the same form field
+ * across page loads
+ */
+
+import { DomWalker } from './domWalker.js';
+
+class SelectorUtils {
+    /**
+     * Joins the selector of a shadow host or frame with the selector of
+     * the element inside it, e.g. 'iframe#signup >>> input[name="email"]'
+     */
+    static DEEP_SEPARATOR = ' >>> ';
+
+    /**
+     * Attributes that usually survive page reloads and redesigns,
+     * in order of preference
+     * @private
+     */
+    static STABLE_ATTRIBUTES = ['name', 'data-testid', 'data-name', 'aria-label', 'placeholder', 'title'];
+
+    /**
+     * Build a selector that uniquely matches an element. Elements in shadow
+     * roots or frames get a path through their hosts, joined by DEEP_SEPARATOR.
+     * @param {HTMLElement} element - Form element
+     * @returns {string} CSS selector, or '' if the element is not in a document
+     */
+    static getStableSelector(element) {
+        if (!element?.ownerDocument) return '';
+
+        const root = element.getRootNode();
+        const scope = root.nodeType === Node.DOCUMENT_NODE || root.nodeType === Node.DOCUMENT_FRAGMENT_NODE
+            ? root
+            : element.ownerDocument;
+        const selector = this.getLocalSelector(element, scope);
+
+        const host = this.getRootHost(scope);
+        return host
+            ? `${this.getStableSelector(host)}${this.DEEP_SEPARATOR}${selector}`
+            : selector;
+    }
+
+    /**
+     * Find the element a selector from getStableSelector() points at.
+     * Plain selectors match in the page first, then in shadow roots and frames.
+     * @param {string} selector - CSS selector, possibly with DEEP_SEPARATOR parts
+     * @param {Document|ShadowRoot} [root] - Where to start
+     * @returns {Element|null} Matching element
+     */
+    static querySelector(selector, root = document) {
+        const parts = selector.split(this.DEEP_SEPARATOR);
+        if (parts.length === 1) {
+            return DomWalker.querySelector(selector, root);
+        }
+
+        let scope = root;
+        for (const part of parts.slice(0, -1)) {
+            scope = DomWalker.getInnerRoot(scope.querySelector(part));
+            if (!scope) return null;
+        }
+        return scope.querySelector(parts[parts.length - 1]);
+    }
+
+    /**
+     * Build a selector for an element within its own document or shadow root
+     * @private
+     * @param {HTMLElement} element - Form element
+     * @param {Document|ShadowRoot} root - Root the element belongs to
+     * @returns {string} CSS selector
+     */
+    static getLocalSelector(element, root) {
+        if (element.id && !this.isGeneratedValue(element.id)) {
+            const selector = `#${CSS.escape(element.id)}`;
+            if (this.isUnique(selector, element, root)) return selector;
+        }
+
+        const tag = element.tagName.toLowerCase();
+        const form = element.form;
+        const formSelector = form && form.id && !this.isGeneratedValue(form.id)
+            ? `#${CSS.escape(form.id)}`
+            : null;
+
+        for (const attribute of this.STABLE_ATTRIBUTES) {
+            const value = element.getAttribute(attribute);
+            if (!value || this.isGeneratedValue(value)) continue;
+
+            const selector = `${tag}[${attribute}="${CSS.escape(value)}"]`;
+            if (this.isUnique(selector, element, root)) return selector;
+
+            // The same name often appears in several forms on one page
+            if (formSelector && this.isUnique(`${formSelector} ${selector}`, element, root)) {
+                return `${formSelector} ${selector}`;
+            }
+        }
+
+        return this.getPathSelector(element, root);
+    }
+
+    /**
+     * The shadow host or frame element that contains a root
+     * @private
+     * @param {Document|ShadowRoot} root - Root of an element
+     * @returns {Element|null} Host, or null for the top document
+     */
+    static getRootHost(root) {
+        if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+            return root.host || null;
+        }
+        if (root === document) {
+            return null;
+        }
+
+        try {
+            return root.defaultView?.frameElement || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Build a structural selector from the closest ancestor with a usable ID
+     * @private
+     * @param {HTMLElement} element - Form element
+     * @param {Document|ShadowRoot} root - Owning document or shadow root
+     * @returns {string} CSS selector
+     */
+    static getPathSelector(element, root) {
+        const parts = [];
+        let current = element;
+
+        while (current && current !== root.documentElement) {
+            if (current !== element && current.id && !this.isGeneratedValue(current.id)) {
+                parts.unshift(`#${CSS.escape(current.id)}`);
+                break;
+            }
+
+            const tag = current.tagName.toLowerCase();
+            const siblings = current.parentElement
+                ? Array.from(current.parentElement.children).filter(child => child.tagName === current.tagName)
+                : [];
+            parts.unshift(siblings.length > 1
+                ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})`
+                : tag);
+
+            current = current.parentElement;
+        }
+
+        return parts.join(' > ');
+    }
+
+    /**
+     * Check whether a selector matches only the given element
+     * @private
+     */
+    static isUnique(selector, element, root) {
+        try {
+            const matches = root.querySelectorAll(selector);
+            return matches.length === 1 && matches[0] === element;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Detect framework-generated values that change on every render,
+     * such as React's ":r1:" IDs or long numeric suffixes
+     * @private
+     * @param {string} value - Attribute value
+     * @returns {boolean} Whether the value looks generated
+     */
+    static isGeneratedValue(value) {
+        return /^:r[\da-z]+:$/i.test(value) ||
+            /\d{5,}/.test(value) ||
+            /^[\da-f]{8}-[\da-f]{4}-/i.test(value);
+    }
+}
+
+export { SelectorUtils };
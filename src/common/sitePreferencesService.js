@@ -0,0 +1,67 @@
+/**
+ * Site Preferences Service
+ * Stores per-domain feature switches, such as turning off the searchable
+ * dropdown overlay on a directory where it gets in the way
+ */
+
+import { storageService } from './storage.js';
+import { STORAGE_KEYS } from './constants.js';
+import { DomainUtils } from './domainUtils.js';
+
+// Preferences follow the device's other per-domain data
+const USE_SYNC = false;
+
+export class SitePreferencesService {
+    /**
+     * Get the preferences for the domain of a URL
+     * @param {string} url - Page URL
+     * @returns {Promise<Object>} Preference values keyed by name
+     */
+    async getPreferences(url) {
+        const domain = DomainUtils.getRegistrableDomain(url);
+        const preferences = await this.loadPreferences();
+        return preferences[domain] || {};
+    }
+
+    /**
+     * Check whether a feature is on for a domain; features are on unless turned off
+     * @param {string} url - Page URL
+     * @param {string} feature - Preference name
+     * @returns {Promise<boolean>} Whether the feature is enabled
+     */
+    async isEnabled(url, feature) {
+        const preferences = await this.getPreferences(url);
+        return preferences[feature] !== false;
+    }
+
+    /**
+     * Set a preference for the domain of a URL
+     * @param {string} url - Page URL
+     * @param {string} name - Preference name
+     * @param {*} value - Preference value
+     */
+    async setPreference(url, name, value) {
+        const domain = DomainUtils.getRegistrableDomain(url);
+        if (!domain) {
+            throw new Error('Site preferences require a valid URL');
+        }
+
+        const preferences = await this.loadPreferences();
+        preferences[domain] = { ...preferences[domain], [name]: value };
+        await storageService.set({
+            [STORAGE_KEYS.SITE_PREFERENCES]: preferences
+        }, USE_SYNC);
+    }
+
+    /**
+     * Load map of domain -> preference name -> value
+     * @private
+     */
+    async loadPreferences() {
+        const data = await storageService.get(STORAGE_KEYS.SITE_PREFERENCES, USE_SYNC);
+        return data[STORAGE_KEYS.SITE_PREFERENCES] || {};
+    }
+}
+
+// Export singleton instance
+export const sitePreferencesService = new SitePreferencesService();
@@ -0,0 +1,205 @@
+/**
+ * Site Recipe Service
+ * Persists per-domain selector-to-property mappings and shares them
+ * as JSON exports
+ */
+
+import { storageService } from './storage.js';
+import { SiteRecipe } from './models.js';
+import { STORAGE_KEYS } from './constants.js';
+import { DomainUtils } from './domainUtils.js';
+
+// Recipes are shared by every profile and can hold many selectors
+const USE_SYNC = false;
+
+const EXPORT_VERSION = 1;
+
+export class SiteRecipeService {
+    /**
+     * Get all recipes
+     * @returns {Promise<Array<SiteRecipe>>} Recipes sorted by domain and path
+     */
+    async getRecipes() {
+        const recipes = await this.loadRecipes();
+        return recipes.sort((a, b) =>
+            a.domain.localeCompare(b.domain) || a.path.localeCompare(b.path));
+    }
+
+    /**
+     * Get the recipes that apply to a page
+     * @param {string} url - Page URL
+     * @returns {Promise<Array<SiteRecipe>>} Recipes, most specific path first
+     */
+    async getRecipesForUrl(url) {
+        const domain = DomainUtils.getRegistrableDomain(url);
+        if (!domain) return [];
+
+        let pathname = '/';
+        try {
+            pathname = new URL(url).pathname;
+        } catch {
+            // Hostnames without a scheme match path-less recipes only
+        }
+
+        const recipes = await this.loadRecipes();
+        return recipes
+            .filter(recipe => recipe.domain === domain && recipe.appliesToPath(pathname))
+            .sort((a, b) => b.path.length - a.path.length);
+    }
+
+    /**
+     * Create or update a recipe
+     * @param {Object} data - Recipe data
+     * @returns {Promise<SiteRecipe>} Saved recipe
+     */
+    async saveRecipe(data) {
+        const recipe = this.createRecipe(data);
+
+        const validation = recipe.validate();
+        if (!validation.isValid) {
+            throw new Error('Invalid recipe data: ' + validation.errors.join(', '));
+        }
+
+        const recipes = await this.loadRecipes();
+        const index = recipes.findIndex(r => r.id === recipe.id);
+        recipe.updatedAt = new Date().toISOString();
+
+        if (index >= 0) {
+            recipes[index] = recipe;
+        } else {
+            recipe.id = this.generateRecipeId();
+            recipes.push(recipe);
+        }
+
+        await this.saveRecipes(recipes);
+        return recipe;
+    }
+
+    /**
+     * Save a single selector rule in the domain-wide recipe for a page,
+     * replacing any rule for the same selector
+     * @param {string} url - Page URL
+     * @param {Object} mapping - Mapping with selector, property and transformation
+     * @returns {Promise<SiteRecipe>} Saved recipe
+     */
+    async saveMapping(url, mapping) {
+        const domain = DomainUtils.getRegistrableDomain(url);
+        const recipes = await this.loadRecipes();
+        const recipe = recipes.find(r => r.domain === domain && !r.path) ||
+            this.createRecipe({ domain });
+
+        recipe.mappings = [
+            ...recipe.mappings.filter(existing => existing.selector !== mapping.selector),
+            mapping
+        ];
+
+        return this.saveRecipe(recipe);
+    }
+
+    /**
+     * Delete recipe
+     * @param {string} id - Recipe ID
+     */
+    async deleteRecipe(id) {
+        const recipes = await this.loadRecipes();
+        await this.saveRecipes(recipes.filter(recipe => recipe.id !== id));
+    }
+
+    /**
+     * Serialize all recipes for sharing
+     * @returns {Promise<string>} JSON export
+     */
+    async exportRecipes() {
+        const recipes = await this.getRecipes();
+        return JSON.stringify({
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            recipes: recipes.map(({ domain, path, mappings }) => ({ domain, path, mappings }))
+        }, null, 2);
+    }
+
+    /**
+     * Import recipes from a JSON export. An imported recipe replaces
+     * the existing one for the same domain and path.
+     * @param {string} json - JSON export
+     * @returns {Promise<{imported: number, skipped: number}>} Import summary
+     */
+    async importRecipes(json) {
+        const data = JSON.parse(json);
+        const incoming = Array.isArray(data) ? data : data?.recipes;
+        if (!Array.isArray(incoming)) {
+            throw new Error('Invalid recipe file: no recipes found');
+        }
+
+        const recipes = await this.loadRecipes();
+        let imported = 0;
+        let skipped = 0;
+
+        incoming.forEach(item => {
+            const recipe = this.createRecipe({ ...item, id: null });
+            if (!recipe.validate().isValid) {
+                skipped++;
+                return;
+            }
+
+            const index = recipes.findIndex(r => r.domain === recipe.domain && r.path === recipe.path);
+            if (index >= 0) {
+                recipe.id = recipes[index].id;
+                recipe.createdAt = recipes[index].createdAt;
+                recipes[index] = recipe;
+            } else {
+                recipe.id = this.generateRecipeId();
+                recipes.push(recipe);
+            }
+            imported++;
+        });
+
+        await this.saveRecipes(recipes);
+        return { imported, skipped };
+    }
+
+    /**
+     * Build a recipe with its domain reduced to the registrable domain
+     * @private
+     * @param {Object} data - Recipe data
+     * @returns {SiteRecipe} Recipe
+     */
+    createRecipe(data) {
+        return new SiteRecipe({
+            ...data,
+            domain: DomainUtils.getRegistrableDomain((data.domain || '').trim()),
+            path: (data.path || '').trim()
+        });
+    }
+
+    /**
+     * Load recipes from storage
+     * @private
+     */
+    async loadRecipes() {
+        const data = await storageService.get(STORAGE_KEYS.SITE_RECIPES, USE_SYNC);
+        return (data[STORAGE_KEYS.SITE_RECIPES] || []).map(recipe => new SiteRecipe(recipe));
+    }
+
+    /**
+     * Persist recipes
+     * @private
+     */
+    async saveRecipes(recipes) {
+        await storageService.set({
+            [STORAGE_KEYS.SITE_RECIPES]: recipes
+        }, USE_SYNC);
+    }
+
+    /**
+     * Generate unique recipe ID
+     * @private
+     * @returns {string} New recipe ID
+     */
+    generateRecipeId() {
+        return 'recipe_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+// Export singleton instance
+export const siteRecipeService = new SiteRecipeService();
@@ -7,23 +7,6 @@ class StorageService {
     constructor() {
         this.syncInProgress = false;
         this.pendingSync = new Map();
-        this.setupStorageListener();
-    }
-
-    /**
-     * Setup storage change listener
-     * @private
-     */
-    setupStorageListener() {
-        chrome.storage.onChanged.addListener((changes, areaName) => {
-            // Skip if this is our own sync
-            if (this.syncInProgress) return;
-
-            // Handle changes from other instances
-            if (areaName === 'sync') {
-                this.handleRemoteChanges(changes);
-            }
-        });
     }
 
     /**
@@ -142,20 +125,6 @@ class StorageService {
         }
     }
 
-    /**
-     * Handle changes from other instances
-     * @private
-     */
-    handleRemoteChanges(changes) {
-        Object.entries(changes).forEach(([key, change]) => {
-            // Skip if we have a pending local change
-            if (!this.pendingSync.has(key)) {
-                // Emit change event
-                this.onChanged({ [key]: change });
-            }
-        });
-    }
-
     /**
      * Remove data from storage
      * @param {string|Array<string>} keys - Key or array of keys to remove
@@ -188,7 +157,7 @@ class StorageService {
     }
 
     /**
-     * Listen for storage changes
+     * Listen for storage changes, including those made by other extension pages
      * @param {Function} callback - Function to call when storage changes
      * @returns {void}
      */
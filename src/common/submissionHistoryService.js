@@ -0,0 +1,159 @@
+/**
+ * Submission History Service
+ * Records where each profile has been submitted, keyed by profile and
+ * registrable domain
+ */
+
+import { storageService } from './storage.js';
+import { Submission } from './models.js';
+import { STORAGE_KEYS } from './constants.js';
+import { DomainUtils } from './domainUtils.js';
+
+// History grows with every submit, so it stays out of the sync quota
+const USE_SYNC = false;
+
+// Repeated submit events for the same page within this window are one submission
+const DUPLICATE_WINDOW_MS = 10000;
+
+export class SubmissionHistoryService {
+    /**
+     * Record a form submission for a profile
+     * @param {Object} data - Submission data
+     * @param {string} data.profileId - Profile that was submitted
+     * @param {string} data.url - Page URL the form was submitted from
+     * @param {string|null} [data.locationId] - Location submitted; none for the profile's own address
+     * @returns {Promise<Submission|null>} Recorded entry, or null if it was a repeat
+     */
+    async recordSubmission(data) {
+        const domain = DomainUtils.getRegistrableDomain(data.url);
+        if (!data.profileId || !domain) {
+            throw new Error('Submission requires a profile and a valid URL');
+        }
+
+        const history = await this.loadHistory();
+        const entries = history[data.profileId]?.[domain] || [];
+
+        const locationId = data.locationId || null;
+        const last = entries.filter(entry => (entry.locationId || null) === locationId).pop();
+        if (last && last.url === data.url &&
+            Date.now() - new Date(last.submittedAt).getTime() < DUPLICATE_WINDOW_MS) {
+            return null;
+        }
+
+        const submission = new Submission({
+            ...data,
+            id: this.generateSubmissionId(),
+            domain
+        });
+
+        history[data.profileId] = history[data.profileId] || {};
+        history[data.profileId][domain] = [...entries, submission];
+        await this.saveHistory(history);
+
+        return submission;
+    }
+
+    /**
+     * Get submissions of a profile to the domain of a URL
+     * @param {string} profileId - Profile ID
+     * @param {string} url - Page URL or hostname
+     * @param {string|null} [locationId] - Only this location's entries; null for
+     *     the profile's own address, omitted for every location
+     * @returns {Promise<Array<Submission>>} Entries, oldest first
+     */
+    async getSubmissionsForDomain(profileId, url, locationId) {
+        const domain = DomainUtils.getRegistrableDomain(url);
+        const history = await this.loadHistory();
+        const entries = history[profileId]?.[domain] || [];
+        return entries
+            .map(entry => new Submission(entry))
+            .filter(submission => submission.matches({ locationId }));
+    }
+
+    /**
+     * List submissions matching a filter
+     * @param {Object} filter - See Submission#matches
+     * @returns {Promise<Array<Submission>>} Entries, newest first
+     */
+    async getSubmissions(filter = {}) {
+        const history = await this.loadHistory();
+        const submissions = [];
+
+        Object.values(history).forEach(domains => {
+            Object.values(domains).forEach(entries => {
+                entries.forEach(entry => {
+                    const submission = new Submission(entry);
+                    if (submission.matches(filter)) {
+                        submissions.push(submission);
+                    }
+                });
+            });
+        });
+
+        return submissions.sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+    }
+
+    /**
+     * Delete a single submission entry
+     * @param {string} id - Submission ID
+     */
+    async deleteSubmission(id) {
+        const history = await this.loadHistory();
+
+        Object.values(history).forEach(domains => {
+            Object.entries(domains).forEach(([domain, entries]) => {
+                const remaining = entries.filter(entry => entry.id !== id);
+                if (remaining.length > 0) {
+                    domains[domain] = remaining;
+                } else {
+                    delete domains[domain];
+                }
+            });
+        });
+
+        await this.saveHistory(history);
+    }
+
+    /**
+     * Remove all history for a profile
+     * @param {string} profileId - Profile ID
+     */
+    async clearProfileHistory(profileId) {
+        const history = await this.loadHistory();
+        delete history[profileId];
+        await this.saveHistory(history);
+    }
+
+    /**
+     * Load history map of profileId -> domain -> entries
+     * @private
+     * @returns {Promise<Object>} History map
+     */
+    async loadHistory() {
+        const data = await storageService.get(STORAGE_KEYS.SUBMISSION_HISTORY, USE_SYNC);
+        return data[STORAGE_KEYS.SUBMISSION_HISTORY] || {};
+    }
+
+    /**
+     * Persist history map
+     * @private
+     * @param {Object} history - History map
+     */
+    async saveHistory(history) {
+        await storageService.set({
+            [STORAGE_KEYS.SUBMISSION_HISTORY]: history
+        }, USE_SYNC);
+    }
+
+    /**
+     * Generate unique submission ID
+     * @private
+     * @returns {string} New submission ID
+     */
+    generateSubmissionId() {
+        return 'submission_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+// Export singleton instance
+export const submissionHistoryService = new SubmissionHistoryService();
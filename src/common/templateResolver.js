@@ -0,0 +1,132 @@
+/**
+ * Template Resolver
+ * Expands spintax such as "{fast|quick}" and variables such as
+ * "{{business.city}}", "{{keywords[0]}}" and "{{domain}}" in profile text.
+ * Choices are seeded by the directory's domain, so every directory gets its
+ * own wording and filling the same directory again gives the same text.
+ */
+
+import { DomainUtils } from './domainUtils.js';
+
+class TemplateResolver {
+    /**
+     * "{{business.city}}", "{{ keywords[0] }}"
+     * @private
+     */
+    static VARIABLE_PATTERN = /\{\{\s*([\w.]+)(?:\[(\d+)\])?\s*\}\}/g;
+
+    /**
+     * Innermost spintax group: braces holding at least one "|" and no braces
+     * @private
+     */
+    static SPIN_PATTERN = /\{([^{}]*\|[^{}]*)\}/;
+
+    /**
+     * Stands in for a variable while spintax around it is resolved
+     * @private
+     */
+    static PLACEHOLDER = '\u0000';
+
+    /**
+     * Whether text holds spintax or variables
+     * @param {string} text - Text to check
+     * @returns {boolean} True if resolve() would change it
+     */
+    static hasTemplate(text) {
+        return typeof text === 'string' &&
+            (new RegExp(this.VARIABLE_PATTERN.source).test(text) || this.SPIN_PATTERN.test(text));
+    }
+
+    /**
+     * Expand the spintax and variables in a text
+     * @param {string} text - Template text
+     * @param {Object} context
+     * @param {Object} context.profile - Profile the variables read from
+     * @param {string} context.domain - URL or hostname of the directory; seeds the choices
+     * @returns {string} Resolved text
+     */
+    static resolve(text, { profile, domain = '' }) {
+        if (!this.hasTemplate(text)) return text;
+
+        const site = DomainUtils.getRegistrableDomain(domain);
+        const random = this.createRandom(`${site}\n${text}`);
+
+        // Variable values are never spun, so they wait behind placeholders
+        const values = [];
+        let result = text.replace(this.VARIABLE_PATTERN, (match, path, index) => {
+            values.push(path === 'domain' ? site : this.getVariable(profile, path, index));
+            return `${this.PLACEHOLDER}${values.length - 1}${this.PLACEHOLDER}`;
+        });
+
+        let group;
+        while ((group = result.match(this.SPIN_PATTERN))) {
+            const options = group[1].split('|');
+            const choice = options[Math.floor(random() * options.length)];
+            result = result.slice(0, group.index) + choice + result.slice(group.index + group[0].length);
+        }
+
+        return result.replace(new RegExp(`${this.PLACEHOLDER}(\\d+)${this.PLACEHOLDER}`, 'g'),
+            (match, index) => values[index]);
+    }
+
+    /**
+     * Resolve every string in an object and its nested objects, such as
+     * universal form data
+     * @param {Object} values - Values keyed by field name
+     * @param {Object} context - Same as resolve()
+     * @returns {Object} Resolved plain copy
+     */
+    static resolveAll(values, context) {
+        return Object.fromEntries(Object.entries(values).map(([key, value]) => [
+            key,
+            typeof value === 'string' ? this.resolve(value, context)
+                : value && typeof value === 'object' && !Array.isArray(value) ? this.resolveAll(value, context)
+                : value
+        ]));
+    }
+
+    /**
+     * Profile value for a variable; an index picks one item of a list,
+     * such as one keyword of "plumber, boiler repair"
+     * @private
+     */
+    static getVariable(profile, path, index) {
+        const value = path.split('.').reduce((curr, key) => curr?.[key], profile);
+        if (value === undefined || value === null || typeof value === 'object' && !Array.isArray(value)) {
+            return '';
+        }
+        if (index === undefined) {
+            return Array.isArray(value) ? value.join(', ') : String(value);
+        }
+
+        const items = Array.isArray(value)
+            ? value
+            : String(value).split(/[,;\n|]+/).map(item => item.trim()).filter(Boolean);
+        return String(items[Number(index)] ?? '');
+    }
+
+    /**
+     * Seeded random number generator (mulberry32 over a string hash)
+     * @private
+     * @param {string} seed - Seed text
+     * @returns {Function} Returns numbers in [0, 1)
+     */
+    static createRandom(seed) {
+        let hash = 1779033703 ^ seed.length;
+        for (let i = 0; i < seed.length; i++) {
+            hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+            hash = (hash << 13) | (hash >>> 19);
+        }
+
+        let state = hash >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+export { TemplateResolver };
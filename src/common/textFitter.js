@@ -0,0 +1,115 @@
+/**
+ * Text Fitter
+ * Fits profile text into a field's constraints: picks the description
+ * variant that fits, trims at a sentence boundary when none does, and
+ * joins keywords up to the limit with the field's separator
+ */
+
+import { FieldConstraints } from './fieldConstraints.js';
+
+class TextFitter {
+    /**
+     * Separator used when the field does not name one
+     */
+    static DEFAULT_SEPARATOR = ', ';
+
+    /**
+     * Choose the description variant that best fits a field
+     * @param {Array<string>} variants - Description variants in any order
+     * @param {Object} constraints - From FieldConstraints.read()
+     * @returns {string} Longest variant that fits, a trimmed variant, or ''
+     */
+    static pickVariant(variants, constraints) {
+        const candidates = [...new Set(variants.map(text => String(text || '').trim()).filter(Boolean))]
+            .sort((a, b) => b.length - a.length);
+        if (candidates.length === 0) return '';
+
+        const fitting = candidates.find(text => this.fits(text, constraints));
+        if (fitting) return fitting;
+
+        // Cutting a longer variant back at a sentence keeps whole sentences
+        for (const text of candidates.filter(candidate => !this.fitsMaximum(candidate, constraints))) {
+            const trimmed = this.trim(text, constraints);
+            if (this.fits(trimmed, constraints)) return trimmed;
+        }
+
+        // Nothing meets the minimum; the longest text allowed is the closest
+        const allowed = candidates.find(text => this.fitsMaximum(text, constraints));
+        return allowed || this.trim(candidates[candidates.length - 1], constraints);
+    }
+
+    /**
+     * Cut text to a field's maximum at the last sentence that fits, or at
+     * a word boundary when not even the first sentence fits
+     * @param {string} text - Text to fit
+     * @param {Object} constraints - From FieldConstraints.read()
+     * @returns {string} Text within the maximum
+     */
+    static trim(text, constraints) {
+        const value = String(text || '').trim();
+        if (this.fitsMaximum(value, constraints)) return value;
+
+        const sentences = value.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g) || [];
+        let kept = '';
+        for (const sentence of sentences) {
+            if (!this.fitsMaximum((kept + sentence).trim(), constraints)) break;
+            kept += sentence;
+        }
+        if (kept.trim()) return kept.trim();
+
+        const words = value.split(/(\s+)/);
+        kept = '';
+        for (const word of words) {
+            if (!this.fitsMaximum((kept + word).trim(), constraints)) break;
+            kept += word;
+        }
+        return kept.trim();
+    }
+
+    /**
+     * Join keywords until the field's limit, with the separator it expects
+     * @param {string|Array<string>} keywords - Keyword list, or text separated by commas, semicolons or lines
+     * @param {Object} constraints - From FieldConstraints.read()
+     * @returns {string} Joined keywords
+     */
+    static joinKeywords(keywords, constraints) {
+        const list = (Array.isArray(keywords) ? keywords : String(keywords || '').split(/[,;\n|]+/))
+            .map(keyword => String(keyword).trim())
+            .filter(Boolean);
+        const separator = constraints.separator || this.DEFAULT_SEPARATOR;
+
+        const joined = [];
+        for (const keyword of [...new Set(list)]) {
+            if (constraints.maxItems && joined.length >= constraints.maxItems) break;
+
+            // Keywords come most important first; a long one may not fit where a later one does
+            if (this.fitsMaximum([...joined, keyword].join(separator), constraints)) {
+                joined.push(keyword);
+            }
+        }
+        return joined.join(separator);
+    }
+
+    /**
+     * Whether text meets every constraint
+     * @param {string} text - Candidate text
+     * @param {Object} constraints - From FieldConstraints.read()
+     * @returns {boolean} True if the text fits
+     */
+    static fits(text, constraints) {
+        const words = FieldConstraints.countWords(text);
+        return this.fitsMaximum(text, constraints) &&
+            (!constraints.minLength || text.length >= constraints.minLength) &&
+            (!constraints.minWords || words >= constraints.minWords);
+    }
+
+    /**
+     * @private
+     */
+    static fitsMaximum(text, constraints) {
+        return (!constraints.maxLength || text.length <= constraints.maxLength) &&
+            (!constraints.maxWords || FieldConstraints.countWords(text) <= constraints.maxWords);
+    }
+}
+
+export { TextFitter };
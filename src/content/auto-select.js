@@ -0,0 +1,161 @@
+/**
+ * Dropdown auto-selection for Social Filler Pro
+ *
+ * Picks the active profile's country, region, city and category in native
+ * selects and custom dropdown widgets, and fills its opening hours. Runs
+ * after the field fill, so dropdowns it already set, or that the user or
+ * page gave a value, are left alone.
+ *
+ * @version 7.1
+ * @author Social Filler Pro Team
+ */
+
+'use strict';
+
+import { PostalAddress } from '../common/postalAddress.js';
+import { categoryMapper } from '../common/categoryMapper.js';
+import { dropdownAdapters } from './dropdown-adapters.js';
+import { fillSnapshot } from './fill-snapshot.js';
+import { fillSession } from './fill-session.js';
+import { hoursFiller } from './hours-filler.js';
+
+// Words that identify a dropdown by its name, id or label
+const LOCATION_KEYWORDS = {
+    country: ['country', 'nation'],
+    region: ['state', 'region', 'province', 'county'],
+    city: ['city', 'town', 'locality']
+};
+const CATEGORY_KEYWORDS = ['category', 'industry', 'business type', 'niche'];
+
+export class AutoSelect {
+    /**
+     * Make every auto-selection the profile has data for. Dropdowns are
+     * handled one at a time, as opening a widget closes any other.
+     * @param {Profile} profile - Active location profile
+     * @returns {Promise<number>} Number of fields set
+     */
+    async run(profile) {
+        const locationCount = await this.selectLocation(profile.address);
+        const categoryCount = await this.selectCategory(profile.category);
+        const hoursCount = await this.fillHours(profile.hours);
+        return locationCount + categoryCount + hoursCount;
+    }
+
+    /**
+     * Select the address's country, region and city
+     * @param {Object} address - Structured address
+     * @returns {Promise<number>} Number of dropdowns set
+     */
+    async selectLocation(address) {
+        if (!PostalAddress.isSet(address)) return 0;
+
+        // The country narrows region aliases, e.g. "WA" in the US vs Australia
+        const country = address.countryCode;
+        const values = {
+            country,
+            region: address.region || address.regionCode,
+            city: address.locality
+        };
+
+        let selectedCount = 0;
+        for (const [kind, value] of Object.entries(values)) {
+            if (!value) continue;
+
+            const selected = await this.selectEach(this.findOpenDropdowns(LOCATION_KEYWORDS[kind]),
+                element => dropdownAdapters.select(element, value, { kind, country }));
+            if (selected === 0) {
+                console.debug(`No ${kind} dropdown took:`, value);
+            }
+            selectedCount += selected;
+        }
+
+        if (selectedCount > 0) {
+            console.log(`Auto-selected location in ${selectedCount} dropdown(s)`);
+        }
+        return selectedCount;
+    }
+
+    /**
+     * Select the directory's closest match for the client category, and
+     * remember it so the directory gets the same one next time
+     * @param {string} category - Client category
+     * @returns {Promise<number>} Number of dropdowns set
+     */
+    async selectCategory(category) {
+        if (!category) return 0;
+
+        const dropdowns = this.findOpenDropdowns(CATEGORY_KEYWORDS);
+        if (dropdowns.length === 0) return 0;
+
+        const url = window.location.href;
+        const remembered = await categoryMapper.getRememberedChoice(url, category);
+
+        const selectedCount = await this.selectEach(dropdowns, async element => {
+            let picked = null;
+            const selected = await dropdownAdapters.select(element, category, {
+                kind: 'category',
+                searchTerms: categoryMapper.getTerms(category).slice(0, 3),
+                pickOption: options => (picked = categoryMapper.pickOption(options, category, remembered)),
+                isSelected: text => !!remembered &&
+                    text.trim().toLowerCase() === remembered.text.toLowerCase()
+            });
+            if (selected && picked) {
+                await categoryMapper.rememberChoice(url, category, picked);
+            }
+            return selected;
+        });
+
+        if (selectedCount > 0) {
+            console.log(`Auto-selected category in ${selectedCount} dropdown(s)`);
+        }
+        return selectedCount;
+    }
+
+    /**
+     * Fill the page's weekday grid or free-text hours fields
+     * @param {Object} hours - Weekly hours
+     * @returns {Promise<number>} Number of fields filled
+     */
+    async fillHours(hours) {
+        const filledCount = await hoursFiller.fill(hours);
+        if (filledCount > 0) {
+            console.log(`Filled business hours in ${filledCount} field(s)`);
+        }
+        return filledCount;
+    }
+
+    /**
+     * Dropdowns described by one of the keywords that have no value yet
+     * @private
+     */
+    findOpenDropdowns(keywords) {
+        return dropdownAdapters.findDropdowns([], keywords)
+            .filter(element => !fillSession.isFilled(element));
+    }
+
+    /**
+     * Run a selection on each dropdown, keeping what it replaced for undo
+     * and reporting the ones it set to the fill session
+     * @private
+     * @param {Array<HTMLElement>} dropdowns - Dropdowns to set
+     * @param {Function} select - Sets one dropdown; resolves whether it did
+     * @returns {Promise<number>} Number of dropdowns set
+     */
+    async selectEach(dropdowns, select) {
+        const selected = [];
+        for (const element of dropdowns) {
+            fillSnapshot.record(element);
+            if (await select(element)) {
+                selected.push(element);
+            }
+        }
+
+        if (selected.length > 0) {
+            await fillSession.recordFilled(selected);
+        }
+        return selected.length;
+    }
+}
+
+// Export singleton instance
+export const autoSelect = new AutoSelect();
@@ -10,21 +10,34 @@
 
 'use strict';
 
+/**
+ * Whether the top frame can reach into this frame's document
+ * @returns {boolean} True for frames same-origin with the top frame
+ */
+function isReachableFromTop() {
+    try {
+        return Boolean(window.top.document);
+    } catch {
+        return false;
+    }
+}
+
 (async () => {
     try {
-        // Get the URL for the main content script module
-        const coreScriptURL = chrome.runtime.getURL('src/content/content-core.js');
-        
-        // Dynamically import the module
-        const { default: ContentScript } = await import(coreScriptURL);
-        
-        // Initialize the content script
-        if (typeof window.contentScript === 'undefined') {
-            window.contentScript = new ContentScript();
-            console.log('[Social Filler Pro] Content script loaded and initialized.');
-        } else {
-            console.log('[Social Filler Pro] Content script already loaded.');
+        // The top frame walks into same-origin frames itself; a frame only
+        // announces that it loaded, through the background, so the top rescans.
+        // Cross-origin frames are out of reach and left alone.
+        if (window !== window.top) {
+            if (isReachableFromTop()) {
+                const { EXTENSION_CONFIG } = await import(chrome.runtime.getURL('src/common/config.js'));
+                await chrome.runtime.sendMessage({ type: EXTENSION_CONFIG.MESSAGE_TYPES.FRAME_LOADED });
+            }
+            return;
         }
+
+        // The main content script module initializes itself on import
+        await import(chrome.runtime.getURL('src/content/contentScript.js'));
+        console.log('[Social Filler Pro] Content script loaded and initialized.');
     } catch (error) {
         console.error('[Social Filler Pro] Failed to load content script module:', error);
     }
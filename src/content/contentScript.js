@@ -2,23 +2,58 @@
  * Content Script for Form Detection and Autofill
  */
 
-import { MESSAGE_TYPES, FIELD_TYPES } from '../common/constants.js';
+import { MESSAGE_TYPES, FIELD_TYPES, FILL_MODES, STORAGE_KEYS } from '../common/constants.js';
 import { fieldMapper } from '../common/fieldMapper.js';
+import { autofillService } from '../common/autofillService.js';
+import { messageService } from '../common/messageService.js';
+import { storageService } from '../common/storage.js';
+import { profileDataService } from '../common/profileDataService.js';
+import { submissionHistoryService } from '../common/submissionHistoryService.js';
+import { fieldMappingService } from '../common/fieldMappingService.js';
+import { DomainUtils } from '../common/domainUtils.js';
+import { DomWalker } from '../common/domWalker.js';
+import { SelectorUtils } from '../common/selectorUtils.js';
+import { SubmissionBanner } from './submission-banner.js';
+import { correctionTracker } from './correction-tracker.js';
+import { FillPreview } from './fill-preview.js';
+import { fillSnapshot } from './fill-snapshot.js';
+import { fillEngine } from './fill-engine.js';
+import { fillSession } from './fill-session.js';
+import { TeachMode } from './teach-mode.js';
+import { autoSelect } from './auto-select.js';
+import { SelectSearch } from './select-search.js';
+
+// Wait for the page to settle before filling fields a step change revealed
+const RESCAN_DELAY_MS = 500;
+// Pages that never settle, such as ones running animations, still get rescanned
+const RESCAN_MAX_WAIT_MS = 2000;
 
 class ContentScript {
     constructor() {
         this.observePageChanges = this.observePageChanges.bind(this);
+        this.observer = null;
+        this.observedRoots = new WeakSet();
+        this.rescanTimer = null;
+        this.rescanRequestedAt = null;
         this.handleMessages = this.handleMessages.bind(this);
+        this.submissionBanner = new SubmissionBanner();
+        this.fillPreview = new FillPreview();
+        this.teachMode = new TeachMode();
+        this.selectSearch = new SelectSearch();
         this.setupEventListeners();
     }
 
     /**
      * Initialize content script
      */
-    initialize() {
+    async initialize() {
         console.log('Content script initialized');
+        await fieldMapper.loadSettings();
         this.scanForForms();
         this.observePageChanges();
+        this.checkPreviousSubmissions();
+        this.continueSession();
+        this.selectSearch.start();
     }
 
     /**
@@ -27,7 +62,22 @@ class ContentScript {
     setupEventListeners() {
         // Setup message handlers
         messageService.registerHandler(MESSAGE_TYPES.AUTOFILL_DATA, (data) => this.fillForm(data));
-        messageService.registerHandler(MESSAGE_TYPES.PROFILE_UPDATED, () => this.scanForForms());
+        // Relayed by the background from a same-origin frame that just loaded
+        messageService.registerHandler(MESSAGE_TYPES.FRAME_LOADED, () => this.scheduleRescan());
+        // A campaign tab finished loading; completion is reported separately
+        // so the background can wait on it across service worker restarts
+        messageService.registerHandler(MESSAGE_TYPES.FILL_PAGE, () => {
+            this.fillPageAndReport();
+        });
+        // The popup closes once this answers, so the page can be clicked
+        messageService.registerHandler(MESSAGE_TYPES.TEACH_MODE_START, () => this.teachMode.start());
+        // From the popup and the undo-fill shortcut
+        messageService.registerHandler(MESSAGE_TYPES.UNDO_FILL, () => ({ restored: fillSnapshot.undo() }));
+        messageService.registerHandler(MESSAGE_TYPES.PROFILE_UPDATED, () => {
+            this.scanForForms();
+            this.fillFromSavedMappings().then(() => this.runAutoSelections());
+            return this.checkPreviousSubmissions();
+        });
 
         // Listen for form submissions
         document.addEventListener('submit', this.handleFormSubmit.bind(this));
@@ -92,76 +142,290 @@ class ContentScript {
                 fields: fieldData,
                 url: window.location.href,
                 formId: form ? form.id : null
-            });
+            }).catch(error => console.debug('Form detection not handled:', error.message));
         }
     }
 
     /**
      * Fill form with provided data
-     * @param {Object} data 
-     */
-    fillForm(data) {
-        Object.entries(data).forEach(([selector, value]) => {
-            const field = document.querySelector(selector);
-            if (!field) return;
-
-            // Set value based on field type
-            switch (field.type) {
-                case 'checkbox':
-                    field.checked = value === true || value === 'true';
-                    break;
-                case 'radio':
-                    if (field.value === value) {
-                        field.checked = true;
-                    }
-                    break;
-                case 'select-one':
-                    field.value = value;
-                    break;
-                default:
-                    field.value = value;
+     * @param {Object} data - Values keyed by selector
+     * @param {Object} [reasons] - Why each field was matched, shown in preview mode
+     */
+    async fillForm(data, reasons = {}) {
+        // Only fields this session has not filled and the user has not typed into
+        data = Object.fromEntries(Object.entries(data).filter(([selector]) => {
+            const field = SelectorUtils.querySelector(selector);
+            return field && !fillSession.isFilled(field);
+        }));
+        if (Object.keys(data).length === 0) return;
+
+        if (await this.getFillMode() === FILL_MODES.PREVIEW) {
+            data = await this.fillPreview.show(data, reasons);
+        }
+
+        // Sequential, so each field's framework sees its own event sequence
+        const filled = [];
+        for (const [selector, value] of Object.entries(data)) {
+            const field = SelectorUtils.querySelector(selector);
+            if (!field) continue;
+
+            fillSnapshot.record(field);
+            if (await fillEngine.fill(field, value)) {
+                filled.push(field);
             }
+        }
 
-            // Trigger events
-            field.dispatchEvent(new Event('input', { bubbles: true }));
-            field.dispatchEvent(new Event('change', { bubbles: true }));
-        });
+        if (filled.length > 0) {
+            correctionTracker.markAutofilled();
+            await fillSession.recordFilled(filled);
+        }
+    }
+
+    /**
+     * Read whether values are written directly or previewed first
+     * @returns {Promise<string>} One of FILL_MODES
+     */
+    async getFillMode() {
+        try {
+            const data = await storageService.get(STORAGE_KEYS.SETTINGS);
+            return data[STORAGE_KEYS.SETTINGS]?.fillMode || FILL_MODES.DIRECT;
+        } catch (error) {
+            console.warn('Failed to read fill mode:', error);
+            return FILL_MODES.DIRECT;
+        }
+    }
+
+    /**
+     * Pick up the tab's fill session on this page or step and fill what is new
+     */
+    async continueSession() {
+        this.observeNestedRoots();
+        await fillSession.enterStep();
+        await this.fillFromSavedMappings();
+        await this.runAutoSelections();
+    }
+
+    /**
+     * Fill the fields covered by site recipes and learned mappings for this page
+     */
+    async fillFromSavedMappings() {
+        try {
+            await profileDataService.initialize();
+            const profile = profileDataService.getActiveLocationProfile();
+            if (!profile) return;
+
+            const [recipeCount, learnedCount] = await Promise.all([
+                autofillService.loadSiteRecipes(window.location.href),
+                autofillService.loadLearnedMappings(window.location.href)
+            ]);
+            if (recipeCount + learnedCount === 0) return;
+
+            const fields = autofillService.analyzeMappedFields();
+            await this.fillForm(
+                autofillService.mapProfileToFields(profile, fields),
+                autofillService.describeMatches(fields)
+            );
+        } catch (error) {
+            console.error('Failed to apply saved field mappings:', error);
+        }
     }
 
     /**
-     * Handle form submission
+     * Fill every field the active profile has a value for: site recipes and
+     * learned mappings first, then what the field heuristics recognize
+     */
+    async fillPage() {
+        await profileDataService.initialize();
+        const profile = profileDataService.getActiveLocationProfile();
+        if (!profile) return;
+
+        await Promise.all([
+            autofillService.loadSiteRecipes(window.location.href),
+            autofillService.loadLearnedMappings(window.location.href)
+        ]);
+
+        const fields = autofillService.analyzePage();
+        await this.fillForm(
+            autofillService.mapProfileToFields(profile, fields),
+            autofillService.describeMatches(fields)
+        );
+        await this.runAutoSelections();
+    }
+
+    /**
+     * Pick the active profile's values in the dropdowns the field fill
+     * could not set, such as custom widgets and aliased options
+     */
+    async runAutoSelections() {
+        try {
+            await profileDataService.initialize();
+            const profile = profileDataService.getActiveLocationProfile();
+            if (!profile) return;
+
+            if (await autoSelect.run(profile) > 0) {
+                correctionTracker.markAutofilled();
+            }
+        } catch (error) {
+            console.error('Failed to auto-select dropdowns:', error);
+        }
+    }
+
+    /**
+     * Fill the page for a campaign and tell the background it is ready for review
+     */
+    async fillPageAndReport() {
+        try {
+            await this.fillPage();
+        } catch (error) {
+            console.error('Failed to fill page:', error);
+        }
+
+        messageService.sendMessage(MESSAGE_TYPES.FILL_COMPLETE, { url: window.location.href })
+            .catch(error => console.debug('Failed to report fill completion:', error.message));
+    }
+
+    /**
+     * Handle form submission. Everything is read synchronously and sent in a
+     * single message, before a navigating submit unloads the page; the
+     * background records it for the active profile.
      * @param {Event} event 
      */
     handleFormSubmit(event) {
-        // Could be used to collect successful form submissions
-        // for improving field detection
+        const form = event.target;
+
+        // Ask while the submission still waits on the prompt
+        this.offerCorrections(form);
+
+        const fieldCount = Array.from(form.elements || [])
+            .filter(el => ['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName) && el.value)
+            .length;
+
+        messageService.sendMessage(MESSAGE_TYPES.FORM_SUBMITTED, {
+            url: window.location.href,
+            pageTitle: document.title,
+            formId: form.id || form.getAttribute?.('name') || '',
+            fieldCount
+        }).catch(error => console.error('Failed to record form submission:', error));
+    }
+
+    /**
+     * Offer to save fields the user corrected after autofill as mapping
+     * rules for this domain
+     * @param {HTMLFormElement} form - Submitted form
+     */
+    offerCorrections(form) {
+        const profile = profileDataService.getActiveLocationProfile();
+        if (!profile) return;
+
+        const corrections = correctionTracker.getCorrections(form, profile);
+        correctionTracker.reset();
+        if (corrections.length === 0) return;
+
+        const domain = DomainUtils.getRegistrableDomain(window.location.href);
+        const summary = corrections
+            .map(correction => `• ${correction.label} → ${correction.profileProperty}`)
+            .join('\n');
+
+        if (!confirm(`Save ${corrections.length} corrected field(s) for ${domain} ` +
+            `so they fill automatically next time?\n\n${summary}`)) {
+            return;
+        }
+
+        fieldMappingService.saveMappings(window.location.href, corrections)
+            .catch(error => console.error('Failed to save field corrections:', error));
+    }
+
+    /**
+     * Show a banner if the active profile was already submitted to this site
+     */
+    async checkPreviousSubmissions() {
+        try {
+            await profileDataService.initialize();
+            const profile = profileDataService.getActiveLocationProfile();
+            if (!profile) {
+                this.submissionBanner.hide();
+                return;
+            }
+
+            const submissions = await submissionHistoryService.getSubmissionsForDomain(
+                profile.id,
+                window.location.href,
+                profile.activeLocationId
+            );
+            this.submissionBanner.show(submissions, profile);
+        } catch (error) {
+            console.error('Failed to check submission history:', error);
+        }
     }
 
     /**
      * Observe page for dynamically added forms/fields
      */
     observePageChanges() {
-        const observer = new MutationObserver((mutations) => {
-            let shouldScan = false;
-            
-            mutations.forEach(mutation => {
-                const addedNodes = Array.from(mutation.addedNodes);
-                shouldScan = addedNodes.some(node => {
-                    return node.tagName === 'FORM' || 
-                           node.querySelector && node.querySelector('input, select, textarea');
-                });
-            });
+        this.observer = new MutationObserver((mutations) => {
+            const shouldScan = mutations.some(mutation => Array.from(mutation.addedNodes).some(node => {
+                return node.tagName === 'FORM' || 
+                       node.querySelector && node.querySelector('input, select, textarea');
+            }));
 
             if (shouldScan) {
                 this.scanForForms();
             }
+
+            this.scheduleRescan();
+        });
+
+        this.observeRoot(document.body);
+    }
+
+    /**
+     * Watch the open shadow roots and same-origin frames found so far, whose
+     * changes the observer on the page body does not see
+     */
+    observeNestedRoots() {
+        DomWalker.getRoots(document).slice(1).forEach(root => {
+            this.observeRoot(root.nodeType === Node.DOCUMENT_NODE ? root.body : root);
         });
+    }
 
-        observer.observe(document.body, {
+    /**
+     * @private
+     */
+    observeRoot(target) {
+        if (!this.observer || !target || this.observedRoots.has(target)) return;
+
+        this.observedRoots.add(target);
+        // Client-side steps often only toggle visibility, so attribute
+        // changes can reveal fields too. Inline styles are left out: pages
+        // animate them many times a second.
+        this.observer.observe(target, {
             childList: true,
-            subtree: true
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['class', 'hidden']
         });
     }
+
+    /**
+     * Continue the fill session once the page settles, if fields came or
+     * went, or once the first unhandled change is RESCAN_MAX_WAIT_MS old
+     */
+    scheduleRescan() {
+        clearTimeout(this.rescanTimer);
+        this.rescanRequestedAt = this.rescanRequestedAt ?? Date.now();
+
+        const maxWaitLeft = this.rescanRequestedAt + RESCAN_MAX_WAIT_MS - Date.now();
+        this.rescanTimer = setTimeout(() => {
+            this.rescanRequestedAt = null;
+            // A reloaded frame brings a new document even when its fields look the same
+            this.observeNestedRoots();
+            // Options are often loaded after their select appears
+            this.selectSearch.refresh();
+            if (fillSession.hasNewFields()) {
+                this.continueSession();
+            }
+        }, Math.max(0, Math.min(RESCAN_DELAY_MS, maxWaitLeft)));
+    }
 }
 
 // Initialize content script
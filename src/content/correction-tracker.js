@@ -0,0 +1,106 @@
+/**
+ * Manual correction tracking for Social Filler Pro
+ *
+ * Watches the fields a user edits after an autofill and works out which
+ * profile properties those edits correspond to, so they can be saved as
+ * mapping rules for the domain.
+ *
+ * @version 7.1
+ * @author Social Filler Pro Team
+ */
+
+'use strict';
+
+import { Profile } from '../common/models.js';
+import { autofillService } from '../common/autofillService.js';
+
+const TRACKED_TAGS = ['INPUT', 'SELECT', 'TEXTAREA'];
+const SKIPPED_INPUT_TYPES = ['hidden', 'submit', 'reset', 'button', 'image', 'file', 'checkbox', 'radio'];
+
+export class CorrectionTracker {
+    constructor() {
+        this.tracking = false;
+        this.editedFields = new Set();
+        this.handleEdit = this.handleEdit.bind(this);
+    }
+
+    /**
+     * Start collecting user edits made after an autofill
+     */
+    markAutofilled() {
+        this.editedFields.clear();
+        if (this.tracking) return;
+
+        document.addEventListener('input', this.handleEdit, true);
+        document.addEventListener('change', this.handleEdit, true);
+        this.tracking = true;
+    }
+
+    /**
+     * @private
+     */
+    handleEdit(event) {
+        // Our own fills dispatch synthetic events; only the user's count
+        if (!event.isTrusted) return;
+
+        const field = event.target;
+        if (field.closest?.('[data-sfp-ui]')) return;
+
+        if (TRACKED_TAGS.includes(field.tagName) && !SKIPPED_INPUT_TYPES.includes(field.type)) {
+            this.editedFields.add(field);
+        }
+    }
+
+    /**
+     * Match edited fields in a form to the profile properties holding their values
+     * @param {HTMLFormElement} form - Submitted form
+     * @param {Profile} profile - Active profile
+     * @returns {Array<{fieldId: string, profileProperty: string, label: string}>} Corrections
+     *     not already covered by a learned mapping
+     */
+    getCorrections(form, profile) {
+        const corrections = [];
+        const paths = Profile.getPropertyPaths();
+
+        this.editedFields.forEach(field => {
+            if (!field.isConnected || !form.contains(field)) return;
+
+            const values = [field.value, field.selectedOptions?.[0]?.text]
+                .map(value => this.normalizeValue(value))
+                .filter(value => value.length > 1);
+            if (values.length === 0) return;
+
+            const profileProperty = paths.find(path =>
+                values.includes(this.normalizeValue(profile.getValue(path))));
+            if (!profileProperty) return;
+
+            const fieldId = autofillService.getFieldKey(field);
+            if (autofillService.fieldMappings.get(fieldId)?.profileProperty === profileProperty) return;
+
+            corrections.push({
+                fieldId,
+                profileProperty,
+                label: field.labels?.[0]?.textContent.trim() || field.name || field.placeholder || fieldId
+            });
+        });
+
+        return corrections;
+    }
+
+    /**
+     * Forget edits collected so far
+     */
+    reset() {
+        this.editedFields.clear();
+    }
+
+    /**
+     * @private
+     */
+    normalizeValue(value) {
+        return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+}
+
+// Export singleton instance
+export const correctionTracker = new CorrectionTracker();
@@ -0,0 +1,575 @@
+/**
+ * Dropdown widget adapters for Social Filler Pro
+ *
+ * Directories often hide the native <select> behind Select2 or Chosen, or
+ * render fully custom comboboxes (react-select, Material UI). Each adapter
+ * knows how to open its widget, search it, pick the best option and read
+ * back what the widget now shows, so callers can treat every dropdown the
+ * same way.
+ *
+ * @version 7.1
+ * @author Social Filler Pro Team
+ */
+
+'use strict';
+
+import { optionMatcher } from '../common/optionMatcher.js';
+import { FillEngine, fillEngine } from './fill-engine.js';
+
+// How long to wait for a widget to open or show search results
+const WIDGET_TIMEOUT_MS = 1500;
+const POLL_INTERVAL_MS = 50;
+
+// Containers whose inner inputs belong to a widget already handled through its select
+const WIDGET_CONTAINERS = '.select2-container, .chosen-container';
+
+const CUSTOM_DROPDOWN_SELECTORS = [
+    'input[id^="react-select-"][id$="-input"]',
+    '.MuiAutocomplete-root input',
+    '.MuiSelect-select'
+];
+
+/**
+ * Base adapter. Subclasses implement matches, choose and readValue.
+ */
+export class DropdownAdapter {
+    /**
+     * Check whether this adapter drives the given element
+     * @param {HTMLElement} element - Native select or custom widget input
+     * @returns {boolean} Whether the element belongs to this widget type
+     */
+    matches(element) {
+        return false;
+    }
+
+    /**
+     * Select the option that best matches a value and confirm the widget took it
+     * @param {HTMLElement} element - Native select or custom widget input
+     * @param {string} value - Text to match against the options
+     * @param {Object} [context] - Matching context passed to the option matcher
+     * @returns {Promise<boolean>} Whether the widget now shows a matching option
+     */
+    async select(element, value, context = {}) {
+        if (DropdownAdapter.isSelected(this.readValue(element), value, context)) {
+            return true;
+        }
+
+        const chosen = await this.choose(element, value, context);
+        if (!chosen) {
+            return false;
+        }
+
+        return DropdownAdapter.waitFor(() =>
+            optionMatcher.normalize(this.readValue(element)) === optionMatcher.normalize(chosen));
+    }
+
+    /**
+     * Open the widget and pick the best option
+     * @protected
+     * @returns {Promise<string|null>} Text of the chosen option
+     */
+    async choose(element, value, context) {
+        return null;
+    }
+
+    /**
+     * Text the widget currently shows as selected
+     * @protected
+     * @returns {string} Displayed value
+     */
+    readValue(element) {
+        return '';
+    }
+
+    /**
+     * Pick the best matching option
+     * @param {Array<{text: string, value?: string, group?: string}>} options - Candidate options
+     * @param {string} value - Wanted value
+     * @param {Object} [context] - Matching context passed to the option matcher;
+     *     context.pickOption replaces the matcher, e.g. for category trees
+     * @returns {Object|null} Best option, or null if none clears the threshold
+     */
+    static pickOption(options, value, context = {}) {
+        if (context.pickOption) {
+            return context.pickOption(options, value);
+        }
+        return optionMatcher.match(options, value, context)?.option || null;
+    }
+
+    /**
+     * Check whether the text a widget shows already satisfies a value
+     * @param {string} text - Displayed value
+     * @param {string} value - Wanted value
+     * @param {Object} [context] - Matching context; context.isSelected replaces the check
+     * @returns {boolean} Whether nothing needs to change
+     */
+    static isSelected(text, value, context = {}) {
+        if (context.isSelected) {
+            return context.isSelected(text);
+        }
+        return optionMatcher.score(text, value, context) === 1;
+    }
+
+    /**
+     * Type each search term until the widget lists a matching option
+     * @protected
+     * @param {HTMLInputElement} input - Widget search input
+     * @param {string} value - Wanted value
+     * @param {Object} context - Matching context
+     * @param {Function} getOptions - Returns the options currently listed
+     * @returns {Promise<Object|null>} Matching option
+     */
+    static async search(input, value, context, getOptions) {
+        // Widgets filter on what was typed, so "United States" may hide "USA"
+        for (const term of context.searchTerms || optionMatcher.getSearchTerms(value, context)) {
+            DropdownAdapter.typeInto(input, term);
+            const option = await DropdownAdapter.waitFor(() =>
+                DropdownAdapter.pickOption(getOptions(), value, context));
+            if (option) return option;
+        }
+        return null;
+    }
+
+    /**
+     * Poll until a condition holds or the widget timeout passes
+     * @protected
+     * @param {Function} condition - Returns a truthy value when done
+     * @returns {Promise<*>} The condition's last result
+     */
+    static async waitFor(condition) {
+        const deadline = Date.now() + WIDGET_TIMEOUT_MS;
+        let result = condition();
+        while (!result && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+            result = condition();
+        }
+        return result;
+    }
+
+    /**
+     * Type a search term the way widgets expect to see it
+     * @protected
+     */
+    static typeInto(input, text) {
+        input.focus({ preventScroll: true });
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: text.slice(-1), bubbles: true }));
+        FillEngine.setNativeValue(input, text);
+        input.dispatchEvent(new InputEvent('input', { inputType: 'insertText', data: text, bubbles: true }));
+        input.dispatchEvent(new KeyboardEvent('keyup', { key: text.slice(-1), bubbles: true }));
+    }
+
+    /**
+     * Press and release the primary mouse button on an element
+     * @protected
+     */
+    static pointerClick(element) {
+        ['mousedown', 'mouseup', 'click'].forEach(type => {
+            element.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, button: 0, view: window }));
+        });
+    }
+
+    /**
+     * Close an open widget without choosing anything
+     * @protected
+     */
+    static dismiss(element) {
+        element.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', keyCode: 27, bubbles: true }));
+    }
+
+    /**
+     * Visible options of the listbox a combobox controls
+     * @protected
+     * @returns {Array<{text: string, node: HTMLElement}>} Options
+     */
+    static getListboxOptions(combobox) {
+        const listboxId = combobox.getAttribute('aria-controls') || combobox.getAttribute('aria-owns');
+        const listbox = listboxId ? document.getElementById(listboxId) : null;
+        const nodes = listbox
+            ? listbox.querySelectorAll('[role="option"]')
+            : document.querySelectorAll('[role="listbox"] [role="option"]');
+
+        return Array.from(nodes)
+            .filter(node => node.getAttribute('aria-disabled') !== 'true')
+            .map(node => ({
+                text: node.textContent,
+                group: node.closest('[role="group"]')?.getAttribute('aria-label') ||
+                    node.closest('.MuiAutocomplete-groupUl')?.previousElementSibling?.textContent || '',
+                node
+            }));
+    }
+}
+
+/**
+ * Plain <select> with no widget in front of it
+ */
+export class NativeSelectAdapter extends DropdownAdapter {
+    matches(element) {
+        return element.tagName === 'SELECT';
+    }
+
+    async choose(select, value, context) {
+        const options = Array.from(select.options)
+            .filter(option => !option.disabled && option.value !== '')
+            .map(option => ({
+                text: option.text,
+                value: option.value,
+                group: option.parentElement?.tagName === 'OPTGROUP' ? option.parentElement.label : '',
+                node: option
+            }));
+
+        const option = DropdownAdapter.pickOption(options, value, context);
+        if (!option) return null;
+
+        await fillEngine.fill(select, option.value);
+        return option.text;
+    }
+
+    readValue(select) {
+        return select.selectedIndex >= 0 ? select.options[select.selectedIndex].text : '';
+    }
+}
+
+/**
+ * Select2 (v4) in front of a native select
+ */
+export class Select2Adapter extends NativeSelectAdapter {
+    matches(element) {
+        return element.tagName === 'SELECT' &&
+            (element.classList.contains('select2-hidden-accessible') ||
+                !!this.getContainer(element));
+    }
+
+    async choose(select, value, context) {
+        // Preloaded options can be set on the select; Select2 re-renders on change
+        const chosen = await super.choose(select, value, context);
+        if (chosen) return chosen;
+
+        // Remote data sources only load options after a search
+        const selection = this.getContainer(select)?.querySelector('.select2-selection');
+        if (!selection) return null;
+
+        DropdownAdapter.pointerClick(selection);
+        const search = await DropdownAdapter.waitFor(() =>
+            document.querySelector('.select2-container--open .select2-search__field'));
+        if (!search) return null;
+
+        const option = await DropdownAdapter.search(search, value, context, () =>
+            Array.from(document.querySelectorAll('.select2-container--open .select2-results__option[aria-selected], .select2-container--open .select2-results__option--selectable'))
+                .map(node => ({
+                    text: node.textContent,
+                    group: node.closest('[role="group"]')?.getAttribute('aria-label') || '',
+                    node
+                })));
+
+        if (!option) {
+            DropdownAdapter.dismiss(search);
+            return null;
+        }
+
+        // Select2 picks on mouseup
+        DropdownAdapter.pointerClick(option.node);
+        return option.text;
+    }
+
+    readValue(select) {
+        const rendered = this.getContainer(select)?.querySelector('.select2-selection__rendered');
+        return rendered ? (rendered.getAttribute('title') || rendered.textContent) : super.readValue(select);
+    }
+
+    /**
+     * @private
+     */
+    getContainer(select) {
+        const next = select.nextElementSibling;
+        return next?.classList.contains('select2') ? next : null;
+    }
+}
+
+/**
+ * Chosen in front of a native select
+ */
+export class ChosenAdapter extends DropdownAdapter {
+    matches(element) {
+        return element.tagName === 'SELECT' && !!this.getContainer(element);
+    }
+
+    async choose(select, value, context) {
+        const container = this.getContainer(select);
+        const trigger = container.querySelector('.chosen-single, .chosen-choices');
+        if (!trigger) return null;
+
+        // Chosen only re-renders from its own UI, so drive the UI rather than the select
+        DropdownAdapter.pointerClick(trigger);
+        const search = container.querySelector('.chosen-search input, .chosen-search-input');
+        const getOptions = () => Array.from(container.querySelectorAll('.chosen-results li.active-result'))
+            .map(node => ({ text: node.textContent, group: this.getGroupLabel(node), node }));
+
+        const option = search
+            ? await DropdownAdapter.search(search, value, context, getOptions)
+            : await DropdownAdapter.waitFor(() => DropdownAdapter.pickOption(getOptions(), value, context));
+
+        if (!option) {
+            if (search) DropdownAdapter.dismiss(search);
+            return null;
+        }
+
+        // Chosen picks on mouseup
+        DropdownAdapter.pointerClick(option.node);
+        return option.text;
+    }
+
+    /**
+     * Chosen renders optgroups as a heading item before their options
+     * @private
+     */
+    getGroupLabel(item) {
+        if (!item.classList.contains('group-option')) return '';
+        let previous = item.previousElementSibling;
+        while (previous && !previous.classList.contains('group-result')) {
+            previous = previous.previousElementSibling;
+        }
+        return previous ? previous.textContent : '';
+    }
+
+    readValue(select) {
+        const container = this.getContainer(select);
+        const single = container?.querySelector('.chosen-single span');
+        if (single && !container.querySelector('.chosen-default')) {
+            return single.textContent;
+        }
+        return select.selectedIndex >= 0 ? select.options[select.selectedIndex].text : '';
+    }
+
+    /**
+     * @private
+     */
+    getContainer(select) {
+        const byId = select.id ? document.getElementById(`${select.id.replace(/[^\w]/g, '_')}_chosen`) : null;
+        if (byId) return byId;
+        const next = select.nextElementSibling;
+        return next?.classList.contains('chosen-container') ? next : null;
+    }
+}
+
+/**
+ * react-select combobox
+ */
+export class ReactSelectAdapter extends DropdownAdapter {
+    matches(element) {
+        return element.tagName === 'INPUT' && /^react-select-.+-input$/.test(element.id);
+    }
+
+    async choose(input, value, context) {
+        const control = this.getControl(input);
+        if (control) {
+            // react-select opens on mousedown of the control
+            control.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true, button: 0 }));
+        }
+
+        const prefix = input.id.replace(/-input$/, '');
+        const option = await DropdownAdapter.search(input, value, context, () =>
+            Array.from(document.querySelectorAll(`[id^="${prefix}-option-"]`))
+                .filter(node => node.getAttribute('aria-disabled') !== 'true')
+                .map(node => ({
+                    text: node.textContent,
+                    group: node.closest('[class*="-group"]')?.querySelector('[id$="-heading"]')?.textContent || '',
+                    node
+                })));
+
+        if (!option) {
+            DropdownAdapter.dismiss(input);
+            return null;
+        }
+
+        DropdownAdapter.pointerClick(option.node);
+        return option.text;
+    }
+
+    readValue(input) {
+        const container = this.getControl(input)?.parentElement;
+        const single = container?.querySelector('[class*="singleValue"]');
+        return single ? single.textContent : '';
+    }
+
+    /**
+     * @private
+     */
+    getControl(input) {
+        return input.closest('[class*="-control"]');
+    }
+}
+
+/**
+ * Material UI Autocomplete (typeable combobox)
+ */
+export class MuiAutocompleteAdapter extends DropdownAdapter {
+    matches(element) {
+        return element.tagName === 'INPUT' && !!element.closest('.MuiAutocomplete-root');
+    }
+
+    async choose(input, value, context) {
+        input.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true, button: 0 }));
+
+        const option = await DropdownAdapter.search(input, value, context, () =>
+            DropdownAdapter.getListboxOptions(input));
+
+        if (!option) {
+            DropdownAdapter.dismiss(input);
+            return null;
+        }
+
+        DropdownAdapter.pointerClick(option.node);
+        return option.text;
+    }
+
+    readValue(input) {
+        return input.value;
+    }
+}
+
+/**
+ * Material UI Select (button that opens a listbox)
+ */
+export class MuiSelectAdapter extends DropdownAdapter {
+    matches(element) {
+        return element.classList.contains('MuiSelect-select');
+    }
+
+    async choose(trigger, value, context) {
+        // MUI Select opens on mousedown of the primary button
+        trigger.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true, button: 0 }));
+
+        const option = await DropdownAdapter.waitFor(() =>
+            DropdownAdapter.pickOption(DropdownAdapter.getListboxOptions(trigger), value, context));
+
+        if (!option) {
+            const listbox = document.querySelector('[role="listbox"]');
+            if (listbox) DropdownAdapter.dismiss(listbox);
+            return null;
+        }
+
+        DropdownAdapter.pointerClick(option.node);
+        return option.text;
+    }
+
+    readValue(trigger) {
+        return trigger.textContent;
+    }
+}
+
+/**
+ * Finds dropdowns on the page and routes each one to its adapter
+ */
+export class DropdownAdapters {
+    constructor() {
+        // Most specific first; the native adapter is the fallback for selects
+        this.adapters = [
+            new Select2Adapter(),
+            new ChosenAdapter(),
+            new ReactSelectAdapter(),
+            new MuiAutocompleteAdapter(),
+            new MuiSelectAdapter(),
+            new NativeSelectAdapter()
+        ];
+
+        // Each dropdown is tried once per value. Opening widgets mutates the
+        // DOM, which would otherwise trigger another attempt, and a repeat
+        // after success would undo whatever the user picked since.
+        this.attempts = new WeakMap();
+    }
+
+    /**
+     * Find the adapter for an element
+     * @param {HTMLElement} element - Native select or custom widget input
+     * @returns {DropdownAdapter|null} Adapter, or null if the element is not a dropdown
+     */
+    getAdapter(element) {
+        return this.adapters.find(adapter => adapter.matches(element)) || null;
+    }
+
+    /**
+     * Select a value in any supported dropdown
+     * @param {HTMLElement} element - Native select or custom widget input
+     * @param {string} value - Text to match against the options
+     * @param {Object} [context] - Matching context, e.g. {kind: 'region', country: 'US'}
+     * @returns {Promise<boolean>} Whether this call left the dropdown on a matching
+     *     option; repeats of an earlier attempt with the same value return false
+     */
+    async select(element, value, context = {}) {
+        const adapter = this.getAdapter(element);
+        if (!adapter || !value || this.attempts.get(element) === value) {
+            return false;
+        }
+
+        let selected = false;
+        try {
+            selected = await adapter.select(element, value, context);
+        } catch (error) {
+            console.warn('Dropdown selection failed:', error);
+        }
+
+        this.attempts.set(element, value);
+        return selected;
+    }
+
+    /**
+     * Find native and custom dropdowns by selector or by the text describing them
+     * @param {string|Array<string>} selectors - Selectors for known dropdowns
+     * @param {Array<string>} keywords - Words expected in a dropdown's name, id or label
+     * @param {Document|HTMLElement} [root] - Where to search
+     * @returns {Array<HTMLElement>} Dropdown elements, each once
+     */
+    findDropdowns(selectors, keywords, root = document) {
+        const found = new Set();
+
+        [].concat(selectors || []).forEach(selector => {
+            try {
+                root.querySelectorAll(selector).forEach(element => {
+                    if (this.getAdapter(element)) found.add(element);
+                });
+            } catch {
+                console.debug('Invalid dropdown selector:', selector);
+            }
+        });
+
+        const pattern = keywords?.length
+            ? new RegExp(keywords.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'i')
+            : null;
+
+        if (pattern) {
+            root.querySelectorAll(['select', ...CUSTOM_DROPDOWN_SELECTORS].join(', ')).forEach(element => {
+                if (element.closest(WIDGET_CONTAINERS) || element.disabled) return;
+                if (pattern.test(this.describe(element))) found.add(element);
+            });
+        }
+
+        return Array.from(found);
+    }
+
+    /**
+     * Text identifying a dropdown: attributes plus its label
+     * @private
+     */
+    describe(element) {
+        const labelledBy = (element.getAttribute('aria-labelledby') || '')
+            .split(/\s+/)
+            .map(id => id && document.getElementById(id)?.textContent)
+            .filter(Boolean);
+
+        const muiLabel = element.closest('.MuiFormControl-root, .MuiAutocomplete-root')
+            ?.querySelector('label')?.textContent;
+
+        return [
+            element.name,
+            element.id,
+            element.getAttribute('aria-label'),
+            element.getAttribute('placeholder'),
+            ...Array.from(element.labels || [], label => label.textContent),
+            ...labelledBy,
+            muiLabel
+        ].filter(Boolean).join(' ');
+    }
+}
+
+// Export singleton instance
+export const dropdownAdapters = new DropdownAdapters();
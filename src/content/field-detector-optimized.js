@@ -10,7 +10,8 @@ class OptimizedFieldDetector {
     }
 
     /**
-     * Find form fields with optimized caching
+     * Find form fields with optimized caching, including fields in open
+     * shadow roots and same-origin frames
      */
     findFields(selectors, context = document) {
         const cacheKey = `${selectors.join(',')}-${context.toString()}`;
@@ -22,10 +23,11 @@ class OptimizedFieldDetector {
 
         const fields = [];
         const seen = new Set();
+        const roots = this.getSearchRoots(context);
 
         selectors.forEach(selector => {
             try {
-                const elements = context.querySelectorAll(selector);
+                const elements = roots.flatMap(root => Array.from(root.querySelectorAll(selector)));
                 elements.forEach(element => {
                     if (this.isValidField(element) && !seen.has(element)) {
                         seen.add(element);
@@ -56,12 +58,37 @@ class OptimizedFieldDetector {
             return false;
         }
 
-            const style = window.getComputedStyle(element);
+            const style = element.ownerDocument.defaultView.getComputedStyle(element);
             return style.display !== 'none' && 
                    style.visibility !== 'hidden' && 
                    style.opacity !== '0';
     }
 
+    /**
+     * Collect the context and the open shadow roots and same-origin frame
+     * documents inside it. Classic script, so this cannot share DomWalker.
+     */
+    getSearchRoots(context) {
+        const roots = [];
+        const visit = root => {
+            roots.push(root);
+            root.querySelectorAll('*').forEach(element => {
+                let inner = element.shadowRoot;
+                if (!inner && (element.tagName === 'IFRAME' || element.tagName === 'FRAME')) {
+                    try {
+                        inner = element.contentDocument;
+                    } catch {
+                        inner = null;
+                    }
+                }
+                if (inner?.querySelectorAll) visit(inner);
+            });
+        };
+
+        visit(context);
+        return roots;
+    }
+
     /**
      * Clear cache
      */
@@ -73,19 +100,21 @@ class OptimizedFieldDetector {
      * Find fields by label text
      */
     findFieldsByLabel(text, context = document) {
-        const labels = context.querySelectorAll('label');
         const fields = [];
 
-        labels.forEach(label => {
-            if (label.textContent.toLowerCase().includes(text.toLowerCase())) {
-                const forId = label.getAttribute('for');
-                if (forId) {
-                    const field = context.getElementById(forId);
-                    if (field && this.isValidField(field)) {
-                        fields.push(field);
+        // Labels only point at fields in their own document or shadow root
+        this.getSearchRoots(context).forEach(root => {
+            root.querySelectorAll('label').forEach(label => {
+                if (label.textContent.toLowerCase().includes(text.toLowerCase())) {
+                    const forId = label.getAttribute('for');
+                    if (forId) {
+                        const field = root.getElementById(forId);
+                        if (field && this.isValidField(field)) {
+                            fields.push(field);
+                        }
                     }
                 }
-            }
+            });
         });
 
         return fields;
@@ -0,0 +1,195 @@
+/**
+ * Framework-safe fill engine for Social Filler Pro
+ *
+ * Writes values through the native prototype setters and replays the
+ * events a typing user would cause, so controlled inputs in React, Vue
+ * and Angular keep the value instead of reverting it on the next render.
+ *
+ * @version 7.1
+ * @author Social Filler Pro Team
+ */
+
+'use strict';
+
+import { richTextAdapters } from './rich-text-adapters.js';
+
+export class FillEngine {
+    /**
+     * Set an element's value through its prototype's native setter,
+     * bypassing any instance-level setter a framework installed
+     * @param {HTMLElement} element - Input, textarea or select
+     * @param {string} value - New value
+     */
+    static setNativeValue(element, value) {
+        const prototype = Object.getPrototypeOf(element);
+        const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+        if (setter) {
+            setter.call(element, value);
+        } else {
+            element.value = value;
+        }
+    }
+
+    /**
+     * Set checked state through the native setter
+     * @param {HTMLInputElement} element - Checkbox or radio
+     * @param {boolean} checked - New state
+     */
+    static setNativeChecked(element, checked) {
+        const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'checked')?.set;
+        if (setter) {
+            setter.call(element, checked);
+        } else {
+            element.checked = checked;
+        }
+    }
+
+    /**
+     * Fill a field the way a user would and check that the value held
+     * @param {HTMLElement} element - Field to fill
+     * @param {*} value - Value to write; booleans for checkboxes
+     * @returns {Promise<boolean>} Whether the field kept the value
+     */
+    async fill(element, value) {
+        if (!element || element.disabled || element.readOnly) {
+            return false;
+        }
+
+        // Editors keep their text in an editable area, not in a value
+        if (richTextAdapters.isRichText(element)) {
+            return richTextAdapters.fill(element, value);
+        }
+
+        const expected = this.applyValue(element, value);
+        if (expected === null) {
+            return false;
+        }
+
+        // Frameworks re-render after the events; give them a tick
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (this.readValue(element) === expected) {
+            return true;
+        }
+
+        // One retry covers inputs that reset on the first render
+        this.applyValue(element, value);
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const stuck = this.readValue(element) === expected;
+        if (!stuck) {
+            console.warn('Field did not keep filled value:', element.name || element.id || element);
+        }
+        return stuck;
+    }
+
+    /**
+     * Write a value with the full event sequence
+     * @private
+     * @param {HTMLElement} element - Field to fill
+     * @param {*} value - Value to write
+     * @returns {string|boolean|null} State readValue should report afterwards,
+     *     or null if the value does not apply to the field
+     */
+    applyValue(element, value) {
+        const type = element.type;
+
+        if (type === 'checkbox' || type === 'radio') {
+            const checked = type === 'checkbox'
+                ? value === true || value === 'true'
+                : element.value === String(value);
+            if (type === 'radio' && !checked) {
+                return null;
+            }
+
+            if (element.checked !== checked) {
+                this.focus(element);
+                // A real click lets frameworks see the change the way they expect
+                element.click();
+                if (element.checked !== checked) {
+                    FillEngine.setNativeChecked(element, checked);
+                    this.dispatch(element, 'input');
+                    this.dispatch(element, 'change');
+                }
+                this.blur(element);
+            }
+            return checked;
+        }
+
+        const text = String(value ?? '');
+
+        if (element.tagName === 'SELECT') {
+            if (!Array.from(element.options).some(option => option.value === text)) {
+                return null;
+            }
+            this.focus(element);
+            FillEngine.setNativeValue(element, text);
+            this.dispatch(element, 'input');
+            this.dispatch(element, 'change');
+            this.blur(element);
+            return text;
+        }
+
+        this.focus(element);
+        element.dispatchEvent(new KeyboardEvent('keydown', {
+            key: text.slice(-1) || 'Unidentified',
+            bubbles: true,
+            cancelable: true
+        }));
+        FillEngine.setNativeValue(element, text);
+        element.dispatchEvent(new InputEvent('input', {
+            inputType: 'insertText',
+            data: text,
+            bubbles: true
+        }));
+        element.dispatchEvent(new KeyboardEvent('keyup', {
+            key: text.slice(-1) || 'Unidentified',
+            bubbles: true
+        }));
+        this.dispatch(element, 'change');
+        this.blur(element);
+        return text;
+    }
+
+    /**
+     * @private
+     */
+    readValue(element) {
+        return element.type === 'checkbox' || element.type === 'radio'
+            ? element.checked
+            : element.value;
+    }
+
+    /**
+     * @private
+     */
+    focus(element) {
+        element.focus({ preventScroll: true });
+        // Background tabs never receive real focus events
+        if (document.activeElement !== element) {
+            element.dispatchEvent(new FocusEvent('focus'));
+            element.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+        }
+    }
+
+    /**
+     * @private
+     */
+    blur(element) {
+        if (document.activeElement === element) {
+            element.blur();
+        } else {
+            element.dispatchEvent(new FocusEvent('blur'));
+            element.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+        }
+    }
+
+    /**
+     * @private
+     */
+    dispatch(element, type) {
+        element.dispatchEvent(new Event(type, { bubbles: true }));
+    }
+}
+
+// Export singleton instance
+export const fillEngine = new FillEngine();
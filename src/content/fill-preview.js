@@ -0,0 +1,258 @@
+/**
+ * Fill preview overlay for Social Filler Pro
+ *
+ * Shows the value each field would receive and why it was matched,
+ * and lets the user accept or reject fields before anything is written.
+ *
+ * @version 7.1
+ * @author Social Filler Pro Team
+ */
+
+'use strict';
+
+import { SelectorUtils } from '../common/selectorUtils.js';
+
+const PREVIEW_ID = 'sfp-fill-preview';
+
+const DECISION_STYLES = {
+    pending: '#4A6FFF',
+    accepted: '#28a745',
+    rejected: '#dc3545'
+};
+
+export class FillPreview {
+    constructor() {
+        this.entries = [];
+        this.resolve = null;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    /**
+     * Show proposed values and wait for the user's decisions
+     * @param {Object} data - Values keyed by selector
+     * @param {Object} [reasons] - Match reasons keyed by selector
+     * @returns {Promise<Object>} Accepted values keyed by selector
+     */
+    show(data, reasons = {}) {
+        // A newer fill replaces any preview still waiting for an answer
+        this.finish(false);
+
+        this.entries = Object.entries(data)
+            .map(([selector, value]) => ({
+                selector,
+                value,
+                reason: reasons[selector] || '',
+                field: this.findField(selector),
+                decision: 'pending'
+            }))
+            .filter(entry => entry.field);
+
+        if (this.entries.length === 0) {
+            return Promise.resolve({});
+        }
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+            this.render();
+            document.addEventListener('keydown', this.handleKeydown, true);
+        });
+    }
+
+    /**
+     * @private
+     */
+    findField(selector) {
+        try {
+            return SelectorUtils.querySelector(selector);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    render() {
+        const container = document.createElement('div');
+        container.id = PREVIEW_ID;
+
+        this.entries.forEach(entry => {
+            entry.card = this.createCard(entry);
+            container.appendChild(entry.card);
+        });
+
+        container.appendChild(this.createToolbar());
+        document.body.appendChild(container);
+    }
+
+    /**
+     * Build the card shown under a field
+     * @private
+     */
+    createCard(entry) {
+        const rect = entry.field.getBoundingClientRect();
+
+        const card = document.createElement('div');
+        card.style.cssText = `
+            position: absolute;
+            top: ${rect.bottom + window.scrollY + 2}px;
+            left: ${Math.max(4, rect.left + window.scrollX)}px;
+            z-index: 2147483646;
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            max-width: 360px;
+            padding: 4px 6px;
+            background: #fff;
+            border: 2px solid ${DECISION_STYLES.pending};
+            border-radius: 4px;
+            box-shadow: 0 2px 6px rgba(0,0,0,0.15);
+            font: 12px/1.3 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            color: #333;
+        `;
+
+        const text = document.createElement('div');
+        text.style.cssText = 'flex: 1; min-width: 0;';
+
+        const value = document.createElement('div');
+        const valueText = String(entry.value);
+        value.textContent = valueText.length > 60 ? valueText.slice(0, 60) + '…' : valueText;
+        value.title = valueText;
+        value.style.cssText = 'font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+
+        const reason = document.createElement('div');
+        reason.textContent = entry.reason;
+        reason.style.cssText = 'color: #777; font-size: 11px;';
+
+        text.append(value, reason);
+
+        const accept = this.createButton('✓', 'Accept this value');
+        accept.addEventListener('click', () => this.decide(entry, 'accepted'));
+
+        const reject = this.createButton('✕', 'Skip this field');
+        reject.addEventListener('click', () => this.decide(entry, 'rejected'));
+
+        card.append(text, accept, reject);
+        return card;
+    }
+
+    /**
+     * @private
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.style.cssText = `
+            position: fixed;
+            bottom: 16px;
+            right: 16px;
+            z-index: 2147483647;
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 10px 14px;
+            background: #fff;
+            border: 1px solid #4A6FFF;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.25);
+            font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            color: #333;
+        `;
+
+        const label = document.createElement('span');
+        label.textContent = `Review ${this.entries.length} field(s)`;
+
+        const acceptAll = this.createButton('Accept all', 'Fill every field');
+        acceptAll.addEventListener('click', () => this.decideAll('accepted'));
+
+        const rejectAll = this.createButton('Reject all', 'Fill nothing');
+        rejectAll.addEventListener('click', () => this.decideAll('rejected'));
+
+        this.applyButton = this.createButton('', 'Fill accepted fields and skip the rest');
+        this.applyButton.addEventListener('click', () => this.finish(true));
+        this.updateApplyButton();
+
+        toolbar.append(label, acceptAll, rejectAll, this.applyButton);
+        return toolbar;
+    }
+
+    /**
+     * @private
+     */
+    createButton(text, title) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.title = title;
+        button.style.cssText = `
+            padding: 3px 8px;
+            border: 1px solid #ccc;
+            border-radius: 4px;
+            background: #f8f9fa;
+            color: #333;
+            font: inherit;
+            cursor: pointer;
+        `;
+        return button;
+    }
+
+    /**
+     * @private
+     */
+    decide(entry, decision) {
+        entry.decision = decision;
+        entry.card.style.borderColor = DECISION_STYLES[decision];
+        entry.card.style.opacity = decision === 'rejected' ? '0.6' : '1';
+        this.updateApplyButton();
+    }
+
+    /**
+     * @private
+     */
+    decideAll(decision) {
+        this.entries.forEach(entry => this.decide(entry, decision));
+        this.finish(true);
+    }
+
+    /**
+     * @private
+     */
+    updateApplyButton() {
+        const accepted = this.entries.filter(entry => entry.decision === 'accepted').length;
+        this.applyButton.textContent = `Apply (${accepted})`;
+    }
+
+    /**
+     * @private
+     */
+    handleKeydown(event) {
+        if (event.key === 'Escape') {
+            this.finish(false);
+        }
+    }
+
+    /**
+     * Remove the overlay and resolve with the accepted values
+     * @private
+     * @param {boolean} apply - Whether accepted values should be written
+     */
+    finish(apply) {
+        if (!this.resolve) return;
+
+        const accepted = {};
+        if (apply) {
+            this.entries
+                .filter(entry => entry.decision === 'accepted')
+                .forEach(entry => {
+                    accepted[entry.selector] = entry.value;
+                });
+        }
+
+        document.removeEventListener('keydown', this.handleKeydown, true);
+        document.getElementById(PREVIEW_ID)?.remove();
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        this.entries = [];
+        resolve(accepted);
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * Fill session tracking for Social Filler Pro
+ *
+ * Keeps multi-step submissions in step: reports the visible fields to the
+ * background, which matches them to a step of the tab's session, and
+ * remembers which fields were filled so rescans and later visits to a step
+ * leave them alone.
+ *
+ * @version 7.1
+ * @author Social Filler Pro Team
+ */
+
+'use strict';
+
+import { MESSAGE_TYPES } from '../common/constants.js';
+import { messageService } from '../common/messageService.js';
+import { DomWalker } from '../common/domWalker.js';
+
+// Field types that never hold profile data
+const IGNORED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file', 'password'];
+
+// Elements whose text may say "Step 2 of 4"
+const PROGRESS_SELECTORS = 'h1, h2, h3, h4, legend, [role="progressbar"], [class*="step" i], [class*="progress" i]';
+
+export class FillSession {
+    constructor() {
+        // Filled in this document, including fields without a stable key
+        this.filledElements = new WeakSet();
+        this.step = null;
+        this.lastReportedFields = null;
+    }
+
+    /**
+     * Key that identifies a field across page loads
+     * @param {HTMLElement} field - Form field
+     * @returns {string|null} Key, or null if the field has nothing stable to go by
+     */
+    static getFieldKey(field) {
+        const name = field.getAttribute('name') || field.id ||
+            field.getAttribute('aria-label') || field.getAttribute('placeholder');
+        if (!name) return null;
+
+        const type = field.tagName === 'INPUT' ? (field.type || 'text') : field.tagName.toLowerCase();
+        return `${type}:${name}`;
+    }
+
+    /**
+     * Step progress shown by the page itself, if any
+     * @returns {{current: number, total: number}|null} Page's own progress
+     */
+    static detectProgress() {
+        const current = document.querySelector('[aria-current="step"]');
+        if (current?.parentElement) {
+            const steps = Array.from(current.parentElement.children);
+            if (steps.length > 1) {
+                return { current: steps.indexOf(current) + 1, total: steps.length };
+            }
+        }
+
+        for (const element of document.querySelectorAll(PROGRESS_SELECTORS)) {
+            const match = element.textContent.match(/step\s+(\d+)\s*(?:of|\/)\s*(\d+)/i);
+            if (match && Number(match[1]) <= Number(match[2])) {
+                return { current: Number(match[1]), total: Number(match[2]) };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether fields were shown or hidden since the last report
+     * @returns {boolean} True if the visible fields changed
+     */
+    hasNewFields() {
+        return this.getVisibleFieldKeys().join('\n') !== this.lastReportedFields;
+    }
+
+    /**
+     * Report the visible fields and load what was already filled on this step
+     * @returns {Promise<Object|null>} Current step, or null outside a session
+     */
+    async enterStep() {
+        return this.report([]);
+    }
+
+    /**
+     * Whether a field should be left alone: filled before in this session,
+     * or given a value by the user or the page
+     * @param {HTMLElement} field - Form field
+     * @returns {boolean} True if the field is already filled
+     */
+    isFilled(field) {
+        if (this.filledElements.has(field)) return true;
+
+        const key = FillSession.getFieldKey(field);
+        if (key && this.step?.filled.includes(key)) return true;
+
+        if (field.type === 'checkbox' || field.type === 'radio') return false;
+        if (field.isContentEditable) return field.textContent.trim() !== '';
+        if (field.tagName === 'SELECT') {
+            // The first option is the placeholder on nearly every directory form
+            return field.value !== '' && field.selectedIndex > 0;
+        }
+        return String(field.value || '').trim() !== '';
+    }
+
+    /**
+     * Remember fields filled in this document and report them to the session
+     * @param {Array<HTMLElement>} fields - Fields that were filled
+     */
+    async recordFilled(fields) {
+        fields.forEach(field => this.filledElements.add(field));
+
+        const keys = fields.map(field => FillSession.getFieldKey(field)).filter(Boolean);
+        if (keys.length > 0) {
+            await this.report(keys);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async report(filled) {
+        const fields = this.getVisibleFieldKeys();
+        this.lastReportedFields = fields.join('\n');
+
+        try {
+            const result = await messageService.sendMessage(MESSAGE_TYPES.FILL_SESSION_UPDATE, {
+                url: window.location.href,
+                fields,
+                filled,
+                progress: FillSession.detectProgress()
+            });
+            this.step = result?.step || null;
+        } catch (error) {
+            // Without the background, fields are still tracked in this document
+            console.debug('Fill session not updated:', error.message);
+        }
+        return this.step;
+    }
+
+    /**
+     * @private
+     */
+    getVisibleFieldKeys() {
+        const keys = DomWalker.querySelectorAll('input, select, textarea')
+            .filter(field => !IGNORED_TYPES.includes(field.type) &&
+                !field.closest('[data-sfp-ui]') &&
+                field.getClientRects().length > 0)
+            .map(field => FillSession.getFieldKey(field))
+            .filter(Boolean);
+        return [...new Set(keys)];
+    }
+}
+
+// Export singleton instance
+export const fillSession = new FillSession();
@@ -0,0 +1,148 @@
+/**
+ * Fill snapshots for Social Filler Pro
+ *
+ * Records each field's state before the extension changes it, so the
+ * last autofill can be undone exactly.
+ *
+ * @version 7.1
+ * @author Social Filler Pro Team
+ */
+
+'use strict';
+
+import { EditorDetector } from '../common/editorDetector.js';
+import { FillEngine } from './fill-engine.js';
+import { richTextAdapters } from './rich-text-adapters.js';
+
+// Records closer together than this belong to the same autofill
+const SESSION_GAP_MS = 5000;
+
+// Older fills are dropped; only the most recent ones can be undone
+const MAX_SESSIONS = 5;
+
+export class FillSnapshot {
+    constructor() {
+        this.sessions = [];
+        this.lastRecordAt = 0;
+    }
+
+    /**
+     * Save a field's state before it is filled. Only the first state seen
+     * in a fill is kept, so repeated fills of one field still undo to the original.
+     * @param {HTMLElement} element - Field about to change
+     */
+    record(element) {
+        if (!element) return;
+
+        const now = Date.now();
+        if (this.sessions.length === 0 || now - this.lastRecordAt > SESSION_GAP_MS) {
+            this.sessions.push(new Map());
+            if (this.sessions.length > MAX_SESSIONS) {
+                this.sessions.shift();
+            }
+        }
+        this.lastRecordAt = now;
+
+        const session = this.sessions[this.sessions.length - 1];
+
+        // Checking one radio clears the rest of its group, so keep them all
+        const elements = element.type === 'radio' && element.name
+            ? Array.from((element.form || element.getRootNode()).querySelectorAll(
+                `input[type="radio"][name="${CSS.escape(element.name)}"]`))
+            : [element];
+
+        elements.forEach(field => {
+            if (!session.has(field)) {
+                session.set(field, this.captureState(field));
+            }
+        });
+    }
+
+    /**
+     * Restore the most recent fill that still differs from the page
+     * @returns {number} Number of fields restored
+     */
+    undo() {
+        while (this.sessions.length > 0) {
+            const session = this.sessions.pop();
+            const changed = Array.from(session.entries())
+                .filter(([field, state]) => field.isConnected && this.hasChanged(field, state));
+
+            if (changed.length > 0) {
+                changed.forEach(([field, state]) => this.restoreState(field, state));
+                this.lastRecordAt = 0;
+                return changed.length;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Check whether any fill can be undone
+     * @returns {boolean} Whether undo would restore something
+     */
+    canUndo() {
+        return this.sessions.some(session => Array.from(session.entries())
+            .some(([field, state]) => field.isConnected && this.hasChanged(field, state)));
+    }
+
+    /**
+     * @private
+     */
+    captureState(field) {
+        // Rich text editors show their content in an editable area, not a value
+        const editable = EditorDetector.detect(field)?.editable;
+        return {
+            value: field.value,
+            checked: field.checked,
+            selectedIndex: field.selectedIndex,
+            selected: field.options ? Array.from(field.options, option => option.selected) : null,
+            html: editable ? editable.innerHTML : null
+        };
+    }
+
+    /**
+     * @private
+     */
+    hasChanged(field, state) {
+        const current = this.captureState(field);
+        return current.value !== state.value ||
+            current.checked !== state.checked ||
+            current.selectedIndex !== state.selectedIndex ||
+            current.html !== state.html ||
+            JSON.stringify(current.selected) !== JSON.stringify(state.selected);
+    }
+
+    /**
+     * Put a field back and let page frameworks know it changed
+     * @private
+     */
+    restoreState(field, state) {
+        if (state.html !== null) {
+            // Editors keep their own model, so they are set through their adapter
+            richTextAdapters.restore(field, state.html)
+                .catch(error => console.warn('Failed to restore rich text editor:', error));
+            // A hidden textarea behind the editor is put back as well
+            if (field.tagName !== 'TEXTAREA') return;
+        }
+
+        if (state.selected) {
+            Array.from(field.options).forEach((option, index) => {
+                option.selected = !!state.selected[index];
+            });
+            if (!field.multiple) {
+                field.selectedIndex = state.selectedIndex;
+            }
+        } else if (field.type === 'checkbox' || field.type === 'radio') {
+            FillEngine.setNativeChecked(field, state.checked);
+        } else {
+            FillEngine.setNativeValue(field, state.value);
+        }
+
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+}
+
+// Export singleton instance
+export const fillSnapshot = new FillSnapshot();
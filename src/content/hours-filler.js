@@ -0,0 +1,300 @@
+/**
+ * Business hours filler for Social Filler Pro
+ *
+ * Directories ask for opening hours either as a weekday grid, a row per
+ * day with open and close selects or time inputs and often a "closed"
+ * checkbox, or as one free-text field. Grids are filled day by day from
+ * the profile's weekly hours; single fields get the hours as text.
+ *
+ * @version 7.1
+ * @author Social Filler Pro Team
+ */
+
+'use strict';
+
+import { BusinessHours } from '../common/businessHours.js';
+import { DomWalker } from '../common/domWalker.js';
+import { fillEngine } from './fill-engine.js';
+import { fillSnapshot } from './fill-snapshot.js';
+
+// Fewer day rows than this is not a weekly grid
+const MIN_GRID_DAYS = 5;
+
+// How many ancestors up from a field its day label may sit
+const ROW_SEARCH_DEPTH = 4;
+
+const GRID_FIELD_SELECTOR = 'select, input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="radio"])';
+
+const TEXT_FIELD_SELECTOR = 'textarea, input[type="text"], input:not([type])';
+
+const HOURS_FIELD_PATTERN = /\bhours\b|opening times|open times|hours of operation/i;
+
+// Mention hours without asking for opening hours
+const NOT_HOURS_PATTERN = /per week|hours worked|response time|hourly/i;
+
+const ALL_DAY_OPTION_PATTERN = /24\s*h|24\s*hours|open 24|all day/i;
+
+// Forms with no "open 24 hours" option get the whole day as a period
+const ALL_DAY_PERIOD = { open: '00:00', close: '23:59' };
+
+export class HoursFiller {
+    constructor() {
+        // Filled fields are left alone when the page changes and the filler runs again
+        this.filled = new WeakSet();
+    }
+
+    /**
+     * Fill the page's weekday grid, or its free-text hours fields
+     * @param {Object} hours - Weekly hours from the profile
+     * @returns {Promise<number>} Number of fields filled
+     */
+    async fill(hours) {
+        if (!BusinessHours.isSet(hours)) return 0;
+
+        const grid = this.findGrid();
+        let filledCount = 0;
+        for (const [day, fields] of grid) {
+            filledCount += await this.fillDay(fields, hours[day]);
+        }
+
+        const gridFields = new Set([...grid.values()].flat());
+        for (const field of this.findTextFields(gridFields)) {
+            const separator = field.tagName === 'TEXTAREA' ? '\n' : '; ';
+            filledCount += await this.set(field, BusinessHours.format(hours, { separator }));
+        }
+        return filledCount;
+    }
+
+    /**
+     * Fields of a weekday grid, grouped by the day each row belongs to
+     * @private
+     * @returns {Map<string, Array<HTMLElement>>} Fields by day; empty when the page has no grid
+     */
+    findGrid() {
+        const grid = new Map();
+        DomWalker.querySelectorAll(GRID_FIELD_SELECTOR).forEach(field => {
+            if (field.disabled || field.closest('[data-sfp-ui]') || this.isDayPicker(field)) return;
+
+            const day = this.getFieldDay(field);
+            if (!day) return;
+            if (!grid.has(day)) grid.set(day, []);
+            grid.get(day).push(field);
+        });
+        return grid.size >= MIN_GRID_DAYS ? grid : new Map();
+    }
+
+    /**
+     * Day a field's row is for: named in its attributes or label, or in
+     * the nearest ancestor that names exactly one day
+     * @private
+     */
+    getFieldDay(field) {
+        const own = BusinessHours.findDay(this.describe(field));
+        if (own) return own;
+
+        let ancestor = field.parentElement;
+        for (let depth = 0; ancestor && depth < ROW_SEARCH_DEPTH; depth++) {
+            const days = BusinessHours.findDays(this.getRowText(ancestor));
+            if (days.length === 1) return days[0];
+            // Past the row: the ancestor spans several days
+            if (days.length > 1) return null;
+            ancestor = ancestor.parentElement;
+        }
+        return null;
+    }
+
+    /**
+     * Fill one day's row
+     * @private
+     */
+    async fillDay(fields, schedule) {
+        const { CLOSED, ALL_DAY } = BusinessHours.STATUSES;
+        const status = schedule?.status || CLOSED;
+        const roles = this.classify(fields);
+        let filledCount = 0;
+
+        if (roles.closed) filledCount += await this.set(roles.closed, status === CLOSED);
+        if (roles.open) filledCount += await this.set(roles.open, status !== CLOSED);
+        if (roles.allDay) filledCount += await this.set(roles.allDay, status === ALL_DAY);
+
+        const statusOption = roles.status && this.findStatusOption(roles.status, status);
+        if (statusOption) filledCount += await this.set(roles.status, statusOption.value);
+
+        if (status === CLOSED) {
+            // Some grids offer "Closed" in the time selects themselves
+            for (const field of roles.times.filter(time => time.tagName === 'SELECT')) {
+                const option = Array.from(field.options).find(item => BusinessHours.CLOSED_PATTERN.test(item.text));
+                if (option) filledCount += await this.set(field, option.value);
+            }
+            return filledCount;
+        }
+
+        let periods = schedule.periods || [];
+        if (status === ALL_DAY) {
+            if (roles.allDay || (statusOption && ALL_DAY_OPTION_PATTERN.test(statusOption.text))) {
+                return filledCount;
+            }
+            periods = [ALL_DAY_PERIOD];
+        }
+        if (periods.length === 0) return filledCount;
+
+        // A row without break fields gets the day from first opening to last closing
+        if (periods.length * 2 > roles.times.length) {
+            periods = [{ open: periods[0].open, close: periods[periods.length - 1].close }];
+        }
+
+        const times = periods.flatMap(period => [period.open, period.close]);
+        for (let i = 0; i < times.length && i < roles.times.length; i++) {
+            const value = this.toFieldTime(roles.times[i], times[i]);
+            if (value !== null) filledCount += await this.set(roles.times[i], value);
+        }
+        return filledCount;
+    }
+
+    /**
+     * Sort a row's fields into checkboxes, a status select and time fields
+     * @private
+     */
+    classify(fields) {
+        const roles = { open: null, closed: null, allDay: null, status: null, times: [] };
+
+        fields.forEach(field => {
+            const text = this.describe(field);
+            if (field.type === 'checkbox') {
+                if (BusinessHours.CLOSED_PATTERN.test(text)) roles.closed = roles.closed || field;
+                else if (ALL_DAY_OPTION_PATTERN.test(text)) roles.allDay = roles.allDay || field;
+                else roles.open = roles.open || field;
+            } else if (field.tagName === 'SELECT' && !this.hasTimeOptions(field)) {
+                roles.status = roles.status || field;
+            } else {
+                roles.times.push(field);
+            }
+        });
+        return roles;
+    }
+
+    /**
+     * Option of a status select matching a day's status
+     * @private
+     */
+    findStatusOption(select, status) {
+        const { CLOSED, ALL_DAY } = BusinessHours.STATUSES;
+        const options = Array.from(select.options).filter(option => option.value !== '');
+        if (status === CLOSED) {
+            return options.find(option => BusinessHours.CLOSED_PATTERN.test(option.text)) || null;
+        }
+        if (status === ALL_DAY) {
+            const allDay = options.find(option => ALL_DAY_OPTION_PATTERN.test(option.text));
+            if (allDay) return allDay;
+        }
+        return options.find(option => /\bopen\b/i.test(option.text) && !ALL_DAY_OPTION_PATTERN.test(option.text)) || null;
+    }
+
+    /**
+     * A time as the field takes it
+     * @private
+     * @param {HTMLElement} field - Time input, time select or text input
+     * @param {string} time - "HH:MM"
+     * @returns {string|null} Value, or null when a select has no such time
+     */
+    toFieldTime(field, time) {
+        if (field.type === 'time') return time;
+
+        const minutes = BusinessHours.toMinutes(time);
+        if (field.tagName === 'SELECT') {
+            const option = Array.from(field.options).find(item =>
+                BusinessHours.toMinutes(item.value) === minutes || BusinessHours.toMinutes(item.text) === minutes);
+            return option ? option.value : null;
+        }
+
+        // A 24-hour example such as "17:00" or "HH:MM" asks for 24-hour time
+        const hint = field.getAttribute('placeholder') || '';
+        const clock = /\b(?:1[3-9]|2[0-3]):\d{2}\b|HH:MM/.test(hint) && !/[ap]m/i.test(hint) ? 24 : 12;
+        return BusinessHours.formatTime(time, clock);
+    }
+
+    /**
+     * Free-text fields asking for opening hours
+     * @private
+     */
+    findTextFields(gridFields) {
+        return DomWalker.querySelectorAll(TEXT_FIELD_SELECTOR).filter(field => {
+            if (gridFields.has(field) || field.value || field.disabled || field.readOnly ||
+                field.closest('[data-sfp-ui]')) {
+                return false;
+            }
+            const text = this.describe(field);
+            return HOURS_FIELD_PATTERN.test(text) && !NOT_HOURS_PATTERN.test(text);
+        });
+    }
+
+    /**
+     * Whether a select lists times rather than statuses
+     * @private
+     */
+    hasTimeOptions(select) {
+        const options = Array.from(select.options).filter(option => option.value !== '');
+        const times = options.filter(option =>
+            BusinessHours.toMinutes(option.value) !== null || BusinessHours.toMinutes(option.text) !== null);
+        return options.length > 0 && times.length >= options.length / 2;
+    }
+
+    /**
+     * A select of weekdays picks a day; it is not a day's row
+     * @private
+     */
+    isDayPicker(field) {
+        return field.tagName === 'SELECT' &&
+            BusinessHours.findDays(Array.from(field.options, option => option.text).join(' ')).length >= MIN_GRID_DAYS;
+    }
+
+    /**
+     * Text identifying a field: attributes plus its labels
+     * @private
+     */
+    describe(field) {
+        return [
+            field.name,
+            field.id,
+            field.getAttribute('aria-label'),
+            field.getAttribute('placeholder'),
+            ...Array.from(field.labels || [], label => label.textContent)
+        ].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Visible text of a row, without the option lists of its selects
+     * @private
+     */
+    getRowText(element) {
+        const doc = element.ownerDocument;
+        const walker = doc.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement?.closest('select, option, script, style')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+
+        const parts = [];
+        while (walker.nextNode()) {
+            parts.push(walker.currentNode.textContent);
+        }
+        return parts.join(' ');
+    }
+
+    /**
+     * Fill a field once, recording it for undo
+     * @private
+     */
+    async set(field, value) {
+        if (this.filled.has(field)) return 0;
+
+        fillSnapshot.record(field);
+        if (!(await fillEngine.fill(field, value))) return 0;
+
+        this.filled.add(field);
+        return 1;
+    }
+}
+
+// Export singleton instance
+export const hoursFiller = new HoursFiller();
@@ -0,0 +1,229 @@
+/**
+ * Rich text editor adapters for Social Filler Pro
+ *
+ * Description fields are often TinyMCE, CKEditor or Quill editors, or a
+ * bare contenteditable element, none of which read a textarea's value.
+ * Known editors are filled through their own API, which lives in the
+ * page's main world and is reached through the background; anything else
+ * is typed in with the browser's editing commands so editors keep their
+ * model in step. Paragraphs are kept and visible character counters respected.
+ *
+ * @version 7.1
+ * @author Social Filler Pro Team
+ */
+
+'use strict';
+
+import { MESSAGE_TYPES } from '../common/constants.js';
+import { messageService } from '../common/messageService.js';
+import { EditorDetector } from '../common/editorDetector.js';
+import { FieldConstraints } from '../common/fieldConstraints.js';
+import { TextFitter } from '../common/textFitter.js';
+
+// Marks the element the main-world script should look up; attributes are
+// the only thing both worlds can see
+const EDITOR_TOKEN_ATTRIBUTE = 'data-sfp-editor';
+
+// Enough of the text to recognize it in the editor afterwards
+const VERIFY_LENGTH = 20;
+
+/**
+ * Types into any contenteditable element
+ */
+export class ContentEditableAdapter {
+    /**
+     * Replace an editor's content
+     * @param {Object} editor - Editor from EditorDetector.detect()
+     * @param {string} text - Plain text, paragraphs separated by blank lines
+     * @param {string} html - The same text as paragraphs
+     * @returns {Promise<boolean>} Whether the text is in the editor afterwards
+     */
+    async insert(editor, text, html) {
+        const editable = editor.editable;
+        if (!editable) return false;
+
+        const doc = editable.ownerDocument;
+        editable.focus({ preventScroll: true });
+
+        const range = doc.createRange();
+        range.selectNodeContents(editable);
+        const selection = doc.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        // The browser's own command fires trusted beforeinput and input
+        // events, which editors built on contenteditable listen to
+        let inserted = false;
+        try {
+            inserted = doc.execCommand('insertHTML', false, html);
+        } catch {
+            inserted = false;
+        }
+
+        if (!inserted) {
+            editable.innerHTML = html;
+            editable.dispatchEvent(new InputEvent('input', {
+                inputType: 'insertFromPaste',
+                bubbles: true
+            }));
+        }
+        editable.dispatchEvent(new FocusEvent('blur'));
+        editable.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+
+        // Editors re-render after the events; give them a tick
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return ContentEditableAdapter.contains(editable, text);
+    }
+
+    /**
+     * Whether an editable element shows the start of a text
+     * @param {HTMLElement} editable - Editable element
+     * @param {string} text - Expected text
+     * @returns {boolean} True if the text landed
+     */
+    static contains(editable, text) {
+        const squash = value => String(value || '').replace(/\s+/g, ' ').trim();
+        return squash(editable.textContent).includes(squash(text).slice(0, VERIFY_LENGTH));
+    }
+}
+
+/**
+ * Fills TinyMCE, CKEditor and Quill through their own API, typing into the
+ * editable area when the API cannot be reached
+ */
+export class EditorApiAdapter extends ContentEditableAdapter {
+    async insert(editor, text, html) {
+        if (await this.callEditorApi(editor, html)) {
+            return true;
+        }
+        return super.insert(editor, text, html);
+    }
+
+    /**
+     * @private
+     */
+    async callEditorApi(editor, html) {
+        const target = this.getApiTarget(editor);
+        if (!target) return false;
+
+        const token = 'editor_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        target.setAttribute(EDITOR_TOKEN_ATTRIBUTE, token);
+        try {
+            return await messageService.sendMessage(MESSAGE_TYPES.EDITOR_FILL, {
+                token,
+                kind: editor.kind,
+                html
+            }) === true;
+        } catch (error) {
+            console.debug('Editor API not reachable, typing instead:', error.message);
+            return false;
+        } finally {
+            target.removeAttribute(EDITOR_TOKEN_ATTRIBUTE);
+        }
+    }
+
+    /**
+     * Element each editor's API is looked up by
+     * @private
+     */
+    getApiTarget(editor) {
+        switch (editor.kind) {
+            case EditorDetector.KINDS.TINYMCE:
+            case EditorDetector.KINDS.CKEDITOR4:
+                return editor.source;
+            case EditorDetector.KINDS.CKEDITOR5:
+                return editor.editable;
+            case EditorDetector.KINDS.QUILL:
+                return editor.host;
+            default:
+                return null;
+        }
+    }
+}
+
+/**
+ * Registry choosing the adapter for an editor
+ */
+export class RichTextAdapters {
+    constructor() {
+        this.apiAdapter = new EditorApiAdapter();
+        this.contentEditableAdapter = new ContentEditableAdapter();
+    }
+
+    /**
+     * Whether an element is part of a rich text editor
+     * @param {HTMLElement} element - Field to check
+     * @returns {boolean} True for editor textareas and editable elements
+     */
+    isRichText(element) {
+        return EditorDetector.detect(element) !== null;
+    }
+
+    /**
+     * Fill an editor with text, keeping its paragraphs
+     * @param {HTMLElement} element - Editor textarea, container or editable element
+     * @param {string} value - Plain text; blank lines separate paragraphs
+     * @returns {Promise<boolean>} Whether the editor took the text
+     */
+    async fill(element, value) {
+        const editor = EditorDetector.detect(element);
+        if (!editor) return false;
+
+        const text = TextFitter.trim(value ?? '', FieldConstraints.read(element));
+        if (!text) return false;
+
+        const inserted = await this.getAdapter(editor).insert(editor, text, RichTextAdapters.toHtml(text));
+        if (!inserted) {
+            console.warn('Rich text editor did not keep filled text:', editor.kind, element);
+        }
+        return inserted;
+    }
+
+    /**
+     * Put back content an editor had before, such as when a fill is undone
+     * @param {HTMLElement} element - Editor textarea, container or editable element
+     * @param {string} html - Earlier content of the editable area
+     * @returns {Promise<boolean>} Whether the editor took the content
+     */
+    async restore(element, html) {
+        const editor = EditorDetector.detect(element);
+        if (!editor) return false;
+
+        // Parsed inert, so the page's old markup runs no handlers here
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        return this.getAdapter(editor).insert(editor, template.content.textContent, html);
+    }
+
+    /**
+     * @private
+     */
+    getAdapter(editor) {
+        return editor.kind === EditorDetector.KINDS.CONTENTEDITABLE
+            ? this.contentEditableAdapter
+            : this.apiAdapter;
+    }
+
+    /**
+     * Turn plain text into paragraphs; single line breaks stay line breaks
+     * @param {string} text - Plain text
+     * @returns {string} HTML
+     */
+    static toHtml(text) {
+        const escape = value => value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        return text
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean)
+            .map(paragraph => `<p>${escape(paragraph).replace(/\n/g, '<br>')}</p>`)
+            .join('');
+    }
+}
+
+// Export singleton instance
+export const richTextAdapters = new RichTextAdapters();
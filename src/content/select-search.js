@@ -0,0 +1,528 @@
+/**
+ * Searchable dropdown overlay for Social Filler Pro
+ *
+ * Adds a search box above any long <select>. Matches are listed with the
+ * matched text highlighted and can be picked with the keyboard; the
+ * select's own options are only hidden, never rebuilt, so page scripts
+ * holding references to them keep working.
+ *
+ * @version 7.1
+ * @author Social Filler Pro Team
+ */
+
+'use strict';
+
+import { STORAGE_KEYS } from '../common/constants.js';
+import { profileDataService } from '../common/profileDataService.js';
+import { categoryMapper } from '../common/categoryMapper.js';
+import { sitePreferencesService } from '../common/sitePreferencesService.js';
+import { fillEngine } from './fill-engine.js';
+import { fillSnapshot } from './fill-snapshot.js';
+
+// Preference name in sitePreferencesService
+const FEATURE = 'selectSearch';
+
+const DEFAULT_MIN_OPTIONS = 30;
+
+// Long lists render slowly; the select still holds every match
+const MAX_RESULTS = 100;
+
+const CONTAINER_CLASS = 'sfp-select-search';
+
+let nextListId = 0;
+
+/**
+ * Search box, result list and suggestion hint for one select
+ */
+class SearchableSelect {
+    /**
+     * @param {HTMLSelectElement} select - Select to enhance
+     * @param {Object} options - Overlay options
+     * @param {Object|null} options.suggestion - Suggested option {text, value, group}
+     * @param {Function} options.onDisable - Called when the user turns the overlay off for the site
+     */
+    constructor(select, { suggestion, onDisable }) {
+        this.select = select;
+        this.suggestion = suggestion;
+        this.onDisable = onDisable;
+        this.results = [];
+        this.activeIndex = -1;
+        this.hiddenBefore = new Map();
+        this.closeTimer = null;
+        this.filterTimer = null;
+    }
+
+    attach() {
+        this.container = document.createElement('div');
+        this.container.className = CONTAINER_CLASS;
+        // Keeps autofill, teach mode and correction tracking off the search box
+        this.container.setAttribute('data-sfp-ui', '');
+        this.container.style.cssText = `
+            position: relative;
+            margin-bottom: 6px;
+            font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        `;
+
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; gap: 4px;';
+
+        const listId = `sfp-select-search-${nextListId++}`;
+
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        this.input.autocomplete = 'off';
+        this.input.placeholder = `🔍 Search ${this.select.options.length} options...`;
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('aria-controls', listId);
+        this.input.style.cssText = `
+            flex: 1;
+            min-width: 0;
+            padding: 6px 10px;
+            border: 2px solid #e1e5e9;
+            border-radius: 6px;
+            font: inherit;
+            box-sizing: border-box;
+            background: #f8f9fa;
+        `;
+
+        const disable = document.createElement('button');
+        disable.type = 'button';
+        disable.textContent = '✕';
+        disable.title = 'Turn off searchable dropdowns on this site';
+        disable.style.cssText = `
+            padding: 0 8px;
+            border: 1px solid #ccc;
+            border-radius: 6px;
+            background: #f8f9fa;
+            color: #666;
+            cursor: pointer;
+        `;
+        disable.addEventListener('click', () => this.onDisable());
+
+        row.append(this.input, disable);
+        this.container.appendChild(row);
+
+        if (this.suggestion) {
+            this.container.appendChild(this.createHint());
+        }
+
+        this.list = document.createElement('div');
+        this.list.id = listId;
+        this.list.setAttribute('role', 'listbox');
+        this.list.style.cssText = `
+            display: none;
+            position: absolute;
+            left: 0;
+            right: 0;
+            z-index: 2147483646;
+            max-height: 260px;
+            overflow-y: auto;
+            background: #fff;
+            border: 1px solid #4A6FFF;
+            border-radius: 6px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+            color: #333;
+        `;
+        this.container.appendChild(this.list);
+
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.filterTimer);
+            this.filterTimer = setTimeout(() => this.filter(this.input.value), 100);
+        });
+        this.input.addEventListener('keydown', event => this.handleKeydown(event));
+        this.input.addEventListener('focus', () => {
+            if (this.input.value.trim()) this.open();
+        });
+        // Delay so a click on a result lands before the list closes
+        this.input.addEventListener('blur', () => {
+            this.closeTimer = setTimeout(() => this.close(), 150);
+        });
+
+        this.select.parentNode.insertBefore(this.container, this.select);
+    }
+
+    /**
+     * Remove the overlay and unhide every option
+     */
+    detach() {
+        clearTimeout(this.closeTimer);
+        clearTimeout(this.filterTimer);
+        this.restoreOptions();
+        this.container?.remove();
+    }
+
+    /**
+     * @private
+     */
+    createHint() {
+        const hint = document.createElement('div');
+        hint.style.cssText = 'margin-top: 3px; color: #666; font-size: 12px;';
+
+        const pick = document.createElement('button');
+        pick.type = 'button';
+        pick.textContent = this.suggestion.text.trim();
+        pick.title = 'Select the suggested category';
+        pick.style.cssText = `
+            padding: 0;
+            border: none;
+            background: none;
+            color: #4A6FFF;
+            font: inherit;
+            font-weight: 600;
+            text-decoration: underline;
+            cursor: pointer;
+        `;
+        pick.addEventListener('click', () => {
+            const option = Array.from(this.select.options)
+                .find(candidate => candidate.value === this.suggestion.value &&
+                    candidate.text.trim() === this.suggestion.text.trim());
+            if (option) this.choose(option);
+        });
+
+        hint.append('Suggested: ', pick);
+        if (this.suggestion.group) {
+            hint.append(` in ${this.suggestion.group}`);
+        }
+        return hint;
+    }
+
+    /**
+     * Hide non-matching options and list the matches
+     * @private
+     */
+    filter(query) {
+        const words = query.toLowerCase().trim().split(/\s+/).filter(Boolean);
+        this.restoreOptions();
+
+        if (words.length === 0) {
+            this.results = [];
+            this.close();
+            return;
+        }
+
+        this.results = [];
+        Array.from(this.select.options).forEach(option => {
+            const group = option.parentElement?.tagName === 'OPTGROUP' ? option.parentElement.label : '';
+            const haystack = `${group} ${option.text}`.toLowerCase();
+            const matches = words.every(word => haystack.includes(word));
+
+            // Placeholders stay so the select can still be cleared
+            if (!matches && option.value !== '') {
+                this.hiddenBefore.set(option, option.hidden);
+                option.hidden = true;
+            } else if (matches && !option.disabled && option.value !== '') {
+                this.results.push({ option, group });
+            }
+        });
+
+        this.activeIndex = this.results.length > 0 ? 0 : -1;
+        this.render(words);
+        this.open();
+    }
+
+    /**
+     * @private
+     */
+    restoreOptions() {
+        this.hiddenBefore.forEach((hidden, option) => {
+            option.hidden = hidden;
+        });
+        this.hiddenBefore.clear();
+    }
+
+    /**
+     * @private
+     */
+    render(words) {
+        this.list.replaceChildren();
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No matching options';
+            empty.style.cssText = 'padding: 6px 10px; color: #999;';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        let currentGroup = null;
+        this.results.slice(0, MAX_RESULTS).forEach((result, index) => {
+            if (result.group && result.group !== currentGroup) {
+                const heading = document.createElement('div');
+                heading.textContent = result.group;
+                heading.style.cssText = 'padding: 4px 10px; font-size: 11px; font-weight: 600; color: #888; text-transform: uppercase;';
+                this.list.appendChild(heading);
+            }
+            currentGroup = result.group;
+
+            const item = document.createElement('div');
+            item.id = `${this.list.id}-${index}`;
+            item.setAttribute('role', 'option');
+            item.style.cssText = `padding: 5px 10px${result.group ? ' 5px 18px' : ''}; cursor: pointer;`;
+            item.appendChild(this.highlight(result.option.text, words));
+            // mousedown keeps focus in the input, so blur does not close the list first
+            item.addEventListener('mousedown', event => {
+                event.preventDefault();
+                this.choose(result.option);
+            });
+            item.addEventListener('mousemove', () => this.setActive(index));
+            result.item = item;
+            this.list.appendChild(item);
+        });
+
+        if (this.results.length > MAX_RESULTS) {
+            const more = document.createElement('div');
+            more.textContent = `${this.results.length - MAX_RESULTS} more, keep typing to narrow down`;
+            more.style.cssText = 'padding: 6px 10px; color: #999; font-size: 12px;';
+            this.list.appendChild(more);
+        }
+
+        this.setActive(this.activeIndex);
+    }
+
+    /**
+     * Wrap each occurrence of the query words in <mark>
+     * @private
+     */
+    highlight(text, words) {
+        const fragment = document.createDocumentFragment();
+        const lower = text.toLowerCase();
+
+        // Merge overlapping word ranges so marks never nest
+        const ranges = [];
+        words.forEach(word => {
+            let index = lower.indexOf(word);
+            while (index !== -1) {
+                ranges.push([index, index + word.length]);
+                index = lower.indexOf(word, index + word.length);
+            }
+        });
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            if (end <= position) return;
+            start = Math.max(start, position);
+            fragment.append(text.slice(position, start));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, end);
+            mark.style.cssText = 'background: #fff3b0; color: inherit; padding: 0;';
+            fragment.appendChild(mark);
+            position = end;
+        });
+        fragment.append(text.slice(position));
+        return fragment;
+    }
+
+    /**
+     * @private
+     */
+    handleKeydown(event) {
+        const visible = Math.min(this.results.length, MAX_RESULTS);
+
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                if (!this.isOpen()) this.filter(this.input.value);
+                if (visible > 0) this.setActive((this.activeIndex + 1) % visible);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                if (visible > 0) this.setActive((this.activeIndex - 1 + visible) % visible);
+                break;
+            case 'Enter':
+                // Never submit the directory's form from the search box
+                event.preventDefault();
+                if (this.activeIndex >= 0 && this.results[this.activeIndex]) {
+                    this.choose(this.results[this.activeIndex].option);
+                }
+                break;
+            case 'Escape':
+                event.preventDefault();
+                this.input.value = '';
+                this.filter('');
+                break;
+        }
+    }
+
+    /**
+     * @private
+     */
+    setActive(index) {
+        this.results.forEach((result, resultIndex) => {
+            if (!result.item) return;
+            const active = resultIndex === index;
+            result.item.setAttribute('aria-selected', String(active));
+            result.item.style.background = active ? '#eef2ff' : '';
+        });
+
+        this.activeIndex = index;
+        const active = this.results[index]?.item;
+        if (active) {
+            this.input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Select an option through the fill engine so page scripts see the change
+     * @private
+     */
+    async choose(option) {
+        this.input.value = '';
+        this.filter('');
+
+        fillSnapshot.record(this.select);
+        await fillEngine.fill(this.select, option.value);
+    }
+
+    /**
+     * @private
+     */
+    open() {
+        clearTimeout(this.closeTimer);
+        this.list.style.display = 'block';
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * @private
+     */
+    close() {
+        this.list.style.display = 'none';
+        this.input.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * @private
+     */
+    isOpen() {
+        return this.list.style.display !== 'none';
+    }
+}
+
+export class SelectSearch {
+    constructor() {
+        this.enhanced = new Map();
+        this.enabled = false;
+        this.minOptions = DEFAULT_MIN_OPTIONS;
+        this.setupStorageListener();
+    }
+
+    /**
+     * Load settings and enhance the page's long selects if the site allows it
+     */
+    async start() {
+        try {
+            const { settings = {} } = await chrome.storage.sync.get(STORAGE_KEYS.SETTINGS);
+            this.minOptions = settings.selectSearchMinOptions || DEFAULT_MIN_OPTIONS;
+            this.enabled = await sitePreferencesService.isEnabled(window.location.href, FEATURE);
+        } catch (error) {
+            console.warn('Failed to load searchable dropdown settings:', error);
+        }
+
+        await this.refresh();
+    }
+
+    /**
+     * Enhance selects added since the last call and drop removed ones
+     */
+    async refresh() {
+        this.enhanced.forEach((overlay, select) => {
+            if (!select.isConnected) {
+                overlay.detach();
+                this.enhanced.delete(select);
+            }
+        });
+
+        if (!this.enabled) return;
+
+        const selects = Array.from(document.querySelectorAll('select'))
+            .filter(select => this.isCandidate(select));
+        if (selects.length === 0) return;
+
+        const category = profileDataService.getActiveProfile()?.category;
+        const remembered = category
+            ? await categoryMapper.getRememberedChoice(window.location.href, category)
+            : null;
+
+        selects.forEach(select => {
+            // Another refresh may have finished while the mapping loaded
+            if (this.enhanced.has(select)) return;
+
+            const suggestion = category
+                ? categoryMapper.pickOption(this.describeOptions(select), category, remembered)
+                : null;
+
+            const overlay = new SearchableSelect(select, {
+                suggestion,
+                onDisable: () => this.disableForSite()
+            });
+            overlay.attach();
+            this.enhanced.set(select, overlay);
+        });
+    }
+
+    /**
+     * Remove every overlay from the page
+     */
+    detachAll() {
+        this.enhanced.forEach(overlay => overlay.detach());
+        this.enhanced.clear();
+    }
+
+    /**
+     * @private
+     */
+    isCandidate(select) {
+        return !this.enhanced.has(select) &&
+            !select.multiple &&
+            select.size <= 1 &&
+            !select.disabled &&
+            // Hidden selects are usually driven by a Select2 or Chosen widget
+            select.offsetParent !== null &&
+            select.options.length >= this.minOptions;
+    }
+
+    /**
+     * @private
+     */
+    describeOptions(select) {
+        return Array.from(select.options)
+            .filter(option => option.value !== '' && !option.disabled)
+            .map(option => ({
+                text: option.text,
+                value: option.value,
+                group: option.parentElement?.tagName === 'OPTGROUP' ? option.parentElement.label : ''
+            }));
+    }
+
+    /**
+     * @private
+     */
+    async disableForSite() {
+        this.enabled = false;
+        this.detachAll();
+        try {
+            await sitePreferencesService.setPreference(window.location.href, FEATURE, false);
+        } catch (error) {
+            console.warn('Failed to save searchable dropdown preference:', error);
+        }
+    }
+
+    /**
+     * Follow changes made from the popup or options page
+     * @private
+     */
+    setupStorageListener() {
+        chrome.storage.onChanged.addListener(changes => {
+            if (changes[STORAGE_KEYS.SETTINGS] || changes[STORAGE_KEYS.SITE_PREFERENCES]) {
+                this.detachAll();
+                this.start();
+            }
+        });
+    }
+}
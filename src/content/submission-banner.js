@@ -0,0 +1,71 @@
+/**
+ * "Already submitted" banner for Social Filler Pro
+ *
+ * Warns when the active profile already has a submission logged
+ * for the current site's registrable domain.
+ *
+ * @version 7.1
+ * @author Social Filler Pro Team
+ */
+
+'use strict';
+
+const BANNER_ID = 'sfp-submission-banner';
+
+export class SubmissionBanner {
+    /**
+     * Show the banner for previous submissions
+     * @param {Array<Submission>} submissions - Previous entries, oldest first
+     * @param {Profile} profile - Active profile
+     */
+    show(submissions, profile) {
+        this.hide();
+        if (!submissions.length) return;
+
+        const last = submissions[submissions.length - 1];
+        const lastDate = new Date(last.submittedAt).toLocaleDateString();
+
+        const banner = document.createElement('div');
+        banner.id = BANNER_ID;
+        banner.setAttribute('role', 'alert');
+        banner.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            z-index: 2147483647;
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 12px;
+            padding: 10px 16px;
+            background: #FFF3CD;
+            border-bottom: 2px solid #FFC107;
+            color: #664D03;
+            font: 14px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            box-shadow: 0 2px 6px rgba(0,0,0,0.15);
+        `;
+
+        const message = document.createElement('span');
+        const times = submissions.length === 1 ? 'once' : `${submissions.length} times`;
+        message.textContent = `⚠️ "${profile.name}" was already submitted to ${last.domain} ${times} ` +
+            `(last on ${lastDate}).`;
+
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.textContent = '✕';
+        dismiss.title = 'Dismiss';
+        dismiss.style.cssText = 'background: none; border: none; font-size: 16px; cursor: pointer; color: inherit;';
+        dismiss.addEventListener('click', () => this.hide());
+
+        banner.append(message, dismiss);
+        document.body.appendChild(banner);
+    }
+
+    /**
+     * Remove the banner if present
+     */
+    hide() {
+        document.getElementById(BANNER_ID)?.remove();
+    }
+}
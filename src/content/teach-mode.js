@@ -0,0 +1,435 @@
+/**
+ * Field teaching mode for Social Filler Pro
+ *
+ * Highlights the inputs on the page and lets the user click one to map
+ * it to a profile property. Each choice is saved as a site recipe rule
+ * for the current domain.
+ *
+ * @version 7.1
+ * @author Social Filler Pro Team
+ */
+
+'use strict';
+
+import { profileDataService } from '../common/profileDataService.js';
+import { siteRecipeService } from '../common/siteRecipeService.js';
+import { SelectorUtils } from '../common/selectorUtils.js';
+import { DomWalker } from '../common/domWalker.js';
+
+const UI_ID_PREFIX = 'sfp-teach';
+const FIELD_CLASS = 'sfp-teach-field';
+const MAPPED_CLASS = 'sfp-teach-mapped';
+const HINT_ID = `${UI_ID_PREFIX}-hint`;
+
+const SKIPPED_INPUT_TYPES = ['hidden', 'submit', 'reset', 'button', 'image', 'file'];
+
+// Property groups offered in the picker; descriptions and keywords are
+// listed together because directories usually ask for them side by side,
+// and the business address mirrors give way to the structured address
+const PROPERTY_GROUPS = [
+    { label: 'Personal', section: 'personal', exclude: ['phoneCountry'] },
+    {
+        label: 'Business',
+        section: 'business',
+        exclude: ['address', 'city', 'state', 'zip', 'country', 'descriptionShort', 'description', 'descriptionLong']
+    },
+    { label: 'Address', section: 'address' },
+    { label: 'Social Media', section: 'socialMedia' },
+    { label: 'Listing', paths: ['business.descriptionShort', 'business.description', 'business.descriptionLong', 'keywords'] }
+];
+
+export class TeachMode {
+    constructor() {
+        this.active = false;
+        this.profile = null;
+        this.mappedSelectors = new Map();
+        // Each highlighted field and its selector, read before it was marked
+        this.fieldSelectors = new Map();
+        // The page and its same-origin frame documents, which each get listeners
+        this.documents = [];
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleMouseOver = this.handleMouseOver.bind(this);
+        this.handleMouseOut = this.handleMouseOut.bind(this);
+    }
+
+    /**
+     * Start highlighting fields for teaching
+     */
+    async start() {
+        if (this.active) return;
+
+        await profileDataService.initialize();
+        this.profile = profileDataService.getActiveLocationProfile();
+        if (!this.profile) {
+            console.warn('Teach mode needs an active profile');
+            return;
+        }
+
+        const recipes = await siteRecipeService.getRecipesForUrl(window.location.href);
+        this.mappedSelectors = new Map(recipes.flatMap(recipe =>
+            recipe.mappings.map(mapping => [mapping.selector, mapping.property])));
+
+        this.active = true;
+        this.highlightFields();
+        this.injectStyles();
+        this.showToolbar();
+
+        // Events inside frames do not reach the page's listeners
+        this.documents = DomWalker.getRoots().filter(root => root.nodeType === Node.DOCUMENT_NODE);
+        this.documents.forEach(root => {
+            root.addEventListener('click', this.handleClick, true);
+            root.addEventListener('keydown', this.handleKeydown, true);
+            root.addEventListener('mouseover', this.handleMouseOver, true);
+            root.addEventListener('mouseout', this.handleMouseOut, true);
+        });
+    }
+
+    /**
+     * Leave teach mode and remove all highlights
+     */
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+
+        this.documents.forEach(root => {
+            root.removeEventListener('click', this.handleClick, true);
+            root.removeEventListener('keydown', this.handleKeydown, true);
+            root.removeEventListener('mouseover', this.handleMouseOver, true);
+            root.removeEventListener('mouseout', this.handleMouseOut, true);
+        });
+        this.documents = [];
+
+        this.fieldSelectors.forEach((selector, field) => field.classList.remove(FIELD_CLASS, MAPPED_CLASS));
+        this.fieldSelectors.clear();
+        DomWalker.querySelectorAll(`[id^="${UI_ID_PREFIX}"]`).forEach(element => element.remove());
+    }
+
+    /**
+     * Find the inputs a user can teach
+     * @private
+     * @returns {Array<HTMLElement>} Visible form fields, including those in
+     *     shadow roots and same-origin frames
+     */
+    getTeachableFields() {
+        return DomWalker.querySelectorAll('input, select, textarea').filter(field =>
+            !SKIPPED_INPUT_TYPES.includes(field.type) &&
+            field.offsetParent !== null &&
+            !field.closest(`[id^="${UI_ID_PREFIX}"], [data-sfp-ui]`));
+    }
+
+    /**
+     * Outline every teachable field, marking ones that already have a rule.
+     * Selectors are built first, so rules only name the page's own attributes.
+     * @private
+     */
+    highlightFields() {
+        const fields = this.getTeachableFields();
+        this.fieldSelectors = new Map(fields.map(field => [field, SelectorUtils.getStableSelector(field)]));
+
+        fields.forEach(field => {
+            field.classList.add(FIELD_CLASS);
+            field.classList.toggle(MAPPED_CLASS, this.mappedSelectors.has(this.fieldSelectors.get(field)));
+        });
+    }
+
+    /**
+     * The highlighted field an event happened on
+     * @private
+     * @returns {HTMLElement|null} Field, or null for the rest of the page
+     */
+    getEventField(event) {
+        // Events from shadow roots are retargeted to their host
+        const target = event.composedPath?.()[0] || event.target;
+        if (target.closest?.(`[id^="${UI_ID_PREFIX}"]`)) return null;
+
+        const field = target.closest?.(`.${FIELD_CLASS}`);
+        return field && this.fieldSelectors.has(field) ? field : null;
+    }
+
+    /**
+     * @private
+     */
+    handleClick(event) {
+        const field = this.getEventField(event);
+        if (!field) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.openPicker(field);
+    }
+
+    /**
+     * @private
+     */
+    handleKeydown(event) {
+        if (event.key !== 'Escape') return;
+
+        if (document.getElementById(`${UI_ID_PREFIX}-picker`)) {
+            this.closePicker();
+        } else {
+            this.stop();
+        }
+    }
+
+    /**
+     * @private
+     */
+    handleMouseOver(event) {
+        const field = this.getEventField(event);
+        if (field && !document.getElementById(`${UI_ID_PREFIX}-picker`)) {
+            this.showHint(field);
+        }
+    }
+
+    /**
+     * @private
+     */
+    handleMouseOut(event) {
+        if (this.getEventField(event)) {
+            document.getElementById(HINT_ID)?.remove();
+        }
+    }
+
+    /**
+     * Say under a field what it is mapped to. The hint is an overlay, as the
+     * field's own title may be what its selector is built from.
+     * @private
+     * @param {HTMLElement} field - Hovered field
+     */
+    showHint(field) {
+        const property = this.mappedSelectors.get(this.fieldSelectors.get(field));
+        const position = this.getPagePosition(field);
+
+        const hint = document.getElementById(HINT_ID) || document.createElement('div');
+        hint.id = HINT_ID;
+        hint.textContent = property ? `Mapped to ${property}` : 'Click to map this field';
+        hint.style.cssText = `
+            position: absolute;
+            top: ${position.bottom + 4}px;
+            left: ${Math.max(8, position.left)}px;
+            z-index: 2147483647;
+            padding: 3px 8px;
+            background: #333;
+            color: #fff;
+            border-radius: 4px;
+            pointer-events: none;
+            font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        `;
+        document.body.appendChild(hint);
+    }
+
+    /**
+     * Show the property picker next to a field
+     * @private
+     * @param {HTMLElement} field - Clicked field
+     */
+    openPicker(field) {
+        this.closePicker();
+        document.getElementById(HINT_ID)?.remove();
+
+        const selector = this.fieldSelectors.get(field);
+        const position = this.getPagePosition(field);
+
+        const picker = document.createElement('div');
+        picker.id = `${UI_ID_PREFIX}-picker`;
+        picker.style.cssText = `
+            position: absolute;
+            top: ${position.bottom + 6}px;
+            left: ${Math.max(8, position.left)}px;
+            z-index: 2147483647;
+            display: flex;
+            gap: 6px;
+            align-items: center;
+            padding: 8px;
+            background: #fff;
+            border: 1px solid #4A6FFF;
+            border-radius: 6px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+            font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        `;
+
+        const select = this.createPropertySelect(this.mappedSelectors.get(selector));
+
+        const save = this.createButton('Save', '#4A6FFF', '#fff');
+        save.addEventListener('click', () => this.saveRule(field, selector, select.value));
+
+        const cancel = this.createButton('Cancel', '#eee', '#333');
+        cancel.addEventListener('click', () => this.closePicker());
+
+        picker.append(select, save, cancel);
+        document.body.appendChild(picker);
+        select.focus();
+    }
+
+    /**
+     * Where a field's bottom left corner is on the page, counting the
+     * offsets of the frames it sits in
+     * @private
+     * @param {HTMLElement} field - Field
+     * @returns {{bottom: number, left: number}} Page coordinates
+     */
+    getPagePosition(field) {
+        const rect = field.getBoundingClientRect();
+        let bottom = rect.bottom;
+        let left = rect.left;
+
+        let frame = field.ownerDocument.defaultView?.frameElement;
+        while (frame) {
+            const frameRect = frame.getBoundingClientRect();
+            bottom += frameRect.top + frame.clientTop;
+            left += frameRect.left + frame.clientLeft;
+            frame = frame.ownerDocument.defaultView?.frameElement;
+        }
+
+        return { bottom: bottom + window.scrollY, left: left + window.scrollX };
+    }
+
+    /**
+     * @private
+     */
+    closePicker() {
+        document.getElementById(`${UI_ID_PREFIX}-picker`)?.remove();
+    }
+
+    /**
+     * Build the grouped profile property select
+     * @private
+     * @param {string} [selected] - Property to preselect
+     * @returns {HTMLSelectElement} Select element
+     */
+    createPropertySelect(selected) {
+        const select = document.createElement('select');
+        select.style.cssText = 'max-width: 280px; padding: 4px; font: inherit;';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Choose a property…';
+        select.appendChild(placeholder);
+
+        PROPERTY_GROUPS.forEach(group => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+
+            const paths = group.paths || Object.keys(this.profile[group.section])
+                .filter(key => !(group.exclude || []).includes(key))
+                .map(key => `${group.section}.${key}`);
+
+            paths.forEach(path => {
+                const option = document.createElement('option');
+                const value = String(this.profile.getValue(path) || '');
+                option.value = path;
+                option.textContent = this.formatPropertyName(path) +
+                    (value ? ` — ${value.length > 30 ? value.slice(0, 30) + '…' : value}` : '');
+                optgroup.appendChild(option);
+            });
+
+            select.appendChild(optgroup);
+        });
+
+        if (selected) select.value = selected;
+        return select;
+    }
+
+    /**
+     * Turn 'business.companyName' into 'Company Name'
+     * @private
+     */
+    formatPropertyName(path) {
+        return path.split('.').pop()
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/^\w/, char => char.toUpperCase());
+    }
+
+    /**
+     * Persist the rule for a field and mark it as mapped
+     * @private
+     */
+    async saveRule(field, selector, property) {
+        if (!property) return;
+
+        try {
+            await siteRecipeService.saveMapping(window.location.href, {
+                selector,
+                property,
+                transformation: null
+            });
+
+            this.mappedSelectors.set(selector, property);
+            field.classList.add(MAPPED_CLASS);
+            this.closePicker();
+        } catch (error) {
+            console.error('Failed to save teach mode rule:', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    showToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.id = `${UI_ID_PREFIX}-toolbar`;
+        toolbar.style.cssText = `
+            position: fixed;
+            bottom: 16px;
+            left: 50%;
+            transform: translateX(-50%);
+            z-index: 2147483647;
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            padding: 10px 16px;
+            background: #4A6FFF;
+            color: #fff;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.25);
+            font: 14px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        `;
+
+        const message = document.createElement('span');
+        message.textContent = `🎓 Teaching fields for "${this.profile.name}" — click a field to map it`;
+
+        const done = this.createButton('Done', '#fff', '#4A6FFF');
+        done.addEventListener('click', () => this.stop());
+
+        toolbar.append(message, done);
+        document.body.appendChild(toolbar);
+    }
+
+    /**
+     * Add the highlight styles to every document and shadow root holding a
+     * field, as page styles do not reach into either
+     * @private
+     */
+    injectStyles() {
+        const roots = new Set(Array.from(this.fieldSelectors.keys(), field => field.getRootNode()));
+        roots.forEach(root => {
+            const style = (root.ownerDocument || root).createElement('style');
+            style.id = `${UI_ID_PREFIX}-style`;
+            style.textContent = `
+                .${FIELD_CLASS} { outline: 2px dashed #4A6FFF !important; outline-offset: 2px; cursor: pointer !important; }
+                .${FIELD_CLASS}.${MAPPED_CLASS} { outline: 2px solid #28a745 !important; }
+            `;
+            (root.head || root).appendChild(style);
+        });
+    }
+
+    /**
+     * @private
+     */
+    createButton(text, background, color) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.style.cssText = `
+            padding: 4px 10px;
+            border: none;
+            border-radius: 4px;
+            background: ${background};
+            color: ${color};
+            font: inherit;
+            cursor: pointer;
+        `;
+        return button;
+    }
+}
@@ -0,0 +1,49 @@
+// Listing Status section of the settings page
+
+import { profileDataService } from '../common/profileDataService.js';
+import { listingStatusService } from '../common/listingStatusService.js';
+import { LISTING_STATUSES } from '../common/constants.js';
+
+/**
+ * Listing Status Dashboard
+ * Shows per-client counts of listings in each lifecycle state
+ */
+class ListingStatusDashboard {
+    async initialize() {
+        try {
+            await profileDataService.initialize();
+            await this.render();
+            console.log('[DASHBOARD] Listing status dashboard initialized');
+        } catch (error) {
+            console.error('[DASHBOARD] Error initializing listing status dashboard:', error);
+        }
+    }
+
+    async render() {
+        const counts = await listingStatusService.getStatusCounts();
+        const body = document.getElementById('statusTableBody');
+        body.innerHTML = '';
+
+        Object.entries(counts).forEach(([profileId, statusCounts]) => {
+            const profile = profileDataService.getProfile(profileId);
+            const row = document.createElement('tr');
+
+            const values = [
+                profile ? profile.name : 'Deleted client',
+                ...Object.values(LISTING_STATUSES).map(status => statusCounts[status])
+            ];
+            values.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            body.appendChild(row);
+        });
+
+        document.getElementById('statusEmpty').style.display =
+            Object.keys(counts).length ? 'none' : 'block';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => new ListingStatusDashboard().initialize());
@@ -0,0 +1,121 @@
+// Submission History section of the settings page
+
+import { profileDataService } from '../common/profileDataService.js';
+import { submissionHistoryService } from '../common/submissionHistoryService.js';
+import { DateInputs } from '../common/dateInputs.js';
+
+/**
+ * Submission History View
+ * Lists and filters recorded directory submissions
+ */
+class SubmissionHistoryView {
+    constructor() {
+        this.profileNames = new Map();
+        this.locationNames = new Map();
+        this.render = this.render.bind(this);
+    }
+
+    async initialize() {
+        try {
+            await profileDataService.initialize();
+            this.renderProfileFilter();
+            this.setupEventListeners();
+            await this.render();
+            console.log('[HISTORY] Submission history initialized');
+        } catch (error) {
+            console.error('[HISTORY] Error initializing submission history:', error);
+        }
+    }
+
+    renderProfileFilter() {
+        const select = document.getElementById('historyProfile');
+        profileDataService.getAllProfiles().forEach(profile => {
+            this.profileNames.set(profile.id, profile.name);
+            profile.locations.forEach(location => this.locationNames.set(location.id, location.name));
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+    }
+
+    setupEventListeners() {
+        const debouncedRender = this.debounce(this.render, 250);
+        document.getElementById('historyProfile').addEventListener('change', this.render);
+        document.getElementById('historySince').addEventListener('change', this.render);
+        document.getElementById('historyQuery').addEventListener('input', debouncedRender);
+    }
+
+    collectFilter() {
+        const since = DateInputs.toLocalDay(document.getElementById('historySince').value);
+        return {
+            profileId: document.getElementById('historyProfile').value || undefined,
+            query: document.getElementById('historyQuery').value.trim() || undefined,
+            since: since ? since.toISOString() : undefined
+        };
+    }
+
+    async render() {
+        try {
+            const submissions = await submissionHistoryService.getSubmissions(this.collectFilter());
+            const body = document.getElementById('historyTableBody');
+            body.innerHTML = '';
+
+            submissions.forEach(submission => body.appendChild(this.createRow(submission)));
+            document.getElementById('historyEmpty').style.display = submissions.length ? 'none' : 'block';
+        } catch (error) {
+            console.error('[HISTORY] Error rendering submission history:', error);
+        }
+    }
+
+    createRow(submission) {
+        const row = document.createElement('tr');
+
+        const client = this.profileNames.get(submission.profileId) || 'Deleted client';
+        const location = submission.locationId &&
+            (this.locationNames.get(submission.locationId) || 'Deleted location');
+
+        const cells = [
+            new Date(submission.submittedAt).toLocaleString(),
+            location ? `${client} — ${location}` : client,
+            submission.domain
+        ].map(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            return cell;
+        });
+
+        const pageCell = document.createElement('td');
+        const link = document.createElement('a');
+        link.href = submission.url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = submission.pageTitle || submission.url;
+        pageCell.appendChild(link);
+
+        const actionCell = document.createElement('td');
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary';
+        remove.textContent = '🗑️';
+        remove.title = 'Delete entry';
+        remove.addEventListener('click', async () => {
+            if (!confirm('Delete this submission entry?')) return;
+            await submissionHistoryService.deleteSubmission(submission.id);
+            await this.render();
+        });
+        actionCell.appendChild(remove);
+
+        row.append(...cells, pageCell, actionCell);
+        return row;
+    }
+
+    debounce(func, wait) {
+        let timeout;
+        return (...args) => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => func.apply(this, args), wait);
+        };
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => new SubmissionHistoryView().initialize());
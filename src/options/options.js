@@ -5,6 +5,8 @@ class SettingsService {
             showVisualFeedback: true,
             debugMode: false,
             fillDelay: 500,
+            fillMode: 'direct',
+            selectSearchMinOptions: 30,
             autoNormalizeUrls: true,
             validateUrls: true,
             defaultSocialPlatforms: 'facebook, instagram, twitter, youtube, linkedin',
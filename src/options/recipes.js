@@ -0,0 +1,253 @@
+// Site Recipes section of the settings page
+
+import { Profile, FieldMapping } from '../common/models.js';
+import { siteRecipeService } from '../common/siteRecipeService.js';
+import { SelectorUtils } from '../common/selectorUtils.js';
+
+/**
+ * Site Recipe Editor
+ * Creates, lists, exports and imports per-domain field recipes
+ */
+class SiteRecipeEditor {
+    constructor() {
+        this.editingId = null;
+        this.properties = Profile.getPropertyPaths();
+    }
+
+    async initialize() {
+        try {
+            this.setupEventListeners();
+            this.resetForm();
+            await this.render();
+            console.log('[RECIPES] Site recipes initialized');
+        } catch (error) {
+            console.error('[RECIPES] Error initializing site recipes:', error);
+        }
+    }
+
+    setupEventListeners() {
+        document.getElementById('addRecipeMapping').addEventListener('click', () => this.addMappingRow());
+        document.getElementById('saveRecipe').addEventListener('click', () => this.saveRecipe());
+        document.getElementById('clearRecipe').addEventListener('click', () => this.resetForm());
+        document.getElementById('exportRecipes').addEventListener('click', () => this.exportRecipes());
+        document.getElementById('importRecipesFile').addEventListener('change', event => this.importRecipes(event));
+    }
+
+    async render() {
+        try {
+            const recipes = await siteRecipeService.getRecipes();
+            const body = document.getElementById('recipeTableBody');
+            body.innerHTML = '';
+
+            recipes.forEach(recipe => body.appendChild(this.createRow(recipe)));
+            document.getElementById('recipeEmpty').style.display = recipes.length ? 'none' : 'block';
+        } catch (error) {
+            console.error('[RECIPES] Error rendering site recipes:', error);
+        }
+    }
+
+    createRow(recipe) {
+        const row = document.createElement('tr');
+
+        const cells = [recipe.domain, recipe.path || '(all pages)', String(recipe.mappings.length)]
+            .map(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                return cell;
+            });
+
+        const actionCell = document.createElement('td');
+
+        const edit = document.createElement('button');
+        edit.className = 'btn btn-secondary';
+        edit.textContent = '✏️';
+        edit.title = 'Edit recipe';
+        edit.addEventListener('click', () => this.editRecipe(recipe));
+
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary';
+        remove.textContent = '🗑️';
+        remove.title = 'Delete recipe';
+        remove.addEventListener('click', async () => {
+            if (!confirm(`Delete the recipe for ${recipe.domain}${recipe.path}?`)) return;
+            await siteRecipeService.deleteRecipe(recipe.id);
+            if (this.editingId === recipe.id) this.resetForm();
+            await this.render();
+        });
+
+        actionCell.append(edit, remove);
+        row.append(...cells, actionCell);
+        return row;
+    }
+
+    addMappingRow(mapping = {}) {
+        const row = document.createElement('tr');
+
+        const selectorCell = document.createElement('td');
+        const selector = document.createElement('input');
+        selector.type = 'text';
+        selector.className = 'recipe-selector';
+        selector.placeholder = '#company_name';
+        selector.value = mapping.selector || '';
+        selectorCell.appendChild(selector);
+
+        // Paths the list leaves out, such as the business.* address mirrors
+        // older recipes use, stay selectable on the rows that have them
+        const properties = !mapping.property || this.properties.includes(mapping.property)
+            ? this.properties
+            : [...this.properties, mapping.property];
+
+        const propertyCell = document.createElement('td');
+        propertyCell.appendChild(this.createSelect(
+            'recipe-property',
+            properties.map(property => [property, property]),
+            mapping.property
+        ));
+
+        const transformationCell = document.createElement('td');
+        transformationCell.appendChild(this.createSelect(
+            'recipe-transformation',
+            [['', 'None'], ...Object.keys(FieldMapping.TRANSFORMATIONS).map(name => [name, name])],
+            mapping.transformation || ''
+        ));
+
+        const actionCell = document.createElement('td');
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary';
+        remove.textContent = '✖️';
+        remove.title = 'Remove mapping';
+        remove.addEventListener('click', () => row.remove());
+        actionCell.appendChild(remove);
+
+        row.append(selectorCell, propertyCell, transformationCell, actionCell);
+        document.getElementById('recipeMappingRows').appendChild(row);
+    }
+
+    createSelect(className, options, value) {
+        const select = document.createElement('select');
+        select.className = className;
+        options.forEach(([optionValue, label]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        if (value !== undefined) select.value = value;
+        return select;
+    }
+
+    editRecipe(recipe) {
+        this.resetForm();
+        this.editingId = recipe.id;
+        document.getElementById('recipeDomain').value = recipe.domain;
+        document.getElementById('recipePath').value = recipe.path;
+        document.getElementById('recipeMappingRows').innerHTML = '';
+        recipe.mappings.forEach(mapping => this.addMappingRow(mapping));
+    }
+
+    resetForm() {
+        this.editingId = null;
+        document.getElementById('recipeDomain').value = '';
+        document.getElementById('recipePath').value = '';
+        document.getElementById('recipeMappingRows').innerHTML = '';
+        this.addMappingRow();
+    }
+
+    collectRecipe() {
+        const mappings = Array.from(document.querySelectorAll('#recipeMappingRows tr'))
+            .map(row => ({
+                selector: row.querySelector('.recipe-selector').value.trim(),
+                property: row.querySelector('.recipe-property').value,
+                transformation: row.querySelector('.recipe-transformation').value || null
+            }))
+            .filter(mapping => mapping.selector);
+
+        return {
+            id: this.editingId,
+            domain: document.getElementById('recipeDomain').value,
+            path: document.getElementById('recipePath').value,
+            mappings
+        };
+    }
+
+    async saveRecipe() {
+        try {
+            const recipe = this.collectRecipe();
+            const invalid = recipe.mappings.find(mapping => !this.isValidSelector(mapping.selector));
+            if (invalid) {
+                throw new Error(`Invalid CSS selector: ${invalid.selector}`);
+            }
+
+            await siteRecipeService.saveRecipe(recipe);
+            this.resetForm();
+            await this.render();
+            this.showStatus('Site recipe saved', 'success');
+        } catch (error) {
+            console.error('[RECIPES] Error saving site recipe:', error);
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    isValidSelector(selector) {
+        // Selectors into shadow roots and frames have one part per root
+        return selector.split(SelectorUtils.DEEP_SEPARATOR).every(part => {
+            try {
+                document.createDocumentFragment().querySelector(part);
+                return true;
+            } catch {
+                return false;
+            }
+        });
+    }
+
+    async exportRecipes() {
+        try {
+            const blob = new Blob([await siteRecipeService.exportRecipes()], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `social-filler-pro-recipes-${new Date().toISOString().split('T')[0]}.json`;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            this.showStatus('Site recipes exported', 'success');
+        } catch (error) {
+            console.error('[RECIPES] Error exporting site recipes:', error);
+            this.showStatus('Error exporting site recipes', 'error');
+        }
+    }
+
+    async importRecipes(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const { imported, skipped } = await siteRecipeService.importRecipes(await file.text());
+            await this.render();
+            this.showStatus(
+                `Imported ${imported} recipe(s)` + (skipped ? `, skipped ${skipped} invalid` : ''),
+                skipped ? 'warning' : 'success'
+            );
+        } catch (error) {
+            console.error('[RECIPES] Error importing site recipes:', error);
+            this.showStatus('Error importing site recipes: ' + error.message, 'error');
+        }
+
+        event.target.value = '';
+    }
+
+    showStatus(message, type = 'info') {
+        const status = document.getElementById('statusMessage');
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = `status-message status-${type}`;
+        status.style.display = 'block';
+
+        setTimeout(() => {
+            status.style.display = 'none';
+        }, 3000);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => new SiteRecipeEditor().initialize());
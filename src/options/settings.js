@@ -11,6 +11,8 @@ class SettingsManager {
             showVisualFeedback: true,
             debugMode: false,
             fillDelay: 500,
+            fillMode: 'direct',
+            selectSearchMinOptions: 30,
             autoNormalizeUrls: true,
             validateUrls: true,
             strictMode: true,
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import './helpers/chrome.mjs';
+import { setBody } from './helpers/dom.mjs';
+import { AutofillService } from '../common/autofillService.js';
+import { Profile, FieldMapping } from '../common/models.js';
+
+const profile = new Profile({
+    name: 'Acme Plumbing',
+    password: 'p{a|b}ss{{word}}',
+    business: { companyName: 'Acme Plumbing', description: '{Fast|Friendly} plumbing from {{business.companyName}}' },
+    socialMedia: { facebook: 'https://facebook.com/acme?ref={a|b}' }
+});
+
+test('spintax and variables resolve in the description but not in the password', () => {
+    setBody(`
+        <form id="listing">
+            <label for="description">Description</label>
+            <textarea id="description" name="description"></textarea>
+            <label for="password">Password</label>
+            <input id="password" name="password" type="password">
+            <label for="facebook">Facebook</label>
+            <input id="facebook" name="facebook" type="url">
+        </form>
+    `);
+    const service = new AutofillService();
+    // Descriptions and social links are filled through learned mappings
+    service.setFieldMapping('description', new FieldMapping({ profileProperty: 'business.description' }));
+    service.setFieldMapping('facebook', new FieldMapping({ profileProperty: 'socialMedia.facebook' }));
+
+    const values = service.mapProfileToFields(profile, service.analyzePage());
+
+    assert.match(values['#description'], /^(Fast|Friendly) plumbing from Acme Plumbing$/);
+    assert.equal(values['#password'], 'p{a|b}ss{{word}}');
+    assert.equal(values['#facebook'], 'https://facebook.com/acme?ref={a|b}');
+    assert.equal(profile.business.description, '{Fast|Friendly} plumbing from {{business.companyName}}');
+});
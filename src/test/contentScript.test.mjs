@@ -0,0 +1,257 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chrome, sentMessages, dispatchMessage, settle } from './helpers/chrome.mjs';
+import { setBody } from './helpers/dom.mjs';
+import { STORAGE_KEYS, MESSAGE_TYPES } from '../common/constants.js';
+import { BusinessHours } from '../common/businessHours.js';
+
+const PROFILE = {
+    id: 'profile_1',
+    name: 'Acme Plumbing',
+    personal: { email: 'info@acme.test' },
+    business: { companyName: 'Acme Plumbing' },
+    category: 'Plumber',
+    hours: {
+        monday: { status: 'open', periods: [{ open: '09:00', close: '17:00' }] },
+        saturday: { status: 'closed' }
+    },
+    address: { line1: '1 Main St', locality: 'Springfield', region: 'California', countryCode: 'US' }
+};
+
+let messageService;
+
+before(async () => {
+    chrome.storage.local.seed({
+        [STORAGE_KEYS.PROFILES]: [PROFILE],
+        [STORAGE_KEYS.ACTIVE_PROFILE]: PROFILE.id,
+        [STORAGE_KEYS.LEGACY_DATA_MIGRATED]: true
+    });
+
+    // The entry the manifest loads initializes itself on import
+    await import('../content/contentScript.js');
+    ({ messageService } = await import('../common/messageService.js'));
+    await settle(50);
+});
+
+beforeEach(() => {
+    sentMessages.length = 0;
+});
+
+after(() => {
+    messageService.destroy();
+});
+
+/**
+ * Wait until the content script has sent a message of a type
+ */
+async function waitForMessage(type, timeout = 2000) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+        const message = sentMessages.find(sent => sent.type === type);
+        if (message) return message;
+        await settle(10);
+    }
+    assert.fail(`No ${type} message was sent`);
+}
+
+test('FILL_PAGE fills the page from the active profile and reports completion', async () => {
+    setBody(`
+        <form id="listing">
+            <label for="company">Company name</label>
+            <input id="company" name="company" type="text">
+            <label for="email">Email</label>
+            <input id="email" name="email" type="email">
+        </form>
+    `);
+
+    const response = await dispatchMessage({ type: MESSAGE_TYPES.FILL_PAGE });
+    assert.equal(response.success, true);
+
+    const complete = await waitForMessage(MESSAGE_TYPES.FILL_COMPLETE);
+    assert.equal(complete.data.url, 'https://directory.example.com/submit');
+    assert.equal(document.getElementById('company').value, 'Acme Plumbing');
+    assert.equal(document.getElementById('email').value, 'info@acme.test');
+});
+
+test('TEACH_MODE_START highlights the page fields until Escape', async () => {
+    setBody(`
+        <form id="listing">
+            <input id="company" name="company" type="text">
+        </form>
+    `);
+
+    const response = await dispatchMessage({ type: MESSAGE_TYPES.TEACH_MODE_START });
+    assert.equal(response.success, true);
+    assert.ok(document.getElementById('sfp-teach-toolbar'));
+    assert.ok(document.getElementById('company').classList.contains('sfp-teach-field'));
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    assert.equal(document.getElementById('sfp-teach-toolbar'), null);
+    assert.equal(document.getElementById('company').classList.contains('sfp-teach-field'), false);
+});
+
+test('UNDO_FILL restores what the last fill replaced', async () => {
+    setBody(`
+        <form id="listing">
+            <label for="company">Company name</label>
+            <input id="company" name="company" type="text">
+        </form>
+    `);
+    await dispatchMessage({ type: MESSAGE_TYPES.FILL_PAGE });
+    await waitForMessage(MESSAGE_TYPES.FILL_COMPLETE);
+    assert.equal(document.getElementById('company').value, 'Acme Plumbing');
+
+    const response = await dispatchMessage({ type: MESSAGE_TYPES.UNDO_FILL });
+
+    assert.deepEqual(response, { success: true, data: { restored: 1 } });
+    assert.equal(document.getElementById('company').value, '');
+});
+
+test('UNDO_FILL puts back the content of a filled contenteditable', async () => {
+    setBody(`
+        <form id="listing">
+            <label id="company-label">Company name</label>
+            <div id="company" contenteditable="true" aria-labelledby="company-label"><p><br></p></div>
+        </form>
+    `);
+    await dispatchMessage({ type: MESSAGE_TYPES.FILL_PAGE });
+    await waitForMessage(MESSAGE_TYPES.FILL_COMPLETE);
+    await settle(20);
+    assert.equal(document.getElementById('company').textContent, 'Acme Plumbing');
+
+    const response = await dispatchMessage({ type: MESSAGE_TYPES.UNDO_FILL });
+    await settle(20);
+
+    assert.deepEqual(response, { success: true, data: { restored: 1 } });
+    assert.equal(document.getElementById('company').innerHTML, '<p><br></p>');
+});
+
+test('FILL_PAGE picks the profile location in dropdowns', async () => {
+    setBody(`
+        <form id="listing">
+            <label for="country">Country</label>
+            <select id="country" name="country">
+                <option value="">Choose…</option>
+                <option value="124">Canada</option>
+                <option value="840">United States</option>
+            </select>
+            <label for="state">State</label>
+            <select id="state" name="state">
+                <option value="">Choose…</option>
+                <option value="5">California</option>
+                <option value="32">New York</option>
+            </select>
+        </form>
+    `);
+
+    await dispatchMessage({ type: MESSAGE_TYPES.FILL_PAGE });
+    await waitForMessage(MESSAGE_TYPES.FILL_COMPLETE);
+
+    assert.equal(document.getElementById('country').value, '840');
+    assert.equal(document.getElementById('state').value, '5');
+});
+
+test('FILL_PAGE matches location options written as codes and aliases', async () => {
+    setBody(`
+        <form id="listing">
+            <label for="country">Country</label>
+            <select id="country" name="country">
+                <option value="">Choose…</option>
+                <option value="CAN">Canada</option>
+                <option value="USA">USA</option>
+            </select>
+            <label for="state">State</label>
+            <select id="state" name="state">
+                <option value="">Choose…</option>
+                <option value="AR">AR</option>
+                <option value="CA">CA</option>
+            </select>
+        </form>
+    `);
+
+    await dispatchMessage({ type: MESSAGE_TYPES.FILL_PAGE });
+    await waitForMessage(MESSAGE_TYPES.FILL_COMPLETE);
+
+    assert.equal(document.getElementById('country').value, 'USA');
+    assert.equal(document.getElementById('state').value, 'CA');
+});
+
+test('FILL_PAGE picks the closest category and remembers it for the directory', async () => {
+    setBody(`
+        <form id="listing">
+            <label for="category">Category</label>
+            <select id="category" name="category">
+                <option value="">Choose…</option>
+                <optgroup label="Food">
+                    <option value="11">Restaurants</option>
+                </optgroup>
+                <optgroup label="Home Services">
+                    <option value="21">Electricians</option>
+                    <option value="22">Plumbers</option>
+                </optgroup>
+            </select>
+        </form>
+    `);
+
+    await dispatchMessage({ type: MESSAGE_TYPES.FILL_PAGE });
+    await waitForMessage(MESSAGE_TYPES.FILL_COMPLETE);
+
+    assert.equal(document.getElementById('category').value, '22');
+    assert.match(JSON.stringify(chrome.storage.local.dump()[STORAGE_KEYS.CATEGORY_MAPPINGS]), /Plumbers/);
+});
+
+test('long selects added to the page get a search box', async () => {
+    const options = Array.from({ length: 40 }, (_, index) => `<option value="${index}">Option ${index}</option>`);
+    setBody(`
+        <form id="listing">
+            <label for="service">Service</label>
+            <select id="service" name="service">${options.join('')}</select>
+        </form>
+    `);
+
+    // Past the rescan delay that lets the page settle
+    await settle(700);
+
+    const search = document.querySelector('.sfp-select-search');
+    assert.ok(search);
+    assert.equal(search.nextElementSibling, document.getElementById('service'));
+    assert.equal(document.getElementById('service').options.length, 40);
+});
+
+test('FILL_PAGE writes the opening hours into an hours field', async () => {
+    setBody(`
+        <form id="listing">
+            <label for="hours">Opening hours</label>
+            <textarea id="hours" name="hours"></textarea>
+        </form>
+    `);
+
+    await dispatchMessage({ type: MESSAGE_TYPES.FILL_PAGE });
+    await waitForMessage(MESSAGE_TYPES.FILL_COMPLETE);
+
+    assert.equal(document.getElementById('hours').value,
+        BusinessHours.format(PROFILE.hours, { separator: '\n' }));
+    assert.match(document.getElementById('hours').value, /Mon/);
+});
+
+test('a page that keeps changing is still rescanned', async () => {
+    const options = Array.from({ length: 40 }, (_, index) => `<option value="${index}">Option ${index}</option>`);
+    setBody(`
+        <div id="spinner"></div>
+        <form id="listing">
+            <label for="service">Service</label>
+            <select id="service" name="service">${options.join('')}</select>
+        </form>
+    `);
+
+    // An animation restarting the settle delay every 100 ms
+    const spinner = document.getElementById('spinner');
+    const animation = setInterval(() => spinner.classList.toggle('frame'), 100);
+    try {
+        await settle(2300);
+        assert.ok(document.querySelector('.sfp-select-search'));
+    } finally {
+        clearInterval(animation);
+    }
+});
@@ -0,0 +1,66 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import './helpers/chrome.mjs';
+import { setBody } from './helpers/dom.mjs';
+import { DomWalker } from '../common/domWalker.js';
+import { SelectorUtils } from '../common/selectorUtils.js';
+
+let walks;
+const querySelectorAll = document.querySelectorAll;
+
+beforeEach(() => {
+    setBody('<form id="listing"><input name="email"></form>');
+    DomWalker.clearRoots();
+
+    // Count full walks of the page
+    walks = 0;
+    document.querySelectorAll = function (selector) {
+        if (selector === '*') walks++;
+        return querySelectorAll.call(this, selector);
+    };
+});
+
+afterEach(() => {
+    document.querySelectorAll = querySelectorAll;
+});
+
+function addShadowField(name) {
+    const host = document.createElement('div');
+    host.id = `${name}-widget`;
+    document.body.appendChild(host);
+    host.attachShadow({ mode: 'open' }).innerHTML = `<input name="${name}">`;
+}
+
+test('lookups that miss share one walk of an unchanged page', () => {
+    for (let i = 0; i < 20; i++) {
+        assert.equal(SelectorUtils.querySelector(`input[name="missing-${i}"]`), null);
+    }
+
+    assert.equal(walks, 1);
+});
+
+test('roots added to the page are found by the next lookup', async () => {
+    assert.equal(SelectorUtils.querySelector('input[name="phone"]'), null);
+
+    addShadowField('phone');
+    await Promise.resolve();
+
+    assert.equal(SelectorUtils.querySelector('input[name="phone"]')?.name, 'phone');
+    assert.equal(DomWalker.getRoots().length, 2);
+    assert.equal(walks, 2);
+});
+
+test('changes inside a shadow root are seen too', async () => {
+    addShadowField('phone');
+    await Promise.resolve();
+    assert.equal(SelectorUtils.querySelector('input[name="fax"]'), null);
+
+    const shadow = document.getElementById('phone-widget').shadowRoot;
+    const inner = document.createElement('div');
+    shadow.appendChild(inner);
+    inner.attachShadow({ mode: 'open' }).innerHTML = '<input name="fax">';
+    await Promise.resolve();
+
+    assert.equal(SelectorUtils.querySelector('input[name="fax"]')?.name, 'fax');
+});
@@ -0,0 +1,65 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import './helpers/chrome.mjs';
+import { setBody } from './helpers/dom.mjs';
+
+let fieldMapper;
+
+before(async () => {
+    ({ fieldMapper } = await import('../common/fieldMapper.js'));
+});
+
+/**
+ * Map a single labelled input
+ */
+function mapLabelled(labelText, attributes = '') {
+    setBody(`
+        <form>
+            <label for="field">${labelText}</label>
+            <input id="field" type="text" ${attributes}>
+        </form>
+    `);
+    return fieldMapper.mapField(document.getElementById('field'));
+}
+
+test('the last term of a compound label names the field', () => {
+    assert.equal(mapLabelled('Company website').key, 'website');
+    assert.equal(mapLabelled('Business email').key, 'email');
+    assert.equal(mapLabelled('Name of your business').key, 'company');
+});
+
+test('keys that only qualify a label stay under the cutoff', () => {
+    const company = mapLabelled('Company website').candidates.find(candidate => candidate.key === 'company');
+
+    assert.ok(company.confidence < fieldMapper.similarityThreshold);
+});
+
+test('broad terms give way to a specific one anywhere in the text', () => {
+    assert.equal(mapLabelled('First line of address').key, 'address');
+    assert.equal(mapLabelled('Site name').key, 'name');
+});
+
+test('broad terms still name a field on their own', () => {
+    assert.equal(mapLabelled('First').key, 'firstName');
+    assert.equal(mapLabelled('Last').key, 'lastName');
+    assert.equal(mapLabelled('Web').key, 'website');
+});
+
+test('address phrasings of other fields are not mapped to the street address', () => {
+    assert.equal(mapLabelled('Web address').key, 'website');
+    assert.equal(mapLabelled('Website address').key, 'website');
+    assert.equal(mapLabelled('E-mail address').key, 'email');
+});
+
+test('longer terms win where terms overlap', () => {
+    assert.equal(mapLabelled('Business name').key, 'company');
+    assert.equal(mapLabelled('First name').key, 'firstName');
+});
+
+test('identifier words are ranked like visible text', () => {
+    setBody('<input id="field" name="company_website" type="text">');
+    const mapping = fieldMapper.mapField(document.getElementById('field'));
+
+    assert.equal(mapping.candidates[0].key, 'website');
+});
@@ -0,0 +1,158 @@
+/**
+ * In-memory stand-in for the chrome.* extension APIs the modules under test
+ * call: storage areas with change events, runtime messaging whose outgoing
+ * messages are recorded, and the tab, badge and command APIs the background
+ * uses. Import before any module that reads `chrome` on load.
+ */
+
+function createEvent() {
+    const listeners = new Set();
+    return {
+        listeners,
+        addListener: listener => listeners.add(listener),
+        removeListener: listener => listeners.delete(listener),
+        hasListener: listener => listeners.has(listener)
+    };
+}
+
+function createStorageArea(areaName, onChanged) {
+    let items = {};
+
+    const pick = keys => {
+        if (keys === null || keys === undefined) return { ...items };
+        const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+        return Object.fromEntries(list.filter(key => key in items).map(key => [key, structuredClone(items[key])]));
+    };
+
+    const notify = changes => {
+        if (Object.keys(changes).length === 0) return;
+        // Chrome fires change events after the write resolves
+        setTimeout(() => onChanged.listeners.forEach(listener => listener(changes, areaName)), 0);
+    };
+
+    return {
+        async get(keys) {
+            return pick(keys);
+        },
+        async set(data) {
+            const changes = {};
+            Object.entries(data).forEach(([key, value]) => {
+                changes[key] = { oldValue: items[key], newValue: structuredClone(value) };
+                items[key] = structuredClone(value);
+            });
+            notify(changes);
+        },
+        async remove(keys) {
+            const changes = {};
+            [].concat(keys).forEach(key => {
+                if (key in items) changes[key] = { oldValue: items[key] };
+                delete items[key];
+            });
+            notify(changes);
+        },
+        async clear() {
+            items = {};
+        },
+        /** Write without change events, as data left by an earlier session */
+        seed(data) {
+            Object.assign(items, structuredClone(data));
+        },
+        dump: () => structuredClone(items)
+    };
+}
+
+const onChanged = createEvent();
+const onMessage = createEvent();
+
+/** Messages sent with chrome.runtime.sendMessage, oldest first */
+export const sentMessages = [];
+
+/** Tabs opened or navigated with chrome.tabs.create and update, oldest first */
+export const openedTabs = [];
+
+/** Answers runtime.sendMessage; tests replace it to play the background */
+let messageResponder = () => ({ success: true });
+
+export const chrome = {
+    storage: {
+        local: createStorageArea('local', onChanged),
+        sync: createStorageArea('sync', onChanged),
+        session: createStorageArea('session', onChanged),
+        onChanged
+    },
+    runtime: {
+        id: 'test-extension',
+        lastError: null,
+        onMessage,
+        onInstalled: createEvent(),
+        onStartup: createEvent(),
+        getURL: path => `chrome-extension://test-extension/${path}`,
+        async openOptionsPage() {},
+        async sendMessage(message) {
+            sentMessages.push(message);
+            return messageResponder(message);
+        }
+    },
+    tabs: {
+        onUpdated: createEvent(),
+        onRemoved: createEvent(),
+        async query() {
+            return [];
+        },
+        async sendMessage() {
+            return { success: true };
+        },
+        async create(properties) {
+            const tab = { id: 100 + openedTabs.length, ...properties };
+            openedTabs.push(tab);
+            return tab;
+        },
+        async update(tabId, properties) {
+            const tab = { id: tabId, ...properties };
+            openedTabs.push(tab);
+            return tab;
+        }
+    },
+    action: {
+        async setBadgeText() {}
+    },
+    commands: {
+        onCommand: createEvent()
+    }
+};
+
+globalThis.chrome = chrome;
+
+/**
+ * Answer runtime.sendMessage calls with a function of the message
+ * @param {Function} responder - Returns the response for a message
+ */
+export function respondToMessages(responder) {
+    messageResponder = responder;
+}
+
+/**
+ * Deliver a message to the page's onMessage listeners, as a tab message
+ * from the background or popup would arrive
+ * @param {Object} message - Message
+ * @returns {Promise<*>} Response the listeners send, or undefined if none answers
+ */
+export function dispatchMessage(message) {
+    return new Promise(resolve => {
+        let pending = false;
+        onMessage.listeners.forEach(listener => {
+            if (listener(message, { id: chrome.runtime.id }, resolve) === true) {
+                pending = true;
+            }
+        });
+        if (!pending) resolve(undefined);
+    });
+}
+
+/**
+ * Wait until pending timers and storage change events have run
+ * @param {number} [ms=0] - Extra time to wait
+ */
+export function settle(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
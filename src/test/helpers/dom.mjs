@@ -0,0 +1,85 @@
+/**
+ * A jsdom page exposed through the globals content scripts use. jsdom does
+ * no layout, so attached elements report their parent as offsetParent, the
+ * way visible elements do in a browser. It has no editing either, so
+ * isContentEditable follows the contenteditable attribute. Import after ./chrome.mjs and before
+ * any content module.
+ */
+
+import { JSDOM } from 'jsdom';
+
+export const dom = new JSDOM('<!DOCTYPE html><html><head><title>Submit your business</title></head><body></body></html>', {
+    url: 'https://directory.example.com/submit',
+    pretendToBeVisual: true
+});
+
+const { window } = dom;
+
+const GLOBALS = [
+    'window', 'document', 'location', 'Node', 'NodeFilter', 'Element', 'HTMLElement',
+    'HTMLInputElement', 'HTMLSelectElement', 'HTMLTextAreaElement', 'HTMLFormElement',
+    'HTMLOptionElement', 'HTMLIFrameElement', 'ShadowRoot', 'DocumentFragment', 'Event',
+    'CustomEvent', 'InputEvent', 'KeyboardEvent', 'FocusEvent', 'MouseEvent',
+    'MutationObserver', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'
+];
+GLOBALS.forEach(name => {
+    Object.defineProperty(globalThis, name, {
+        value: typeof window[name] === 'function' && /^[a-z]/.test(name) ? window[name].bind(window) : window[name],
+        configurable: true,
+        writable: true
+    });
+});
+
+/**
+ * CSS.escape as specified in CSSOM, which jsdom does not provide
+ */
+function cssEscape(value) {
+    const string = String(value);
+    let result = '';
+    for (let index = 0; index < string.length; index++) {
+        const char = string.charAt(index);
+        const code = string.charCodeAt(index);
+        const isDigit = code >= 0x30 && code <= 0x39;
+
+        if (code === 0) {
+            result += '\uFFFD';
+        } else if ((code >= 0x1 && code <= 0x1f) || code === 0x7f ||
+            (index === 0 && isDigit) || (index === 1 && isDigit && string.charCodeAt(0) === 0x2d)) {
+            result += `\\${code.toString(16)} `;
+        } else if (index === 0 && string.length === 1 && code === 0x2d) {
+            result += `\\${char}`;
+        } else if (code >= 0x80 || code === 0x2d || code === 0x5f || /[0-9A-Za-z]/.test(char)) {
+            result += char;
+        } else {
+            result += `\\${char}`;
+        }
+    }
+    return result;
+}
+window.CSS = globalThis.CSS = { escape: cssEscape };
+
+Object.defineProperty(window.HTMLElement.prototype, 'offsetParent', {
+    configurable: true,
+    get() {
+        return this.isConnected && !this.closest('[hidden]') ? this.parentElement || this.getRootNode().host : null;
+    }
+});
+
+Object.defineProperty(window.HTMLElement.prototype, 'isContentEditable', {
+    configurable: true,
+    get() {
+        const host = this.closest('[contenteditable]');
+        return !!host && host.getAttribute('contenteditable') !== 'false';
+    }
+});
+
+// Prompts are declined unless a test says otherwise
+window.confirm = globalThis.confirm = () => false;
+
+/**
+ * Replace the page body
+ * @param {string} html - Body markup
+ */
+export function setBody(html) {
+    window.document.body.innerHTML = html;
+}
@@ -0,0 +1,57 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chrome, settle } from './helpers/chrome.mjs';
+import { setBody } from './helpers/dom.mjs';
+import { STORAGE_KEYS } from '../common/constants.js';
+
+// West of UTC, where a day read as UTC midnight starts the evening before
+process.env.TZ = 'America/Los_Angeles';
+
+const PROFILE = { id: 'profile_1', name: 'Acme Plumbing' };
+
+before(async () => {
+    setBody(`
+        <select id="historyProfile"><option value="">All clients</option></select>
+        <input type="text" id="historyQuery">
+        <input type="date" id="historySince">
+        <table><tbody id="historyTableBody"></tbody></table>
+        <div id="historyEmpty"></div>
+    `);
+
+    chrome.storage.local.seed({
+        [STORAGE_KEYS.PROFILES]: [PROFILE],
+        [STORAGE_KEYS.ACTIVE_PROFILE]: PROFILE.id,
+        [STORAGE_KEYS.LEGACY_DATA_MIGRATED]: true,
+        [STORAGE_KEYS.SUBMISSION_HISTORY]: {
+            [PROFILE.id]: {
+                'example.com': [
+                    // 8 pm on March 9 in Los Angeles
+                    { id: 'sub_1', profileId: PROFILE.id, domain: 'example.com', url: 'https://example.com/evening', submittedAt: '2026-03-10T03:00:00.000Z' },
+                    // 9 am on March 10 in Los Angeles
+                    { id: 'sub_2', profileId: PROFILE.id, domain: 'example.com', url: 'https://example.com/morning', submittedAt: '2026-03-10T16:00:00.000Z' }
+                ]
+            }
+        }
+    });
+
+    // The settings page starts the view once its markup is parsed
+    await import('../options/history.js');
+    document.dispatchEvent(new Event('DOMContentLoaded'));
+    await settle();
+});
+
+test('lists every submission without a filter', () => {
+    assert.equal(document.getElementById('historyTableBody').rows.length, 2);
+});
+
+test('the since filter starts at midnight of the picked local day', async () => {
+    const since = document.getElementById('historySince');
+    since.value = '2026-03-10';
+    since.dispatchEvent(new Event('change'));
+    await settle();
+
+    const rows = document.getElementById('historyTableBody').rows;
+    assert.equal(rows.length, 1);
+    assert.match(rows[0].textContent, /example\.com\/morning/);
+});
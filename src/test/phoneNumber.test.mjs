@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PhoneNumber } from '../common/phoneNumber.js';
+import { Profile } from '../common/models.js';
+
+test('numbers with calling codes outside the known plans are kept as E.164', () => {
+    const numbers = {
+        '+20 10 1234 5678': { callingCode: '20', e164: '+201012345678' },
+        '+966 50 123 4567': { callingCode: '966', e164: '+966501234567' },
+        '0092 300 1234567': { callingCode: '92', e164: '+923001234567' },
+        '+7 (912) 345-67-89': { callingCode: '7', e164: '+79123456789' }
+    };
+
+    for (const [text, expected] of Object.entries(numbers)) {
+        const phone = PhoneNumber.parse(text);
+        assert.equal(phone.countryCode, '', text);
+        assert.equal(phone.callingCode, expected.callingCode, text);
+        assert.equal(PhoneNumber.normalize(text, 'US'), expected.e164, text);
+        assert.ok(PhoneNumber.isValid(text), text);
+    }
+});
+
+test('numbers outside the known plans need 8 to 15 digits', () => {
+    assert.equal(PhoneNumber.isValid('+966 501'), false);
+    assert.equal(PhoneNumber.isValid('+966 50 123 4567 8901 2'), false);
+    assert.equal(PhoneNumber.isValid('+0 12 345 6789'), false);
+});
+
+test('numbers of known plans still need their country\'s length', () => {
+    assert.equal(PhoneNumber.isValid('+44 20 7946'), false);
+    assert.equal(PhoneNumber.normalize('+44 20 7946 0958'), '+442079460958');
+});
+
+test('numbers outside the known plans are written without an area code gap', () => {
+    const phone = PhoneNumber.parse('+966 50 123 4567');
+
+    assert.doesNotMatch(PhoneNumber.format(phone), /\s{2}/);
+    assert.match(PhoneNumber.format(phone), /^\+966 \d/);
+    assert.doesNotMatch(PhoneNumber.format(phone, PhoneNumber.STYLES.NATIONAL), /^\s/);
+    assert.doesNotMatch(PhoneNumber.format(phone, PhoneNumber.STYLES.DASHED), /^-/);
+});
+
+test('profiles accept a phone with a calling code outside the known plans', () => {
+    const profile = new Profile({ name: 'Acme Riyadh', personal: { phone: '+966 50 123 4567' } });
+
+    assert.equal(profile.validate().isValid, true);
+    assert.equal(profile.personal.phone, '+966501234567');
+});
@@ -0,0 +1,236 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { chrome, openedTabs, respondToMessages, dispatchMessage, settle } from './helpers/chrome.mjs';
+import { setBody } from './helpers/dom.mjs';
+import { STORAGE_KEYS, MESSAGE_TYPES, CAMPAIGN_STATUSES } from '../common/constants.js';
+import { profileDataService } from '../common/profileDataService.js';
+import { listingStatusService } from '../common/listingStatusService.js';
+import { fillSessionService } from '../common/fillSessionService.js';
+import { sitePreferencesService } from '../common/sitePreferencesService.js';
+
+const PROFILES = [
+    { id: 'profile_1', name: 'Acme Plumbing', category: 'Plumber', business: { companyName: 'Acme Plumbing' } },
+    { id: 'profile_2', name: 'Bright Dental', category: 'Dentist', business: { companyName: 'Bright Dental' } }
+];
+
+/** The directory page open in the active tab */
+const TAB = { id: 7, url: 'https://directory.example.com/submit' };
+
+let popup;
+
+before(async () => {
+    chrome.storage.local.seed({
+        [STORAGE_KEYS.PROFILES]: PROFILES,
+        [STORAGE_KEYS.ACTIVE_PROFILE]: 'profile_1',
+        [STORAGE_KEYS.LEGACY_DATA_MIGRATED]: true
+    });
+    chrome.tabs.query = async () => [TAB];
+
+    // The popup page's markup, without running its scripts
+    const html = readFileSync(new URL('../popup/popup.html', import.meta.url), 'utf8');
+    setBody(html.match(/<body>([\s\S]*)<\/body>/)[1]);
+
+    const { PopupInitializer } = await import('../popup/popup-core.js');
+    popup = new PopupInitializer();
+    await popup.initialize();
+});
+
+/**
+ * Change a form control the way the user does
+ */
+async function change(id, value) {
+    const field = document.getElementById(id);
+    field.value = value;
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+    await settle(10);
+}
+
+async function click(id) {
+    document.getElementById(id).click();
+    await settle(10);
+}
+
+/**
+ * Record the messages the popup sends to tabs, answering each with a response
+ * @param {Object} [response] - Content script response
+ * @returns {Array<Object>} Tab ID and message of each message sent
+ */
+function recordTabMessages(response = { success: true }) {
+    const sent = [];
+    chrome.tabs.sendMessage = async (tabId, message) => {
+        sent.push({ tabId, message });
+        return response;
+    };
+    return sent;
+}
+
+test('the popup renders the clients and switches between them', async () => {
+    assert.doesNotMatch(document.getElementById('statusMessage').textContent, /Failed/);
+    assert.deepEqual(Array.from(document.getElementById('profileSelect').options, option => option.textContent),
+        ['Acme Plumbing', 'Bright Dental']);
+    assert.equal(document.getElementById('categoryValue').value, 'Plumber');
+
+    await change('profileSelect', 'profile_2');
+
+    assert.equal(chrome.storage.local.dump()[STORAGE_KEYS.ACTIVE_PROFILE], 'profile_2');
+    assert.equal(document.getElementById('categoryValue').value, 'Dentist');
+    assert.equal(document.getElementById('universal-company').value, 'Bright Dental');
+
+    await change('profileSelect', 'profile_1');
+    assert.equal(document.getElementById('categoryValue').value, 'Plumber');
+});
+
+test('the General tab saves the active client', async () => {
+    document.getElementById('categoryValue').value = 'Emergency Plumber';
+    await click('saveCategory');
+
+    const saved = chrome.storage.local.dump()[STORAGE_KEYS.PROFILES].find(profile => profile.id === 'profile_1');
+    assert.equal(saved.category, 'Emergency Plumber');
+    assert.equal(document.getElementById('statusMessage').textContent, 'Client saved');
+});
+
+test('campaigns are created and started from the popup through the background', async () => {
+    // The popup's runtime messages reach the background's listener
+    const { setInterval: realSetInterval } = globalThis;
+    globalThis.setInterval = (...args) => realSetInterval(...args).unref();
+    await import('../background/background.js');
+    globalThis.setInterval = realSetInterval;
+    respondToMessages(dispatchMessage);
+
+    document.getElementById('campaignName').value = 'Spring directories';
+    document.getElementById('campaignUrls').value = 'https://one.example.com/add\nhttps://two.example.com/add';
+    await click('createCampaign');
+
+    const [item] = document.querySelectorAll('#campaignList li');
+    assert.match(item.textContent, /Spring directories \(0\/2\)/);
+
+    item.querySelector('button').click();
+    await settle(50);
+
+    const [campaign] = chrome.storage.local.dump()[STORAGE_KEYS.CAMPAIGNS];
+    assert.equal(campaign.status, CAMPAIGN_STATUSES.RUNNING);
+    assert.equal(campaign.profileId, 'profile_1');
+    assert.equal(openedTabs.at(-1).url, 'https://one.example.com/add');
+    assert.equal(document.getElementById('campaignRunning').hidden, false);
+    assert.match(document.getElementById('campaignProgress').textContent, /Spring directories: 1\/2 — one\.example\.com/);
+});
+
+test('locations are added and picked as the one forms are filled as', async () => {
+    document.getElementById('newLocationName').value = 'Downtown';
+    await click('addLocation');
+
+    const select = document.getElementById('locationSelect');
+    const downtown = Array.from(select.options).find(option => option.textContent === 'Downtown');
+    assert.ok(downtown.selected);
+
+    document.getElementById('cityValue').value = 'Springfield';
+    await click('saveLocation');
+
+    const storedProfile = () => chrome.storage.local.dump()[STORAGE_KEYS.PROFILES]
+        .find(profile => profile.id === 'profile_1');
+    assert.equal(storedProfile().activeLocationId, downtown.value);
+    assert.equal(storedProfile().locations[0].address.locality, 'Springfield');
+
+    await change('locationSelect', '');
+    assert.equal(storedProfile().activeLocationId, null);
+    assert.equal(document.getElementById('cityValue').value, '');
+
+    await change('locationSelect', downtown.value);
+    assert.equal(document.getElementById('cityValue').value, 'Springfield');
+    assert.equal(profileDataService.getActiveLocationProfile().address.locality, 'Springfield');
+});
+
+test('Teach Fields starts teach mode on the current tab and closes the popup', async () => {
+    const sent = recordTabMessages();
+    let closed = false;
+    window.close = () => { closed = true; };
+
+    await click('startTeachMode');
+
+    assert.deepEqual(sent, [{ tabId: TAB.id, message: { type: MESSAGE_TYPES.TEACH_MODE_START } }]);
+    assert.equal(closed, true);
+});
+
+test('Undo fill asks the current tab to restore its fields', async () => {
+    const sent = recordTabMessages({ success: true, data: { restored: 2 } });
+
+    await click('undoFill');
+
+    assert.deepEqual(sent, [{ tabId: TAB.id, message: { type: MESSAGE_TYPES.UNDO_FILL } }]);
+    assert.equal(document.getElementById('statusMessage').textContent, 'Restored 2 field(s)');
+});
+
+test('the listing status is updated for the picked day, west of UTC too', async () => {
+    const { TZ } = process.env;
+    process.env.TZ = 'America/Los_Angeles';
+    try {
+        assert.equal(document.getElementById('listingDomain').textContent, 'example.com');
+
+        await change('listingStatus', 'approved');
+        document.getElementById('listingDate').value = '2026-03-05';
+        document.getElementById('listingNote').value = 'Approval email received';
+        await click('updateListingStatus');
+
+        const profile = profileDataService.getActiveProfile();
+        const listing = await listingStatusService.getStatus(profile.id, TAB.url, profile.activeLocationId);
+        const entry = listing.history.at(-1);
+        assert.equal(listing.status, 'approved');
+        assert.equal(entry.note, 'Approval email received');
+        assert.equal(new Date(entry.date).getDate(), 5);
+        assert.equal(document.getElementById('listingCurrentStatus').textContent, 'Current: approved');
+        assert.match(document.getElementById('listingHistory').textContent, /approved: Approval email received/);
+    } finally {
+        if (TZ === undefined) delete process.env.TZ;
+        else process.env.TZ = TZ;
+    }
+});
+
+test('the popup shows the tab\'s step progress and starts over', async () => {
+    await fillSessionService.recordStep(TAB.id, {
+        url: TAB.url,
+        fields: ['company', 'email'],
+        filled: ['company', 'email'],
+        progress: { current: 2, total: 3 }
+    });
+    await popup.loadUI();
+
+    assert.equal(document.getElementById('fillSession').hidden, false);
+    assert.match(document.getElementById('fillSessionProgress').textContent, /^Step 2 of 3 on .*example\.com — 2 field\(s\) filled$/);
+
+    await click('resetFillSession');
+
+    assert.equal(document.getElementById('fillSession').hidden, true);
+    assert.equal(await fillSessionService.getSession(TAB.id), null);
+});
+
+test('Preview Variations shows the typed spintax as a few directories get it', async () => {
+    document.getElementById('universal-description').value = '{Fast|Friendly} service from {{business.companyName}}';
+
+    await click('previewTemplates');
+
+    const panel = document.getElementById('templatePreview');
+    const samples = Array.from(panel.querySelectorAll('li'), item => item.textContent);
+    assert.equal(panel.hidden, false);
+    assert.equal(panel.querySelector('strong').textContent, 'description');
+    assert.equal(samples.length, 3);
+    assert.match(samples[0], /^example\.com: /);
+    samples.forEach(sample => assert.match(sample, /: (Fast|Friendly) service from Acme Plumbing$/));
+});
+
+test('the searchable dropdowns switch is saved for the current site', async () => {
+    const toggle = document.getElementById('selectSearchEnabled');
+    assert.equal(toggle.disabled, false);
+    assert.equal(toggle.checked, true);
+
+    toggle.checked = false;
+    toggle.dispatchEvent(new Event('change', { bubbles: true }));
+    await settle(10);
+
+    assert.equal(await sitePreferencesService.isEnabled(TAB.url, 'selectSearch'), false);
+    assert.equal(await sitePreferencesService.isEnabled('https://other.example.org/', 'selectSearch'), true);
+
+    await popup.loadUI();
+    assert.equal(toggle.checked, false);
+});
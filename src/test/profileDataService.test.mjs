@@ -0,0 +1,74 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chrome, settle } from './helpers/chrome.mjs';
+import { ProfileDataService } from '../common/profileDataService.js';
+import { STORAGE_KEYS } from '../common/constants.js';
+
+const LEGACY_DATA = {
+    universalFormData: { company: 'Acme Plumbing', email: 'info@acme.test', city: 'Springfield' },
+    socialLinks: { facebook: 'https://facebook.com/acme' },
+    fillPassword: 'secret'
+};
+
+beforeEach(async () => {
+    await chrome.storage.local.clear();
+    await chrome.storage.sync.clear();
+    chrome.storage.sync.seed(LEGACY_DATA);
+});
+
+test('concurrent first initialize calls migrate legacy data once', async () => {
+    const service = new ProfileDataService();
+
+    await Promise.all([service.initialize(), service.initialize(), service.initialize()]);
+
+    const stored = chrome.storage.local.dump();
+    assert.equal(stored[STORAGE_KEYS.PROFILES].length, 1);
+    assert.equal(stored[STORAGE_KEYS.PROFILES][0].name, 'Acme Plumbing');
+    assert.equal(stored[STORAGE_KEYS.ACTIVE_PROFILE], stored[STORAGE_KEYS.PROFILES][0].id);
+    assert.equal(stored[STORAGE_KEYS.LEGACY_DATA_MIGRATED], true);
+    assert.equal(service.getAllProfiles().length, 1);
+});
+
+test('deleting the last profile does not bring migrated data back', async () => {
+    const service = new ProfileDataService();
+    await service.initialize();
+    await service.deleteProfile(service.getActiveProfile().id);
+
+    const next = new ProfileDataService();
+    await next.initialize();
+
+    assert.equal(next.getAllProfiles().length, 0);
+    assert.equal(next.getActiveProfile(), null);
+    assert.deepEqual(chrome.storage.local.dump()[STORAGE_KEYS.PROFILES], []);
+});
+
+test('profiles migrated before the flag existed are not migrated again', async () => {
+    chrome.storage.local.seed({
+        [STORAGE_KEYS.PROFILES]: [{ id: 'profile_1', name: 'Acme Plumbing' }],
+        [STORAGE_KEYS.ACTIVE_PROFILE]: 'profile_1'
+    });
+
+    const service = new ProfileDataService();
+    await service.initialize();
+    await service.deleteProfile('profile_1');
+
+    const next = new ProfileDataService();
+    await next.initialize();
+
+    assert.equal(next.getAllProfiles().length, 0);
+});
+
+test('changes saved by another page reach an initialized service', async () => {
+    const popup = new ProfileDataService();
+    const content = new ProfileDataService();
+    await popup.initialize();
+    await content.initialize();
+
+    const created = await popup.createProfile({ name: 'Beta Bakery' });
+    await popup.setActiveProfile(created.id);
+    await settle();
+
+    assert.equal(content.getAllProfiles().length, 2);
+    assert.equal(content.getActiveProfile().name, 'Beta Bakery');
+});
@@ -0,0 +1,80 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chrome, settle } from './helpers/chrome.mjs';
+import { setBody } from './helpers/dom.mjs';
+import { STORAGE_KEYS } from '../common/constants.js';
+
+before(async () => {
+    setBody(`
+        <div id="statusMessage" class="status-message"></div>
+        <table><tbody id="recipeTableBody"></tbody></table>
+        <div id="recipeEmpty"></div>
+        <input type="text" id="recipeDomain">
+        <input type="text" id="recipePath">
+        <table><tbody id="recipeMappingRows"></tbody></table>
+        <button id="addRecipeMapping"></button>
+        <button id="saveRecipe"></button>
+        <button id="clearRecipe"></button>
+        <button id="exportRecipes"></button>
+        <input type="file" id="importRecipesFile">
+    `);
+
+    // Saved before the structured address, listed when the editor starts
+    chrome.storage.local.seed({
+        [STORAGE_KEYS.SITE_RECIPES]: [{
+            id: 'recipe_1',
+            domain: 'example.com',
+            mappings: [{ selector: '#city', property: 'business.city' }]
+        }]
+    });
+
+    // The settings page starts the editor once its markup is parsed
+    await import('../options/recipes.js');
+    document.dispatchEvent(new Event('DOMContentLoaded'));
+    await settle();
+});
+
+beforeEach(async () => {
+    await chrome.storage.local.clear();
+    document.getElementById('clearRecipe').click();
+});
+
+/**
+ * Fill the editor's only mapping row and save the recipe
+ */
+async function saveMapping(selector, property) {
+    document.getElementById('recipeDomain').value = 'example.com';
+    const row = document.querySelector('#recipeMappingRows tr');
+    row.querySelector('.recipe-selector').value = selector;
+    row.querySelector('.recipe-property').value = property;
+
+    document.getElementById('saveRecipe').click();
+    await settle(10);
+    return chrome.storage.local.dump()[STORAGE_KEYS.SITE_RECIPES] || [];
+}
+
+test('recipes mapped to the business address mirrors open and save unchanged', async () => {
+    document.querySelector('#recipeTableBody button').click();
+    assert.equal(document.querySelector('#recipeMappingRows .recipe-property').value, 'business.city');
+
+    document.getElementById('saveRecipe').click();
+    await settle(10);
+
+    const [recipe] = chrome.storage.local.dump()[STORAGE_KEYS.SITE_RECIPES];
+    assert.deepEqual(recipe.mappings.map(mapping => mapping.property), ['business.city']);
+    assert.equal(document.getElementById('statusMessage').textContent, 'Site recipe saved');
+});
+
+test('selectors into shadow roots and frames can be saved', async () => {
+    const [recipe] = await saveMapping('#widget >>> input[name="phone"]', 'personal.phone');
+
+    assert.deepEqual(recipe.mappings.map(mapping => mapping.selector), ['#widget >>> input[name="phone"]']);
+});
+
+test('a broken part of a deep selector is still rejected', async () => {
+    const recipes = await saveMapping('#widget >>> input[name=', 'personal.phone');
+
+    assert.equal(recipes.length, 0);
+    assert.match(document.getElementById('statusMessage').textContent, /Invalid CSS selector/);
+});
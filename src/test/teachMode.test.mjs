@@ -0,0 +1,83 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chrome, settle } from './helpers/chrome.mjs';
+import { setBody } from './helpers/dom.mjs';
+import { STORAGE_KEYS } from '../common/constants.js';
+import { TeachMode } from '../content/teach-mode.js';
+
+let teachMode;
+
+beforeEach(async () => {
+    await chrome.storage.local.clear();
+    chrome.storage.local.seed({
+        [STORAGE_KEYS.PROFILES]: [{ id: 'profile_1', name: 'Acme Plumbing', business: { companyName: 'Acme Plumbing' } }],
+        [STORAGE_KEYS.ACTIVE_PROFILE]: 'profile_1',
+        [STORAGE_KEYS.LEGACY_DATA_MIGRATED]: true,
+        [STORAGE_KEYS.SITE_RECIPES]: [{
+            id: 'recipe_1',
+            domain: 'example.com',
+            mappings: [{ selector: 'input[title="Company"]', property: 'business.companyName' }]
+        }]
+    });
+    teachMode = new TeachMode();
+});
+
+afterEach(() => teachMode.stop());
+
+test('teach mode leaves the title its selectors are built from alone', async () => {
+    setBody(`
+        <input title="Company" type="text">
+        <input title="Email" type="email">
+    `);
+    const [company, email] = document.querySelectorAll('input');
+
+    await teachMode.start();
+
+    assert.equal(company.title, 'Company');
+    assert.ok(company.classList.contains('sfp-teach-mapped'));
+    assert.equal(email.classList.contains('sfp-teach-mapped'), false);
+
+    email.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+    assert.equal(document.getElementById('sfp-teach-hint').textContent, 'Click to map this field');
+    assert.equal(email.title, 'Email');
+
+    email.click();
+    const picker = document.getElementById('sfp-teach-picker');
+    picker.querySelector('select').value = 'personal.email';
+    picker.querySelector('button').click();
+    await settle();
+
+    const [recipe] = chrome.storage.local.dump()[STORAGE_KEYS.SITE_RECIPES];
+    assert.deepEqual(recipe.mappings.map(mapping => mapping.selector),
+        ['input[title="Company"]', 'input[title="Email"]']);
+
+    teachMode.stop();
+    assert.equal(company.title, 'Company');
+    assert.equal(email.title, 'Email');
+});
+
+test('teach mode reaches fields in shadow roots', async () => {
+    setBody('<div id="widget"></div>');
+    const shadow = document.getElementById('widget').attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<input name="phone" type="tel">';
+    const phone = shadow.querySelector('input');
+
+    await teachMode.start();
+
+    assert.ok(phone.classList.contains('sfp-teach-field'));
+    assert.ok(shadow.getElementById('sfp-teach-style'));
+
+    phone.click();
+    const picker = document.getElementById('sfp-teach-picker');
+    picker.querySelector('select').value = 'personal.phone';
+    picker.querySelector('button').click();
+    await settle();
+
+    const [recipe] = chrome.storage.local.dump()[STORAGE_KEYS.SITE_RECIPES];
+    assert.equal(recipe.mappings.at(-1).selector, '#widget >>> input[name="phone"]');
+
+    teachMode.stop();
+    assert.equal(phone.classList.contains('sfp-teach-field'), false);
+    assert.equal(shadow.getElementById('sfp-teach-style'), null);
+});
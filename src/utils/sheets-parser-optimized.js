@@ -42,6 +42,7 @@ const OptimizedSheetsParser = {
         zip: ['zipcode'],
         email: ['email'],
         website: ['website'],
+        hours: ['hours'],
         description: ['description']
     },
     
@@ -79,6 +80,13 @@ const OptimizedSheetsParser = {
             console.warn('[PARSER] LLM extraction failed, falling back to local parser:', llmError);
         }
 
+        try {
+            await this.loadBusinessHours();
+        } catch (error) {
+            // Non-fatal: hours then stay free text
+            console.warn('[PARSER] Could not load the business hours model:', error);
+        }
+
         try {
             const result = this.performParsing(rawData);
             const duration = performance.now() - startTime;
@@ -186,6 +194,15 @@ const OptimizedSheetsParser = {
         }
     },
     
+    // The hours model is an ES module; this classic script reaches it through import()
+    async loadBusinessHours() {
+        if (!this.businessHours) {
+            const { BusinessHours } = await import(chrome.runtime.getURL('src/common/businessHours.js'));
+            this.businessHours = BusinessHours;
+        }
+        return this.businessHours;
+    },
+    
     performParsing(rawData) {
         const parsedData = this.getEmptyResult();
         
@@ -229,6 +246,11 @@ const OptimizedSheetsParser = {
         // Map to universal form data
         this.mapToUniversalForm(businessInfo, parsedData);
         
+        // Structured weekly hours, e.g. "Mon-Fri 9-5, Sat 10-2" -> one entry per day
+        if (businessInfo.hours && this.businessHours) {
+            parsedData.hours = this.businessHours.parse(businessInfo.hours);
+        }
+        
         // Add to metadata
         Object.entries(businessInfo).forEach(([key, value]) => {
             if (value) {
@@ -388,7 +410,8 @@ const OptimizedSheetsParser = {
             universalFormData: {},
             socialLinks: {},
             passwords: {},
-            metadata: {}
+            metadata: {},
+            hours: null
         };
     },
     
@@ -442,6 +465,11 @@ const OptimizedSheetsParser = {
                 if (result.data.passwords.main) {
                     merged.passwords.main = result.data.passwords.main;
                 }
+                
+                // Likewise the last hours found
+                if (result.data.hours) {
+                    merged.hours = result.data.hours;
+                }
             }
         });
         